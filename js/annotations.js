@@ -0,0 +1,458 @@
+// js/annotations.js
+
+// Colors used for each annotation type
+const ANNOTATION_COLORS = {
+    highlight: 'rgba(250, 204, 21, 0.4)',
+    underline: 'rgba(239, 68, 68, 0.9)',
+    note: 'rgba(251, 146, 60, 1)'
+};
+
+const ANNOTATION_ICONS = {
+    highlight: 'highlighter',
+    underline: 'underline',
+    note: 'sticky-note'
+};
+
+/**
+ * Annotation Manager Class
+ * Adds highlights, underlines and sticky notes to a PDFViewer and keeps them
+ * in IndexedDB. Positions are stored in PDF units (scale 1) so they can be
+ * drawn again at any zoom level.
+ */
+export class AnnotationManager {
+    /**
+     * @param {PDFViewer} viewer - Viewer showing the resource
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {number} resourceId - ID of the resource being annotated
+     * @param {Object} options - Options
+     * @param {HTMLElement} options.sidebar - Element that lists the annotations
+     * @param {Function} options.notify - Called with (type, message) for user feedback
+     */
+    constructor(viewer, storage, resourceId, options = {}) {
+        this.viewer = viewer;
+        this.storage = storage;
+        this.resourceId = resourceId;
+        this.sidebar = options.sidebar || null;
+        this.notify = options.notify || (() => {});
+        this.annotations = [];
+        this.noteMode = false;
+        this.pendingJumpId = null;
+
+        this.handlePageRendered = this.handlePageRendered.bind(this);
+        this.handlePageClick = this.handlePageClick.bind(this);
+
+        this.viewer.container.addEventListener('pagerendered', this.handlePageRendered);
+        this.viewer.container.addEventListener('click', this.handlePageClick);
+
+        this.createToolbar();
+    }
+
+    /**
+     * Load saved annotations and draw them
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.annotations = await this.storage.getAnnotations(this.resourceId);
+        } catch (error) {
+            console.error('Error loading annotations:', error);
+            this.annotations = [];
+        }
+        this.refresh();
+    }
+
+    /**
+     * Add annotation buttons to the viewer controls
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'pdf-annotation-tools flex items-center space-x-2';
+
+        const buttonClass = 'bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 p-2 rounded-lg';
+        const buttons = [
+            { type: 'highlight', label: 'Highlight selection', action: () => this.createFromSelection('highlight') },
+            { type: 'underline', label: 'Underline selection', action: () => this.createFromSelection('underline') },
+            { type: 'note', label: 'Add sticky note', action: () => this.toggleNoteMode() }
+        ];
+
+        buttons.forEach(({ type, label, action }) => {
+            const button = document.createElement('button');
+            button.className = `pdf-annotate-${type} ${buttonClass}`;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.innerHTML = `<i data-lucide="${ANNOTATION_ICONS[type]}" class="w-5 h-5"></i>`;
+            // Keep the text selection alive when the button is pressed
+            button.addEventListener('mousedown', e => e.preventDefault());
+            button.addEventListener('click', action);
+            toolbar.appendChild(button);
+        });
+
+        if (this.sidebar) {
+            const listButton = document.createElement('button');
+            listButton.className = `pdf-annotation-list ${buttonClass}`;
+            listButton.title = 'Show annotations';
+            listButton.setAttribute('aria-label', listButton.title);
+            listButton.innerHTML = '<i data-lucide="list" class="w-5 h-5"></i>';
+            listButton.addEventListener('click', () => this.sidebar.classList.toggle('hidden'));
+            toolbar.appendChild(listButton);
+        }
+
+        this.viewer.controls.appendChild(toolbar);
+        this.toolbar = toolbar;
+        this.noteButton = toolbar.querySelector('.pdf-annotate-note');
+    }
+
+    /**
+     * Turn the current text selection into a highlight or underline
+     * @param {string} type - 'highlight' or 'underline'
+     * @returns {Promise<boolean>} True if an annotation was created
+     */
+    async createFromSelection(type) {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+            this.notify('warning', 'Select some text in the document first');
+            return false;
+        }
+
+        const range = selection.getRangeAt(0);
+        const startNode = range.startContainer.nodeType === Node.ELEMENT_NODE
+            ? range.startContainer
+            : range.startContainer.parentElement;
+        const pageElement = startNode && startNode.closest('.pdf-page');
+        if (!pageElement || !this.viewer.container.contains(pageElement)) {
+            this.notify('warning', 'Select some text in the document first');
+            return false;
+        }
+
+        const scale = this.viewer.scale;
+        const pageRect = pageElement.getBoundingClientRect();
+        const rects = [...range.getClientRects()]
+            .filter(rect => rect.width > 0 && rect.height > 0)
+            // Keep only the parts of the selection that fall on this page
+            .filter(rect => rect.top < pageRect.bottom && rect.bottom > pageRect.top)
+            .map(rect => ({
+                x: (rect.left - pageRect.left) / scale,
+                y: (rect.top - pageRect.top) / scale,
+                width: rect.width / scale,
+                height: rect.height / scale
+            }));
+
+        if (rects.length === 0) {
+            return false;
+        }
+
+        const annotation = {
+            id: Date.now(),
+            resourceId: this.resourceId,
+            type,
+            page: Number(pageElement.dataset.pageNumber),
+            rects,
+            text: selection.toString().replace(/\s+/g, ' ').trim(),
+            color: ANNOTATION_COLORS[type],
+            date: new Date().toISOString()
+        };
+
+        selection.removeAllRanges();
+        await this.save(annotation);
+        return true;
+    }
+
+    /**
+     * Toggle the mode where the next click on a page places a sticky note
+     */
+    toggleNoteMode() {
+        this.noteMode = !this.noteMode;
+        this.viewer.container.classList.toggle('pdf-note-mode', this.noteMode);
+        if (this.noteButton) {
+            this.noteButton.classList.toggle('active', this.noteMode);
+        }
+        if (this.noteMode) {
+            this.notify('success', 'Click on the page where the note should go');
+        }
+    }
+
+    /**
+     * Place a sticky note where the page was clicked
+     * @param {MouseEvent} e - Click event
+     */
+    async handlePageClick(e) {
+        // Open an existing note
+        const noteElement = e.target.closest('.annotation-note');
+        if (noteElement) {
+            this.editNote(Number(noteElement.dataset.id));
+            return;
+        }
+
+        if (!this.noteMode) return;
+
+        const pageElement = e.target.closest('.pdf-page');
+        if (!pageElement) return;
+
+        this.toggleNoteMode();
+
+        const comment = prompt('Note');
+        if (!comment || comment.trim() === '') return;
+
+        const scale = this.viewer.scale;
+        const pageRect = pageElement.getBoundingClientRect();
+        const annotation = {
+            id: Date.now(),
+            resourceId: this.resourceId,
+            type: 'note',
+            page: Number(pageElement.dataset.pageNumber),
+            rects: [{
+                x: (e.clientX - pageRect.left) / scale,
+                y: (e.clientY - pageRect.top) / scale,
+                width: 0,
+                height: 0
+            }],
+            comment: comment.trim(),
+            color: ANNOTATION_COLORS.note,
+            date: new Date().toISOString()
+        };
+
+        await this.save(annotation);
+    }
+
+    /**
+     * Edit or delete a sticky note's text
+     * @param {number} id - Annotation ID
+     */
+    async editNote(id) {
+        const annotation = this.annotations.find(a => a.id === id);
+        if (!annotation) return;
+
+        const comment = prompt('Edit note (leave empty to delete)', annotation.comment || '');
+        if (comment === null) return;
+
+        if (comment.trim() === '') {
+            await this.deleteAnnotation(id);
+            return;
+        }
+
+        const updated = { ...annotation, comment: comment.trim(), date: new Date().toISOString() };
+        try {
+            await this.storage.updateAnnotation(updated);
+            this.annotations = this.annotations.map(a => (a.id === id ? updated : a));
+            this.refresh();
+        } catch (error) {
+            console.error('Error updating annotation:', error);
+            this.notify('error', 'Failed to update note');
+        }
+    }
+
+    /**
+     * Store a new annotation and draw it
+     * @param {Object} annotation - Annotation to save
+     * @returns {Promise<void>}
+     */
+    async save(annotation) {
+        try {
+            await this.storage.addAnnotation(annotation);
+            this.annotations.push(annotation);
+            this.refresh();
+        } catch (error) {
+            console.error('Error saving annotation:', error);
+            this.notify('error', 'Failed to save annotation');
+        }
+    }
+
+    /**
+     * Delete an annotation
+     * @param {number} id - Annotation ID
+     * @returns {Promise<void>}
+     */
+    async deleteAnnotation(id) {
+        try {
+            await this.storage.deleteAnnotation(id);
+            this.annotations = this.annotations.filter(a => a.id !== id);
+            this.refresh();
+        } catch (error) {
+            console.error('Error deleting annotation:', error);
+            this.notify('error', 'Failed to delete annotation');
+        }
+    }
+
+    /**
+     * Redraw annotations on every rendered page and the sidebar
+     */
+    refresh() {
+        this.viewer.container.querySelectorAll('.pdf-page').forEach(pageElement => {
+            if (pageElement.querySelector('canvas')) {
+                this.renderPageAnnotations(Number(pageElement.dataset.pageNumber), pageElement);
+            }
+        });
+        this.renderSidebar();
+    }
+
+    /**
+     * Draw annotations when the viewer renders a page (also after zooming)
+     * @param {CustomEvent} e - pagerendered event from PDFViewer
+     */
+    handlePageRendered(e) {
+        const { pageNum, pageElement } = e.detail;
+        this.renderPageAnnotations(pageNum, pageElement);
+    }
+
+    /**
+     * Draw the annotations of one page at the viewer's current scale
+     * @param {number} pageNum - Page number
+     * @param {HTMLElement} pageElement - Element holding the page canvas
+     */
+    renderPageAnnotations(pageNum, pageElement) {
+        let layer = pageElement.querySelector('.annotationLayer');
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.className = 'annotationLayer';
+            pageElement.appendChild(layer);
+        }
+        layer.innerHTML = '';
+
+        const scale = this.viewer.scale;
+        this.annotations
+            .filter(annotation => annotation.page === pageNum)
+            .forEach(annotation => {
+                if (annotation.type === 'note') {
+                    const [point] = annotation.rects;
+                    const note = document.createElement('button');
+                    note.className = 'annotation-note';
+                    note.dataset.id = annotation.id;
+                    note.title = annotation.comment;
+                    note.setAttribute('aria-label', `Note: ${annotation.comment}`);
+                    note.style.left = `${point.x * scale}px`;
+                    note.style.top = `${point.y * scale}px`;
+                    note.style.backgroundColor = annotation.color;
+                    note.innerHTML = '<i data-lucide="sticky-note" class="w-4 h-4"></i>';
+                    layer.appendChild(note);
+                    return;
+                }
+
+                annotation.rects.forEach(rect => {
+                    const mark = document.createElement('div');
+                    mark.className = `annotation-${annotation.type}`;
+                    mark.dataset.id = annotation.id;
+                    mark.style.left = `${rect.x * scale}px`;
+                    mark.style.top = `${rect.y * scale}px`;
+                    mark.style.width = `${rect.width * scale}px`;
+                    mark.style.height = `${rect.height * scale}px`;
+                    if (annotation.type === 'underline') {
+                        mark.style.borderBottomColor = annotation.color;
+                    } else {
+                        mark.style.backgroundColor = annotation.color;
+                    }
+                    layer.appendChild(mark);
+                });
+            });
+
+        if (layer.querySelector('.annotation-note')) {
+            lucide.createIcons();
+        }
+
+        // Finish a jump from the sidebar once the target page is drawn
+        if (this.pendingJumpId !== null) {
+            const target = layer.querySelector(`[data-id="${this.pendingJumpId}"]`);
+            if (target) {
+                this.pendingJumpId = null;
+                target.scrollIntoView({ block: 'center', inline: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * List annotations in the sidebar, ordered by page
+     */
+    renderSidebar() {
+        if (!this.sidebar) return;
+
+        const sorted = [...this.annotations].sort((a, b) => a.page - b.page || a.id - b.id);
+
+        if (sorted.length === 0) {
+            this.sidebar.innerHTML = `
+                <h3 class="font-semibold mb-3">Annotations</h3>
+                <p class="text-sm text-slate-500 dark:text-slate-400">Select text and use the highlight or underline buttons, or add a sticky note.</p>
+            `;
+            return;
+        }
+
+        this.sidebar.innerHTML = `
+            <h3 class="font-semibold mb-3">Annotations (${sorted.length})</h3>
+            <ul class="annotation-list space-y-2"></ul>
+        `;
+
+        // Comments and selected PDF text are untrusted, and backups can bring in
+        // any annotation, so everything read from one is set as text
+        const list = this.sidebar.querySelector('.annotation-list');
+        sorted.forEach(annotation => {
+            const item = document.createElement('li');
+            item.className = 'annotation-item p-2 rounded-lg bg-slate-50 dark:bg-slate-700 cursor-pointer';
+            item.dataset.id = annotation.id;
+            item.innerHTML = `
+                <div class="flex justify-between items-center text-xs text-slate-500 dark:text-slate-400 mb-1">
+                    <span class="flex items-center">
+                        <i data-lucide="${ANNOTATION_ICONS[annotation.type] || 'sticky-note'}" class="w-3 h-3 mr-1"></i>
+                        <span class="annotation-page"></span>
+                    </span>
+                    <button class="annotation-delete hover:text-red-600 dark:hover:text-red-400" aria-label="Delete annotation">
+                        <i data-lucide="trash" class="w-3 h-3"></i>
+                    </button>
+                </div>
+                <p class="annotation-text text-sm"></p>
+            `;
+            item.querySelector('.annotation-page').textContent = `Page ${annotation.page}`;
+            item.querySelector('.annotation-text').textContent = annotation.type === 'note' ? annotation.comment : `"${annotation.text}"`;
+
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.annotation-delete')) {
+                    this.deleteAnnotation(annotation.id);
+                } else {
+                    this.jumpTo(annotation.id);
+                }
+            });
+            list.appendChild(item);
+        });
+
+        lucide.createIcons();
+    }
+
+    /**
+     * Show the page an annotation is on and scroll it into view
+     * @param {number} id - Annotation ID
+     */
+    jumpTo(id) {
+        const annotation = this.annotations.find(a => a.id === id);
+        if (!annotation) return;
+
+        this.pendingJumpId = id;
+        if (annotation.page !== this.viewer.currentPage) {
+            this.viewer.goToPage(annotation.page);
+        }
+
+        // Already drawn (same page, or a nearby page in continuous mode)
+        const target = this.viewer.container.querySelector(`.annotationLayer [data-id="${id}"]`);
+        if (target) {
+            this.pendingJumpId = null;
+            target.scrollIntoView({ block: 'center', inline: 'nearest' });
+        }
+    }
+
+    /**
+     * Remove listeners and UI added to the viewer
+     */
+    destroy() {
+        this.viewer.container.removeEventListener('pagerendered', this.handlePageRendered);
+        this.viewer.container.removeEventListener('click', this.handlePageClick);
+        this.viewer.container.classList.remove('pdf-note-mode');
+
+        if (this.toolbar) {
+            this.toolbar.remove();
+            this.toolbar = null;
+        }
+        if (this.sidebar) {
+            this.sidebar.innerHTML = '';
+        }
+        this.annotations = [];
+    }
+}
+
+// Export the class as default
+export default AnnotationManager;
@@ -0,0 +1,413 @@
+// js/backup.js
+
+/**
+ * Backup helpers for QNEET
+ * Builds versioned backup files from QNEETStorage.exportData(), migrates files
+ * written by earlier app versions forward, and validates them before anything
+ * is written to IndexedDB.
+ *
+ * Format history:
+ *   1 - { favorites, notes, downloads, theme, fontSize } written by main.js
+ *       before backups had an envelope
+ *   2 - { format, formatVersion, appVersion, createdAt, checksum, data, preferences }
+ *       where data is the exportData() dump and preferences the localStorage settings
+ *
+ * Any version can be wrapped in an encrypted envelope
+ *   { format: 'qneet-backup-encrypted', formatVersion, kdf, cipher, ciphertext }
+ * holding the backup JSON encrypted with AES-GCM under a PBKDF2-derived key.
+ */
+
+export const BACKUP_FORMAT = 'qneet-backup';
+export const BACKUP_FORMAT_VERSION = 2;
+export const ENCRYPTED_FORMAT = 'qneet-backup-encrypted';
+
+// PBKDF2 work factor for new backups; decryption uses the value stored in the file
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// 'auto' follows the system setting; main.js stores it when Auto is picked
+const THEMES = ['light', 'dark', 'auto'];
+const FONT_SIZES = ['small', 'medium', 'large'];
+
+// Object stores in exportData() that hold arrays of records
+const RECORD_STORES = ['resources', 'downloads', 'annotations', 'progress', 'history', 'settings'];
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from
+ * Each step takes a backup of that version and returns the next version.
+ */
+const MIGRATIONS = {
+    1: legacy => {
+        const { theme = null, fontSize = null, ...data } = legacy;
+        return {
+            format: BACKUP_FORMAT,
+            formatVersion: 2,
+            appVersion: null,
+            createdAt: null,
+            checksum: null,
+            data,
+            preferences: { theme, fontSize }
+        };
+    }
+};
+
+/**
+ * Check that a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check that a value can be used as a record ID
+ * @param {*} value - Value to check
+ * @returns {boolean} True for numbers and non-empty strings
+ */
+function isId(value) {
+    return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value !== '');
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+    let binary = '';
+    // Chunked so large backups do not overflow the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the backup
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Hash the contents of a backup
+ * @param {Object} backup - Backup with data and preferences
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+async function computeChecksum(backup) {
+    const payload = JSON.stringify({ data: backup.data, preferences: backup.preferences });
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Build a backup of everything in storage
+ * @param {QNEETStorage} storage - Initialized storage instance
+ * @param {Object} options - Backup options
+ * @param {string} options.appVersion - Version of the app writing the backup
+ * @param {Object} options.preferences - Settings kept outside IndexedDB (theme, fontSize)
+ * @returns {Promise<Object>} Backup ready to be serialized as JSON
+ */
+export async function createBackup(storage, options = {}) {
+    const backup = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        appVersion: options.appVersion || null,
+        createdAt: new Date().toISOString(),
+        checksum: null,
+        data: await storage.exportData(),
+        preferences: options.preferences || {}
+    };
+
+    backup.checksum = await computeChecksum(backup);
+    return backup;
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {Object} backup - Backup returned by createBackup()
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<Object>} Encrypted envelope ready to be serialized as JSON
+ */
+export async function encryptBackup(backup, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return {
+        format: ENCRYPTED_FORMAT,
+        formatVersion: 1,
+        createdAt: backup.createdAt,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Check whether parsed backup JSON is an encrypted envelope
+ * @param {*} raw - Parsed JSON
+ * @returns {boolean} True if the backup needs a passphrase
+ */
+export function isEncryptedBackup(raw) {
+    return isObject(raw) && raw.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * Decrypt an encrypted envelope
+ * @param {Object} envelope - Envelope returned by encryptBackup()
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<Object>} Parsed backup inside the envelope
+ * @throws {Error} With code 'corrupted' for malformed envelopes, or 'decrypt-failed'
+ *     when the passphrase is wrong or the ciphertext was altered (AES-GCM cannot tell these apart)
+ */
+export async function decryptBackup(envelope, passphrase) {
+    let salt, iv, ciphertext;
+    try {
+        if (envelope.kdf.name !== 'PBKDF2' || envelope.cipher.name !== 'AES-GCM') {
+            throw new Error('Unsupported algorithm');
+        }
+        salt = fromBase64(envelope.kdf.salt);
+        iv = fromBase64(envelope.cipher.iv);
+        ciphertext = fromBase64(envelope.ciphertext);
+    } catch (error) {
+        throw Object.assign(new Error('Encrypted backup is corrupted'), { code: 'corrupted' });
+    }
+
+    let plaintext;
+    try {
+        const key = await deriveKey(passphrase, salt, envelope.kdf.iterations);
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    } catch (error) {
+        throw Object.assign(new Error('Wrong passphrase, or the file is corrupted'), { code: 'decrypt-failed' });
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw Object.assign(new Error('Encrypted backup is corrupted'), { code: 'corrupted' });
+    }
+}
+
+/**
+ * Detect the format version of parsed backup JSON
+ * @param {Object} raw - Parsed JSON
+ * @returns {number} Format version (files without an envelope are version 1)
+ */
+export function getFormatVersion(raw) {
+    return isObject(raw) && raw.format === BACKUP_FORMAT ? raw.formatVersion : 1;
+}
+
+/**
+ * Upgrade a backup written by any earlier app version to the current format
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} Backup in the current format
+ * @throws {Error} If the file was written by a newer app version
+ */
+export function migrateBackup(raw) {
+    let version = getFormatVersion(raw);
+
+    if (!Number.isInteger(version) || version > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format ${version} is newer than this app supports; please update QNEET`);
+    }
+
+    let backup = raw;
+    while (version < BACKUP_FORMAT_VERSION) {
+        backup = MIGRATIONS[version](backup);
+        version = backup.formatVersion;
+    }
+
+    return backup;
+}
+
+/**
+ * Validate a backup in the current format
+ * @param {*} backup - Backup returned by migrateBackup()
+ * @returns {Object} { valid, errors } with one message per problem found
+ */
+export function validateBackup(backup) {
+    const errors = [];
+
+    if (!isObject(backup) || !isObject(backup.data)) {
+        return { valid: false, errors: ['Backup must be a JSON object with QNEET data'] };
+    }
+
+    const { data, preferences = {} } = backup;
+
+    const known = ['favorites', 'notes', ...RECORD_STORES];
+    if (!known.some(key => data[key] !== undefined) && !preferences.theme && !preferences.fontSize) {
+        errors.push('File does not contain any QNEET data');
+    }
+
+    if (data.favorites !== undefined) {
+        if (!Array.isArray(data.favorites)) {
+            errors.push('favorites must be an array');
+        } else if (!data.favorites.every(isId)) {
+            errors.push('favorites must only contain resource IDs');
+        }
+    }
+
+    if (data.notes !== undefined) {
+        if (!isObject(data.notes)) {
+            errors.push('notes must be an object keyed by resource ID');
+        } else {
+            Object.entries(data.notes).forEach(([resourceId, list]) => {
+                if (!Array.isArray(list)) {
+                    errors.push(`notes for resource ${resourceId} must be an array`);
+                } else if (!list.every(note => isObject(note) && isId(note.id) && isId(note.resourceId) && typeof note.content === 'string')) {
+                    errors.push(`notes for resource ${resourceId} need an id, resourceId and content`);
+                }
+            });
+        }
+    }
+
+    RECORD_STORES.forEach(name => {
+        if (data[name] === undefined) return;
+
+        if (!Array.isArray(data[name])) {
+            errors.push(`${name} must be an array`);
+        } else if (!data[name].every(isObject)) {
+            errors.push(`${name} must only contain objects`);
+        }
+    });
+
+    if (!isObject(preferences)) {
+        errors.push('preferences must be an object');
+    } else {
+        if (preferences.theme != null && !THEMES.includes(preferences.theme)) {
+            errors.push(`theme must be one of ${THEMES.join(', ')}`);
+        }
+        if (preferences.fontSize != null && !FONT_SIZES.includes(preferences.fontSize)) {
+            errors.push(`fontSize must be one of ${FONT_SIZES.join(', ')}`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check a backup against its checksum
+ * @param {Object} backup - Backup in the current format
+ * @returns {Promise<boolean>} True if the contents are unchanged, or the backup
+ *     predates checksums
+ */
+export async function verifyChecksum(backup) {
+    if (!backup.checksum) return true;
+    return await computeChecksum(backup) === backup.checksum;
+}
+
+/**
+ * Parse, decrypt, migrate, validate and verify a backup file's text
+ * @param {string} text - Contents of the backup file
+ * @param {Object} options - Read options
+ * @param {string} options.passphrase - Passphrase for encrypted backups
+ * @returns {Promise<Object>} { backup, errors, needsPassphrase } where backup is null
+ *     if the file is unusable, and needsPassphrase is set when the file is encrypted
+ *     and no (or a wrong) passphrase was given
+ */
+export async function readBackup(text, options = {}) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        return { backup: null, errors: ['File is not valid JSON'], needsPassphrase: false };
+    }
+
+    if (isEncryptedBackup(raw)) {
+        if (!options.passphrase) {
+            return { backup: null, errors: [], needsPassphrase: true };
+        }
+
+        try {
+            raw = await decryptBackup(raw, options.passphrase);
+        } catch (error) {
+            return { backup: null, errors: [error.message], needsPassphrase: error.code === 'decrypt-failed' };
+        }
+    }
+
+    let backup;
+    try {
+        backup = migrateBackup(raw);
+    } catch (error) {
+        return { backup: null, errors: [error.message], needsPassphrase: false };
+    }
+
+    const { valid, errors } = validateBackup(backup);
+    if (!valid) {
+        return { backup: null, errors, needsPassphrase: false };
+    }
+
+    if (!await verifyChecksum(backup)) {
+        return { backup: null, errors: ['Checksum does not match; the file is damaged or was edited'], needsPassphrase: false };
+    }
+
+    return { backup, errors: [], needsPassphrase: false };
+}
+
+/**
+ * Count what a backup would restore, for the preview step
+ * @param {Object} backup - Validated backup
+ * @returns {Object} { favorites, notes, downloads, annotations, settings } counts
+ */
+export function summarizeBackup(backup) {
+    const { data, preferences = {} } = backup;
+    const notes = data.notes
+        ? Object.values(data.notes).reduce((total, list) => total + list.length, 0)
+        : 0;
+    const preferenceCount = ['theme', 'fontSize'].filter(key => preferences[key] != null).length;
+
+    return {
+        favorites: data.favorites ? data.favorites.length : 0,
+        notes,
+        downloads: data.downloads ? data.downloads.length : 0,
+        annotations: data.annotations ? data.annotations.length : 0,
+        settings: (data.settings ? data.settings.length : 0) + preferenceCount
+    };
+}
+
+export default {
+    createBackup,
+    encryptBackup,
+    isEncryptedBackup,
+    decryptBackup,
+    getFormatVersion,
+    migrateBackup,
+    validateBackup,
+    verifyChecksum,
+    readBackup,
+    summarizeBackup
+};
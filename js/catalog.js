@@ -0,0 +1,529 @@
+// js/catalog.js
+
+/**
+ * Expected shape of a resource entry in data/resources.json
+ */
+const RESOURCE_SCHEMA = {
+    id: { type: 'number', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    subject: { type: 'string', required: true },
+    type: { type: 'string' },
+    tags: { type: 'array' },
+    date: { type: 'string' },
+    size: { type: 'string' },
+    thumbnail: { type: 'string' },
+    filePath: { type: 'string', required: true },
+    category: { type: 'string', required: true },
+    pages: { type: 'number' },
+    downloads: { type: 'number' },
+    rating: { type: 'number' },
+    sha256: { type: 'string' }
+};
+
+/**
+ * Expected shape of a category entry in data/categories.json
+ */
+const CATEGORY_SCHEMA = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    icon: { type: 'string' },
+    color: { type: 'string' },
+    featured: { type: 'boolean' },
+    order: { type: 'number' },
+    tags: { type: 'array' }
+};
+
+// Tailwind gradients used for card thumbnails, keyed by subject color
+const SUBJECT_GRADIENTS = {
+    blue: 'from-blue-400 to-indigo-600',
+    green: 'from-green-400 to-emerald-600',
+    orange: 'from-orange-400 to-amber-600',
+    purple: 'from-purple-400 to-fuchsia-600'
+};
+
+const DEFAULT_GRADIENT = 'from-slate-400 to-slate-600';
+const THUMBNAIL_PATH = 'assets/images/thumbnails/';
+const CATALOG_SETTING_KEY = 'catalog';
+const CHANGES_SETTING_KEY = 'catalogChanges';
+
+// Fields that change constantly and are not worth announcing as updates
+const STAT_FIELDS = ['downloads', 'rating'];
+
+/**
+ * Check a record against a schema
+ * @param {Object} record - Record to check
+ * @param {Object} schema - Schema describing the expected fields
+ * @returns {Array<string>} List of problems, empty if the record is valid
+ */
+export function validateRecord(record, schema) {
+    if (!record || typeof record !== 'object') {
+        return ['record is not an object'];
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors.push(`missing required field "${field}"`);
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== rule.type) {
+            errors.push(`field "${field}" should be ${rule.type} but is ${actualType}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Convert a date in any supported format to an ISO date (YYYY-MM-DD)
+ * @param {string} value - Date such as "2023-03-12" or "12 March 2023"
+ * @returns {string|null} ISO date or null if it cannot be parsed
+ */
+export function normalizeDate(value) {
+    if (!value) return null;
+
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        return text.slice(0, 10);
+    }
+
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return null;
+
+    const month = String(parsed.getMonth() + 1).padStart(2, '0');
+    const day = String(parsed.getDate()).padStart(2, '0');
+    return `${parsed.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Convert a human readable size such as "2.4 MB" to bytes
+ * @param {string|number} size - Size to convert
+ * @returns {number} Size in bytes, or 0 if unknown
+ */
+export function parseFileSize(size) {
+    if (typeof size === 'number') return size;
+
+    const match = /^([\d.]+)\s*(bytes|b|kb|mb|gb)?$/i.exec(String(size || '').trim());
+    if (!match) return 0;
+
+    const units = { bytes: 1, b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    const unit = (match[2] || 'b').toLowerCase();
+    return Math.round(parseFloat(match[1]) * units[unit]);
+}
+
+/**
+ * Serialize a value with sorted object keys so equal records compare equal
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Compare two lists of resources
+ * @param {Array} previous - Resources currently stored
+ * @param {Array} next - Incoming resources
+ * @returns {Object} Object with added, changed and removed arrays; changed entries are
+ *     { resource, fields } where fields lists the keys that differ
+ */
+export function diffResources(previous, next) {
+    const previousById = new Map((previous || []).map(resource => [resource.id, resource]));
+    const nextIds = new Set();
+    const added = [];
+    const changed = [];
+
+    (next || []).forEach(resource => {
+        nextIds.add(resource.id);
+        const old = previousById.get(resource.id);
+        if (!old) {
+            added.push(resource);
+            return;
+        }
+
+        const keys = new Set([...Object.keys(old), ...Object.keys(resource)]);
+        const fields = [...keys].filter(key => stableStringify(old[key]) !== stableStringify(resource[key]));
+        if (fields.length > 0) {
+            changed.push({ resource, fields });
+        }
+    });
+
+    const removed = [...previousById.values()].filter(resource => !nextIds.has(resource.id));
+
+    return { added, changed, removed };
+}
+
+/**
+ * Coerce a value to a finite number
+ * @param {any} value - Value to coerce
+ * @param {number} fallback - Value used when coercion fails
+ * @returns {number} Coerced number
+ */
+function toNumber(value, fallback = 0) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Catalog Loader Class
+ * Loads resources and categories from the data/ JSON files, validates and
+ * normalizes them, and keeps a copy in IndexedDB for offline start-up
+ */
+export class CatalogLoader {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Optional URLs for the catalog files
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.resourcesUrl = options.resourcesUrl || 'data/resources.json';
+        this.categoriesUrl = options.categoriesUrl || 'data/categories.json';
+        this.resources = [];
+        this.categories = [];
+        this.subjects = [];
+        this.featured = [];
+        this.metadata = {};
+        this.changes = null;
+    }
+
+    /**
+     * Load the catalog, falling back to the IndexedDB copy when offline
+     * @returns {Promise<Object>} Catalog with resources, categories, subjects, featured and metadata
+     */
+    async load() {
+        let catalog;
+
+        try {
+            catalog = await this.fetchCatalog();
+            this.changes = await this.saveCatalog(catalog);
+        } catch (error) {
+            console.warn('Catalog fetch failed, using stored copy:', error);
+            catalog = await this.loadStoredCatalog();
+            if (!catalog) {
+                throw error;
+            }
+        }
+
+        Object.assign(this, catalog);
+        return catalog;
+    }
+
+    /**
+     * Fetch and normalize both catalog files from the network
+     * @returns {Promise<Object>} Normalized catalog
+     */
+    async fetchCatalog() {
+        const [resourceData, categoryData] = await Promise.all([
+            this.fetchJSON(this.resourcesUrl),
+            this.fetchJSON(this.categoriesUrl)
+        ]);
+
+        return this.parseCatalog(resourceData, categoryData);
+    }
+
+    /**
+     * Fetch a JSON file
+     * @param {string} url - URL of the file
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Validate and normalize raw catalog data
+     * @param {Object} resourceData - Contents of resources.json
+     * @param {Object} categoryData - Contents of categories.json
+     * @returns {Object} Normalized catalog
+     */
+    parseCatalog(resourceData, categoryData) {
+        if (!resourceData || !Array.isArray(resourceData.resources)) {
+            throw new Error('Invalid catalog: resources.json has no "resources" array');
+        }
+        if (!categoryData || !Array.isArray(categoryData.categories)) {
+            throw new Error('Invalid catalog: categories.json has no "categories" array');
+        }
+
+        const subjects = Array.isArray(resourceData.subjects) ? resourceData.subjects : [];
+
+        const categories = categoryData.categories
+            .map(category => this.normalizeCategory(category))
+            .filter(category => this.isValid(category, CATEGORY_SCHEMA, 'category'))
+            .sort((a, b) => a.order - b.order);
+
+        const categoryIds = new Set(categories.map(category => category.id));
+        const resources = resourceData.resources
+            .map(resource => this.normalizeResource(resource, subjects, categoryIds))
+            .filter(resource => this.isValid(resource, RESOURCE_SCHEMA, 'resource'));
+
+        // Downloads of these are saved unchecked; see "Offline downloads" in the README
+        const unhashed = resources.filter(resource => !resource.sha256).map(resource => resource.id);
+        if (unhashed.length > 0) {
+            console.warn(`Catalog entries without a sha256 hash, downloaded unverified: ${unhashed.join(', ')}`);
+        }
+
+        return {
+            resources,
+            categories,
+            subjects,
+            featured: this.normalizeFeatured(categoryData.featured, categoryIds),
+            metadata: { ...categoryData.metadata, ...resourceData.metadata }
+        };
+    }
+
+    /**
+     * Check a normalized record and log why it is rejected
+     * @param {Object} record - Record to check
+     * @param {Object} schema - Schema to check against
+     * @param {string} label - Record kind used in the log message
+     * @returns {boolean} True if the record is valid
+     */
+    isValid(record, schema, label) {
+        const errors = validateRecord(record, schema);
+        if (errors.length > 0) {
+            console.warn(`Skipping invalid ${label} ${record && record.id}:`, errors.join(', '));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Normalize a resource entry
+     * @param {Object} resource - Raw resource
+     * @param {Array} subjects - Subject metadata used for colors
+     * @param {Set<string>} categoryIds - Known category IDs
+     * @returns {Object} Normalized resource
+     */
+    normalizeResource(resource, subjects, categoryIds) {
+        if (!resource || typeof resource !== 'object') return resource;
+
+        const subjectName = String(resource.subject || '').trim();
+        const subject = subjects.find(s => s.name.toLowerCase() === subjectName.toLowerCase() ||
+            s.id === subjectName.toLowerCase());
+
+        // The thumbnail is either a Tailwind gradient or an image filename
+        const thumbnail = String(resource.thumbnail || '').trim();
+        const isGradient = thumbnail.startsWith('from-');
+        const gradient = isGradient
+            ? thumbnail
+            : SUBJECT_GRADIENTS[subject && subject.color] || DEFAULT_GRADIENT;
+        let image = null;
+        if (thumbnail && !isGradient) {
+            image = thumbnail.includes('/') ? thumbnail : THUMBNAIL_PATH + thumbnail;
+        }
+
+        const category = String(resource.category || '').trim();
+
+        return {
+            ...resource,
+            id: toNumber(resource.id, resource.id),
+            title: String(resource.title || '').trim(),
+            description: String(resource.description || '').trim(),
+            subject: subjectName,
+            type: String(resource.type || 'PDF').trim(),
+            tags: Array.isArray(resource.tags) ? resource.tags.map(tag => String(tag).trim()).filter(Boolean) : [],
+            date: normalizeDate(resource.date) || '',
+            size: String(resource.size || '').trim(),
+            sizeBytes: parseFileSize(resource.size),
+            thumbnail: image,
+            gradient,
+            category: categoryIds.has(category) ? category : 'other',
+            pages: toNumber(resource.pages),
+            downloads: toNumber(resource.downloads),
+            rating: toNumber(resource.rating)
+        };
+    }
+
+    /**
+     * Normalize a category entry
+     * @param {Object} category - Raw category
+     * @returns {Object} Normalized category
+     */
+    normalizeCategory(category) {
+        if (!category || typeof category !== 'object') return category;
+
+        return {
+            ...category,
+            description: category.description || '',
+            icon: category.icon || 'folder',
+            color: category.color || 'blue',
+            featured: !!category.featured,
+            order: toNumber(category.order, Number.MAX_SAFE_INTEGER),
+            tags: Array.isArray(category.tags) ? category.tags : []
+        };
+    }
+
+    /**
+     * Normalize the featured collections, dropping entries for unknown categories
+     * @param {Array} featured - Raw "featured" array from categories.json
+     * @param {Set<string>} categoryIds - Known category IDs
+     * @returns {Array} Featured entries with resolved thumbnail paths
+     */
+    normalizeFeatured(featured, categoryIds) {
+        if (!Array.isArray(featured)) return [];
+
+        return featured
+            .filter(item => item && categoryIds.has(item.categoryId) && String(item.title || '').trim())
+            .map(item => {
+                const thumbnail = String(item.thumbnail || '').trim();
+                return {
+                    ...item,
+                    title: String(item.title).trim(),
+                    description: String(item.description || '').trim(),
+                    thumbnail: thumbnail && !thumbnail.includes('/') ? THUMBNAIL_PATH + thumbnail : thumbnail || null
+                };
+            });
+    }
+
+    /**
+     * Store the catalog in IndexedDB, writing only the entries that changed
+     * @param {Object} catalog - Normalized catalog
+     * @returns {Promise<Object|null>} Applied changes, or null if nothing was compared
+     */
+    async saveCatalog(catalog) {
+        if (!this.storage || !this.storage.db) return null;
+
+        const storedMeta = await this.storage.getSetting(CATALOG_SETTING_KEY);
+        const stored = await this.storage.getAllResources();
+        const isFirstRun = stored.length === 0;
+
+        // Same version and timestamp as what we already have, nothing to do
+        if (!isFirstRun && storedMeta && this.isSameVersion(storedMeta.metadata, catalog.metadata)) {
+            return null;
+        }
+
+        const changes = diffResources(stored, catalog.resources);
+        // The first seed is not news; later additions and edits are
+        const whatsNew = isFirstRun ? null : this.summarizeChanges(changes, catalog.metadata);
+        await this.applyChanges(changes, catalog, whatsNew);
+
+        return changes;
+    }
+
+    /**
+     * Check whether two catalog metadata objects describe the same release
+     * @param {Object} a - First metadata object
+     * @param {Object} b - Second metadata object
+     * @returns {boolean} True if version and lastUpdated both match
+     */
+    isSameVersion(a, b) {
+        if (!a || !b) return false;
+        return a.version === b.version && a.lastUpdated === b.lastUpdated;
+    }
+
+    /**
+     * Write a diff, the catalog version and the "What's new" list in one transaction
+     * A failed write leaves the old resources and version, so the next load retries.
+     * @param {Object} changes - Result of diffResources
+     * @param {Object} catalog - Normalized catalog the diff leads to
+     * @param {Object|null} whatsNew - Result of summarizeChanges, or null to keep the current list
+     * @returns {Promise<void>}
+     */
+    async applyChanges(changes, catalog, whatsNew) {
+        await this.storage.runTransaction(['resources', 'settings'], 'readwrite', ({ resources, settings }) => {
+            changes.added.forEach(resource => resources.put(resource));
+            changes.changed.forEach(({ resource }) => resources.put(resource));
+            changes.removed.forEach(resource => resources.delete(resource.id));
+
+            settings.put({
+                key: CATALOG_SETTING_KEY,
+                value: {
+                    categories: catalog.categories,
+                    subjects: catalog.subjects,
+                    featured: catalog.featured,
+                    metadata: catalog.metadata
+                }
+            });
+            if (whatsNew) {
+                settings.put({ key: CHANGES_SETTING_KEY, value: whatsNew });
+            }
+        });
+    }
+
+    /**
+     * Build the "What's new" list from the user-visible part of a diff
+     * @param {Object} changes - Result of diffResources
+     * @param {Object} metadata - Metadata of the incoming catalog
+     * @returns {Object|null} List to save, or null if nothing visible changed
+     */
+    summarizeChanges(changes, metadata) {
+        const summarize = resource => ({ id: resource.id, title: resource.title, category: resource.category });
+        const updated = changes.changed
+            .filter(change => change.fields.some(field => !STAT_FIELDS.includes(field)))
+            .map(change => summarize(change.resource));
+
+        if (changes.added.length === 0 && updated.length === 0 && changes.removed.length === 0) {
+            return null;
+        }
+
+        return {
+            version: metadata.version || null,
+            lastUpdated: metadata.lastUpdated || null,
+            date: new Date().toISOString(),
+            added: changes.added.map(summarize),
+            updated,
+            removed: changes.removed.map(summarize),
+            seen: false
+        };
+    }
+
+    /**
+     * Get the most recent "What's new" list
+     * @returns {Promise<Object|null>} Recorded changes or null if there are none
+     */
+    async getWhatsNew() {
+        if (!this.storage || !this.storage.db) return null;
+        return await this.storage.getSetting(CHANGES_SETTING_KEY) || null;
+    }
+
+    /**
+     * Mark the current "What's new" list as seen
+     * @returns {Promise<void>}
+     */
+    async markWhatsNewSeen() {
+        const whatsNew = await this.getWhatsNew();
+        if (whatsNew && !whatsNew.seen) {
+            await this.storage.saveSetting(CHANGES_SETTING_KEY, { ...whatsNew, seen: true });
+        }
+    }
+
+    /**
+     * Read the catalog previously stored in IndexedDB
+     * @returns {Promise<Object|null>} Stored catalog or null if nothing is stored
+     */
+    async loadStoredCatalog() {
+        if (!this.storage || !this.storage.db) return null;
+
+        const resources = await this.storage.getAllResources();
+        if (!resources || resources.length === 0) return null;
+
+        const meta = await this.storage.getSetting(CATALOG_SETTING_KEY) || {};
+        return {
+            resources,
+            categories: meta.categories || [],
+            subjects: meta.subjects || [],
+            featured: meta.featured || [],
+            metadata: meta.metadata || {}
+        };
+    }
+}
+
+// Export the class as default
+export default CatalogLoader;
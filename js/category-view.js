@@ -0,0 +1,327 @@
+// js/category-view.js
+
+// Tailwind classes per category color from categories.json
+const COLOR_CLASSES = {
+    blue: { icon: 'bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400', gradient: 'from-blue-400 to-indigo-600' },
+    green: { icon: 'bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400', gradient: 'from-green-400 to-emerald-600' },
+    orange: { icon: 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400', gradient: 'from-orange-400 to-amber-600' },
+    purple: { icon: 'bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400', gradient: 'from-purple-400 to-fuchsia-600' },
+    indigo: { icon: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400', gradient: 'from-indigo-400 to-violet-600' },
+    pink: { icon: 'bg-pink-100 dark:bg-pink-900/30 text-pink-600 dark:text-pink-400', gradient: 'from-pink-400 to-rose-600' },
+    yellow: { icon: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400', gradient: 'from-yellow-400 to-orange-500' },
+    gray: { icon: 'bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300', gradient: 'from-slate-400 to-slate-600' }
+};
+
+const ACTIVE_LINK_CLASSES = ['bg-blue-50', 'dark:bg-slate-700', 'text-blue-600', 'dark:text-blue-400'];
+const IDLE_LINK_CLASSES = ['hover:bg-slate-100', 'dark:hover:bg-slate-700'];
+
+/**
+ * Look up the classes for a category color
+ * @param {string} color - Color name from categories.json
+ * @returns {Object} { icon, gradient } class strings
+ */
+export function colorClasses(color) {
+    return COLOR_CLASSES[color] || COLOR_CLASSES.gray;
+}
+
+/**
+ * Count resources per category
+ * The dashboard counts every resource.
+ * @param {Array} resources - Loaded catalog resources
+ * @param {Array} categories - Catalog categories
+ * @returns {Object} Map of category ID to number of resources
+ */
+export function countByCategory(resources, categories) {
+    const counts = {};
+    categories.forEach(category => {
+        counts[category.id] = 0;
+    });
+    resources.forEach(resource => {
+        counts[resource.category] = (counts[resource.category] || 0) + 1;
+    });
+    if ('dashboard' in counts) {
+        counts.dashboard = resources.length;
+    }
+    return counts;
+}
+
+/**
+ * Category View Class
+ * Renders the sidebar navigation, the dashboard category cards, the featured
+ * carousel and the header of a category page from categories.json, with
+ * counts taken from the loaded catalog.
+ */
+export class CategoryView {
+    /**
+     * @param {Object} elements - Containers to render into; any may be missing
+     * @param {HTMLElement} elements.nav - Sidebar navigation list
+     * @param {HTMLElement} elements.cards - Existing category card grid; created when missing
+     * @param {HTMLElement} elements.dashboard - Element the dashboard sections go at the top of
+     * @param {Object} options - Options
+     * @param {Function} options.onSelect - Called with a category ID when one is picked
+     */
+    constructor(elements, options = {}) {
+        this.nav = elements.nav || null;
+        this.cards = elements.cards || null;
+        this.dashboard = elements.dashboard || null;
+        this.onSelect = options.onSelect || (() => {});
+        this.categories = [];
+        this.featured = [];
+        this.counts = {};
+        this.activeId = null;
+
+        this.createSections();
+    }
+
+    /**
+     * Create the category header, carousel and card grid at the top of the dashboard
+     */
+    createSections() {
+        if (!this.dashboard) return;
+
+        this.header = document.createElement('section');
+        this.header.id = 'category-header';
+        this.header.className = 'category-header hidden mb-6';
+
+        this.carousel = document.createElement('section');
+        this.carousel.id = 'featured-carousel';
+        this.carousel.className = 'featured-carousel hidden mb-6';
+        this.carousel.setAttribute('aria-roledescription', 'carousel');
+        this.carousel.setAttribute('aria-label', 'Featured');
+
+        if (this.cards) {
+            this.dashboard.prepend(this.header, this.carousel);
+            return;
+        }
+
+        this.cards = document.createElement('section');
+        this.cards.id = 'category-cards';
+        this.cards.className = 'category-cards hidden grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 mb-6';
+
+        this.dashboard.prepend(this.header, this.carousel, this.cards);
+    }
+
+    /**
+     * Render everything for a catalog
+     * @param {Object} catalog - { categories, featured, resources } from CatalogLoader
+     */
+    render(catalog) {
+        this.categories = catalog.categories.slice().sort((a, b) => a.order - b.order);
+        this.counts = countByCategory(catalog.resources, this.categories);
+        this.featured = (catalog.featured || []).filter(item => this.getCategory(item.categoryId));
+
+        this.renderNav();
+        this.renderCards();
+        this.renderFeatured();
+        this.setActive(this.activeId);
+    }
+
+    /**
+     * Find a category by ID
+     * @param {string} id - Category ID
+     * @returns {Object|undefined} Category
+     */
+    getCategory(id) {
+        return this.categories.find(category => category.id === id);
+    }
+
+    /**
+     * Render the sidebar links, one per category
+     */
+    renderNav() {
+        if (!this.nav) return;
+
+        this.nav.innerHTML = '';
+        this.categories.forEach(category => {
+            const link = document.createElement('a');
+            link.href = category.id === 'dashboard' ? '#/' : `#/category/${encodeURIComponent(category.id)}`;
+            link.className = `nav-link flex items-center justify-between px-3 py-2 rounded-lg ${IDLE_LINK_CLASSES.join(' ')}`;
+            link.dataset.category = category.id;
+            link.innerHTML = `
+                <span class="flex items-center">
+                    <i data-lucide="${category.icon}" class="w-5 h-5 mr-3"></i>
+                    <span class="nav-link-name"></span>
+                </span>
+                <span class="nav-link-count text-xs text-slate-500 dark:text-slate-400">${this.counts[category.id] || 0}</span>
+            `;
+            link.querySelector('.nav-link-name').textContent = category.name;
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.onSelect(category.id);
+            });
+            this.nav.appendChild(link);
+        });
+    }
+
+    /**
+     * Render a card for each featured category on the dashboard
+     */
+    renderCards() {
+        if (!this.cards) return;
+
+        this.cards.innerHTML = '';
+        this.categories.filter(category => category.featured).forEach(category => {
+            const card = document.createElement('button');
+            card.className = 'category-card text-left bg-white dark:bg-slate-800 rounded-xl shadow-sm p-4 hover:shadow-md transition-shadow';
+            card.dataset.category = category.id;
+            card.innerHTML = `
+                <span class="flex items-center justify-between mb-3">
+                    <span class="w-10 h-10 rounded-lg flex items-center justify-center ${colorClasses(category.color).icon}">
+                        <i data-lucide="${category.icon}" class="w-5 h-5"></i>
+                    </span>
+                    <span class="category-count text-sm text-slate-500 dark:text-slate-400"></span>
+                </span>
+                <span class="category-name block font-semibold"></span>
+                <span class="category-description block text-xs text-slate-500 dark:text-slate-400 mt-1"></span>
+            `;
+            const count = this.counts[category.id] || 0;
+            card.querySelector('.category-count').textContent = `${count} resource${count === 1 ? '' : 's'}`;
+            card.querySelector('.category-name').textContent = category.name;
+            card.querySelector('.category-description').textContent = category.description;
+            card.addEventListener('click', () => this.onSelect(category.id));
+            this.cards.appendChild(card);
+        });
+    }
+
+    /**
+     * Render the featured collections as a scrolling carousel
+     */
+    renderFeatured() {
+        if (!this.carousel) return;
+
+        this.carousel.innerHTML = '';
+        if (this.featured.length === 0) return;
+
+        this.carousel.innerHTML = `
+            <div class="flex justify-between items-center mb-3">
+                <h2 class="font-semibold flex items-center">
+                    <i data-lucide="star" class="w-5 h-5 mr-2 text-yellow-500"></i> Featured
+                </h2>
+                <div class="flex space-x-2">
+                    <button class="carousel-prev p-1 rounded-lg bg-slate-100 dark:bg-slate-700" aria-label="Previous featured item">
+                        <i data-lucide="chevron-left" class="w-4 h-4"></i>
+                    </button>
+                    <button class="carousel-next p-1 rounded-lg bg-slate-100 dark:bg-slate-700" aria-label="Next featured item">
+                        <i data-lucide="chevron-right" class="w-4 h-4"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="carousel-track flex gap-4 overflow-x-auto snap-x snap-mandatory pb-2"></div>
+        `;
+
+        const track = this.carousel.querySelector('.carousel-track');
+        this.featured.forEach((item, index) => {
+            const category = this.getCategory(item.categoryId);
+            const slide = document.createElement('button');
+            slide.className = `featured-item snap-start flex-shrink-0 w-64 text-left rounded-xl overflow-hidden shadow-sm bg-gradient-to-r ${colorClasses(category.color).gradient} text-white`;
+            slide.dataset.category = item.categoryId;
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${index + 1} of ${this.featured.length}`);
+            slide.innerHTML = `
+                <span class="block h-28 overflow-hidden">
+                    ${item.thumbnail ? `<img src="${item.thumbnail}" alt="" loading="lazy" class="featured-thumbnail w-full h-full object-cover">` : ''}
+                </span>
+                <span class="block p-3">
+                    <span class="featured-title block font-semibold"></span>
+                    <span class="featured-description block text-xs opacity-90 mt-1"></span>
+                    <span class="featured-category block text-xs mt-2 opacity-75"></span>
+                </span>
+            `;
+            slide.querySelector('.featured-title').textContent = item.title;
+            slide.querySelector('.featured-description').textContent = item.description || '';
+            slide.querySelector('.featured-category').textContent = category.name;
+
+            // Missing thumbnails fall back to the category gradient
+            const image = slide.querySelector('img');
+            if (image) {
+                image.addEventListener('error', () => image.remove());
+            }
+
+            slide.addEventListener('click', () => this.onSelect(item.categoryId));
+            track.appendChild(slide);
+        });
+
+        const scrollBy = direction => {
+            const slide = track.firstElementChild;
+            const width = slide ? slide.getBoundingClientRect().width + 16 : track.clientWidth;
+            track.scrollBy({ left: direction * width, behavior: 'smooth' });
+        };
+        this.carousel.querySelector('.carousel-prev').addEventListener('click', () => scrollBy(-1));
+        this.carousel.querySelector('.carousel-next').addEventListener('click', () => scrollBy(1));
+    }
+
+    /**
+     * Render the title block of a category page
+     * @param {Object} category - Category being shown
+     */
+    renderHeader(category) {
+        const count = this.counts[category.id] || 0;
+        this.header.innerHTML = `
+            <div class="flex items-center">
+                <span class="w-12 h-12 rounded-xl flex items-center justify-center mr-4 ${colorClasses(category.color).icon}">
+                    <i data-lucide="${category.icon}" class="w-6 h-6"></i>
+                </span>
+                <div>
+                    <h1 class="category-title text-xl font-bold"></h1>
+                    <p class="category-description text-sm text-slate-500 dark:text-slate-400"></p>
+                </div>
+                <span class="ml-auto text-sm text-slate-500 dark:text-slate-400">${count} resource${count === 1 ? '' : 's'}</span>
+            </div>
+            <div class="category-tags flex flex-wrap gap-2 mt-3"></div>
+        `;
+        this.header.querySelector('.category-title').textContent = category.name;
+        this.header.querySelector('.category-description').textContent = category.description;
+
+        const tags = this.header.querySelector('.category-tags');
+        category.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 text-xs px-2 py-1 rounded';
+            chip.textContent = tag;
+            tags.appendChild(chip);
+        });
+    }
+
+    /**
+     * Show the sections for the current view and highlight its nav link
+     * The dashboard gets the carousel and cards; a category page gets its header.
+     * @param {string|null} categoryId - Category shown, or null for views such as bookmarks
+     * @param {Object} options - Options
+     * @param {boolean} options.browsing - False while searching, which hides the dashboard sections
+     */
+    setActive(categoryId, options = {}) {
+        this.activeId = categoryId;
+        const browsing = options.browsing !== false;
+
+        if (this.nav) {
+            this.nav.querySelectorAll('.nav-link').forEach(link => {
+                const active = link.dataset.category === categoryId;
+                ACTIVE_LINK_CLASSES.forEach(name => link.classList.toggle(name, active));
+                IDLE_LINK_CLASSES.forEach(name => link.classList.toggle(name, !active));
+                if (active) {
+                    link.setAttribute('aria-current', 'page');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        }
+
+        if (!this.dashboard) return;
+
+        const onDashboard = browsing && categoryId === 'dashboard';
+        const category = browsing && categoryId && categoryId !== 'dashboard' ? this.getCategory(categoryId) : null;
+
+        this.carousel.classList.toggle('hidden', !onDashboard || this.featured.length === 0);
+        this.cards.classList.toggle('hidden', !onDashboard);
+        this.header.classList.toggle('hidden', !category);
+        if (category) {
+            this.renderHeader(category);
+        }
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+}
+
+// Export the class as default
+export default CategoryView;
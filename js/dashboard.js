@@ -0,0 +1,253 @@
+// js/dashboard.js
+
+// How much each kind of interest counts towards a recommendation
+const FAVORITE_WEIGHT = 3;
+const VIEW_WEIGHT = 1;
+// A tag match counts for less than a subject match, since resources have several tags
+const TAG_FACTOR = 0.5;
+
+/**
+ * Get the time a note was last written
+ * @param {Object} note - Note object
+ * @returns {number} Milliseconds since the epoch, or 0 if unknown
+ */
+function noteTime(note) {
+    const time = Date.parse(note.updatedAt || note.date);
+    return Number.isNaN(time) ? Number(note.id) || 0 : time;
+}
+
+/**
+ * Add weight to a subject or tag in an interest profile
+ * @param {Map} profile - Map of lowercased key to weight
+ * @param {string} key - Subject or tag
+ * @param {number} weight - Weight to add
+ */
+function addInterest(profile, key, weight) {
+    const name = String(key || '').trim().toLowerCase();
+    if (!name) return;
+    profile.set(name, (profile.get(name) || 0) + weight);
+}
+
+/**
+ * Build the subjects and tags a student is interested in
+ * Favorites count the most; views count by how often, and by how far the
+ * student read into the resource.
+ * @param {Array} resources - Catalog resources
+ * @param {Object} activity - Student activity
+ * @param {Array<number>} activity.favorites - Favorite resource IDs
+ * @param {Array} activity.history - View history entries { resourceId, views }
+ * @param {Object} activity.progress - Reading progress keyed by resource ID
+ * @returns {Object} { subjects, tags } as Maps of name to weight
+ */
+export function buildInterestProfile(resources, activity = {}) {
+    const byId = new Map(resources.map(resource => [resource.id, resource]));
+    const subjects = new Map();
+    const tags = new Map();
+
+    const add = (resource, weight) => {
+        addInterest(subjects, resource.subject, weight);
+        resource.tags.forEach(tag => addInterest(tags, tag, weight * TAG_FACTOR));
+    };
+
+    (activity.favorites || []).forEach(id => {
+        const resource = byId.get(id);
+        if (resource) add(resource, FAVORITE_WEIGHT);
+    });
+
+    (activity.history || []).forEach(entry => {
+        const resource = byId.get(entry.resourceId);
+        if (!resource) return;
+
+        const progress = activity.progress && activity.progress[entry.resourceId];
+        const readShare = progress && progress.percent ? progress.percent / 100 : 0;
+        add(resource, VIEW_WEIGHT * Math.log2(1 + (entry.views || 1)) + readShare);
+    });
+
+    return { subjects, tags };
+}
+
+/**
+ * Recommend resources from the student's favorites and reading, computed locally
+ * Resources the student already favorited or viewed are left out. Without any
+ * activity yet, the most downloaded resources are suggested instead.
+ * @param {Array} resources - Catalog resources
+ * @param {Object} activity - { favorites, history, progress } as for buildInterestProfile
+ * @param {Object} options - Options
+ * @param {number} options.limit - Most resources to return
+ * @returns {Array} Recommended resources, best first
+ */
+export function recommendResources(resources, activity = {}, options = {}) {
+    const limit = options.limit || 6;
+    const seen = new Set([
+        ...(activity.favorites || []),
+        ...(activity.history || []).map(entry => entry.resourceId)
+    ]);
+    const candidates = resources.filter(resource => !seen.has(resource.id));
+    const popularity = (a, b) => (b.rating || 0) - (a.rating || 0) || (b.downloads || 0) - (a.downloads || 0);
+
+    const { subjects, tags } = buildInterestProfile(resources, activity);
+    if (subjects.size === 0) {
+        return candidates.slice().sort((a, b) => (b.downloads || 0) - (a.downloads || 0)).slice(0, limit);
+    }
+
+    return candidates
+        .map(resource => ({
+            resource,
+            score: (subjects.get(resource.subject.toLowerCase()) || 0) +
+                resource.tags.reduce((sum, tag) => sum + (tags.get(tag.toLowerCase()) || 0), 0)
+        }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || popularity(a.resource, b.resource))
+        .slice(0, limit)
+        .map(item => item.resource);
+}
+
+/**
+ * Get the most recently written notes
+ * @param {Object} notes - Notes keyed by resource ID
+ * @param {number} limit - Most notes to return
+ * @returns {Array} Notes, newest first
+ */
+export function recentNotes(notes, limit = 5) {
+    return Object.values(notes)
+        .flat()
+        .sort((a, b) => noteTime(b) - noteTime(a))
+        .slice(0, limit);
+}
+
+/**
+ * Dashboard Class
+ * Renders the personal sections of the dashboard: continue reading, recent
+ * notes, favorites and recommendations.
+ */
+export class Dashboard {
+    /**
+     * @param {HTMLElement} container - Element the sections are rendered into
+     * @param {Object} options - Options
+     * @param {Function} options.onOpen - Called with a resource ID when an item is picked
+     * @param {number} options.limit - Items per section
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onOpen = options.onOpen || (() => {});
+        this.limit = options.limit || 6;
+    }
+
+    /**
+     * Render every section
+     * Sections without items are left out, except recommendations.
+     * @param {Object} data - Dashboard data
+     * @param {Array} data.resources - Catalog resources
+     * @param {Array} data.history - View history, most recent first
+     * @param {Array<number>} data.favorites - Favorite resource IDs
+     * @param {Object} data.notes - Notes keyed by resource ID
+     * @param {Object} data.progress - Reading progress keyed by resource ID
+     */
+    render(data) {
+        const byId = new Map(data.resources.map(resource => [resource.id, resource]));
+        const lookup = ids => ids.map(id => byId.get(id)).filter(Boolean).slice(0, this.limit);
+
+        this.container.innerHTML = '';
+
+        const reading = lookup(data.history.map(entry => entry.resourceId));
+        if (reading.length > 0) {
+            this.addSection('Continue reading', 'book-open', reading.map(resource => this.createItem(resource, {
+                detail: this.progressLabel(data.progress[resource.id])
+            })));
+        }
+
+        const notes = recentNotes(data.notes, this.limit).filter(note => byId.has(note.resourceId));
+        if (notes.length > 0) {
+            this.addSection('Recent notes', 'sticky-note', notes.map(note => this.createItem(byId.get(note.resourceId), {
+                detail: note.content,
+                date: note.date
+            })));
+        }
+
+        // Newest favorites first
+        const favorites = lookup(data.favorites.slice().reverse());
+        if (favorites.length > 0) {
+            this.addSection('Favorites', 'heart', favorites.map(resource => this.createItem(resource)));
+        }
+
+        const recommended = recommendResources(data.resources, data, { limit: this.limit });
+        if (recommended.length > 0) {
+            this.addSection('Recommended for you', 'sparkles', recommended.map(resource => this.createItem(resource)));
+        }
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Describe how far a resource has been read
+     * @param {Object} progress - Progress object, if any
+     * @returns {string} Label such as "Page 12 of 40", or an empty string
+     */
+    progressLabel(progress) {
+        if (!progress || !progress.page) return '';
+        return progress.totalPages ? `Page ${progress.page} of ${progress.totalPages}` : `Page ${progress.page}`;
+    }
+
+    /**
+     * Add a titled, horizontally scrolling section
+     * @param {string} title - Section title
+     * @param {string} icon - Lucide icon name
+     * @param {Array<HTMLElement>} items - Items to show
+     */
+    addSection(title, icon, items) {
+        const section = document.createElement('section');
+        section.className = 'dashboard-section mb-6';
+        section.innerHTML = `
+            <h2 class="font-semibold flex items-center mb-3">
+                <i data-lucide="${icon}" class="w-5 h-5 mr-2 text-blue-600 dark:text-blue-400"></i>
+                <span class="dashboard-section-title"></span>
+            </h2>
+            <div class="dashboard-items flex gap-3 overflow-x-auto pb-2"></div>
+        `;
+        section.querySelector('.dashboard-section-title').textContent = title;
+        section.querySelector('.dashboard-items').append(...items);
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Create a compact item for a resource
+     * @param {Object} resource - Resource to show
+     * @param {Object} options - Options
+     * @param {string} options.detail - Second line, e.g. reading progress or a note
+     * @param {string} options.date - Date shown under the detail
+     * @returns {HTMLElement} Item element
+     */
+    createItem(resource, options = {}) {
+        const item = document.createElement('button');
+        item.className = 'dashboard-item flex-shrink-0 w-56 text-left bg-white dark:bg-slate-800 rounded-xl shadow-sm overflow-hidden hover:shadow-md transition-shadow';
+        item.dataset.id = resource.id;
+        item.innerHTML = `
+            <span class="block h-2 bg-gradient-to-r ${resource.gradient}"></span>
+            <span class="block p-3">
+                <span class="dashboard-item-title block font-medium text-sm truncate"></span>
+                <span class="dashboard-item-subject block text-xs text-slate-500 dark:text-slate-400"></span>
+                <span class="dashboard-item-detail block text-xs text-slate-600 dark:text-slate-300 mt-1 truncate"></span>
+                <span class="dashboard-item-date block text-xs text-slate-400 mt-1"></span>
+            </span>
+        `;
+        item.querySelector('.dashboard-item-title').textContent = resource.title;
+        item.querySelector('.dashboard-item-subject').textContent = `${resource.subject} • ${resource.type}`;
+        item.querySelector('.dashboard-item-detail').textContent = options.detail || '';
+        item.querySelector('.dashboard-item-date').textContent = options.date || '';
+        item.addEventListener('click', () => this.onOpen(resource.id));
+        return item;
+    }
+
+    /**
+     * Show or hide the sections
+     * @param {boolean} visible - True to show them
+     */
+    setVisible(visible) {
+        this.container.classList.toggle('hidden', !visible);
+    }
+}
+
+// Export the class as default
+export default Dashboard;
@@ -0,0 +1,389 @@
+// js/download-manager.js
+
+// Minimum time between progress callbacks while bytes arrive
+const PROGRESS_INTERVAL = 100;
+
+// Statuses in which a download can be resumed or retried
+const RESUMABLE = ['paused', 'failed'];
+
+/**
+ * Hash a blob with SHA-256
+ * @param {Blob} blob - Data to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read the full size from a Content-Range header
+ * @param {string|null} header - e.g. "bytes 1000-4999/5000"
+ * @returns {number} Total size in bytes, or 0 if unknown
+ */
+function totalFromContentRange(header) {
+    const match = /\/(\d+)\s*$/.exec(header || '');
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Download Manager Class
+ * Downloads resource files with streamed fetch, reporting real byte progress.
+ * Downloads can be paused and resumed with HTTP Range requests, cancelled and
+ * retried. Finished files are checked against the catalog's sha256 hash and
+ * kept in IndexedDB for offline use; partial data is kept on pause so a
+ * download can resume after a reload.
+ *
+ * Each download record is { id, resourceId, title, url, sha256, status,
+ * received, total, error, startedAt, completedAt, verified } where status is
+ * 'downloading', 'paused', 'completed' or 'failed'. A cancelled download is
+ * reported once with status 'canceled' and then dropped.
+ */
+export class DownloadManager {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Options
+     * @param {Function} options.onChange - Called with a download whenever it changes
+     * @param {Function} options.fetch - fetch implementation, for tests
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.onChange = options.onChange || (() => {});
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.downloads = [];
+        // Running transfers by download ID: { controller, reason }
+        this.active = new Map();
+    }
+
+    /**
+     * Load download records from storage
+     * Downloads interrupted by a reload come back paused, and records from
+     * before real downloads come back failed so they can be retried.
+     * @returns {Promise<Array>} Download records
+     */
+    async load() {
+        const records = await this.storage.getDownloads() || [];
+
+        this.downloads = [];
+        for (const record of records) {
+            let download = record;
+            if (!record.status) {
+                download = {
+                    ...record,
+                    url: null,
+                    status: 'failed',
+                    received: 0,
+                    total: 0,
+                    error: 'Download did not finish'
+                };
+                delete download.progress;
+            } else if (record.status === 'downloading' && !this.active.has(record.id)) {
+                download = { ...record, status: 'paused' };
+            }
+
+            if (download !== record) {
+                await this.storage.updateDownload(download);
+            }
+            this.downloads.push(download);
+        }
+
+        this.downloads.sort((a, b) => a.id - b.id);
+        return this.downloads;
+    }
+
+    /**
+     * Find a download by ID
+     * @param {number} id - Download ID
+     * @returns {Object|undefined} Download record
+     */
+    find(id) {
+        return this.downloads.find(download => download.id === id);
+    }
+
+    /**
+     * Find the download of a resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Object|undefined} Download record
+     */
+    findByResource(resourceId) {
+        return this.downloads.find(download => download.resourceId === resourceId);
+    }
+
+    /**
+     * Download a resource
+     * A resource already downloading or stored is not downloaded again; a
+     * paused or failed download of it is resumed instead.
+     * @param {Object} resource - Resource with a filePath
+     * @returns {Promise<Object>} The download once it completes, pauses or fails
+     */
+    async start(resource) {
+        const existing = this.findByResource(resource.id);
+        if (existing) {
+            if (existing.status === 'downloading') return existing;
+            if (existing.status === 'completed' && await this.getFile(resource.id)) return existing;
+            return this.resume(existing.id, resource);
+        }
+
+        const download = {
+            id: Date.now(),
+            resourceId: resource.id,
+            title: resource.title,
+            url: resource.filePath,
+            sha256: resource.sha256 || null,
+            status: 'downloading',
+            received: 0,
+            total: resource.sizeBytes || 0,
+            error: null,
+            startedAt: new Date().toISOString(),
+            completedAt: null,
+            verified: false
+        };
+
+        this.downloads.push(download);
+        await this.storage.addDownload(download);
+        return this.transfer(download);
+    }
+
+    /**
+     * Resume a paused download or retry a failed one
+     * @param {number} id - Download ID
+     * @param {Object} resource - Current catalog entry, to pick up a changed URL or hash
+     * @returns {Promise<Object>} The download once it completes, pauses or fails
+     */
+    async resume(id, resource = null) {
+        const download = this.find(id);
+        if (!download) return null;
+        if (download.status === 'completed') {
+            // Marked complete but the stored file is gone: download it again
+            download.received = 0;
+        } else if (!RESUMABLE.includes(download.status)) {
+            return download;
+        }
+
+        if (resource) {
+            download.url = resource.filePath;
+            download.sha256 = resource.sha256 || null;
+        }
+        return this.transfer(download);
+    }
+
+    /**
+     * Pause a running download, keeping what has arrived
+     * @param {number} id - Download ID
+     */
+    pause(id) {
+        const transfer = this.active.get(id);
+        if (!transfer) return;
+
+        transfer.reason = 'pause';
+        transfer.controller.abort();
+    }
+
+    /**
+     * Cancel a download and throw away its data
+     * @param {number} id - Download ID
+     * @returns {Promise<void>}
+     */
+    async cancel(id) {
+        const transfer = this.active.get(id);
+        if (transfer) {
+            // The transfer discards the download once it stops
+            transfer.reason = 'cancel';
+            transfer.controller.abort();
+            return;
+        }
+
+        const download = this.find(id);
+        if (download && download.status !== 'completed') {
+            await this.discard(download);
+        }
+    }
+
+    /**
+     * Remove a finished download from the list, keeping its offline copy
+     * @param {number} id - Download ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const download = this.find(id);
+        if (!download || download.status === 'downloading') return;
+
+        if (download.status === 'completed') {
+            await this.forget(download);
+        } else {
+            await this.discard(download);
+        }
+    }
+
+    /**
+     * Remove every completed download from the list, keeping their offline copies
+     * @returns {Promise<void>}
+     */
+    async clearCompleted() {
+        const completed = this.downloads.filter(download => download.status === 'completed');
+        for (const download of completed) {
+            await this.forget(download);
+        }
+    }
+
+    /**
+     * Get the stored offline copy of a resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<Object|null>} { resourceId, blob, size, type, sha256, storedAt } or null
+     */
+    async getFile(resourceId) {
+        const file = await this.storage.getFile(resourceId);
+        return file && file.complete ? file : null;
+    }
+
+    /**
+     * Fetch the file of a download, continuing from the bytes already stored
+     * @param {Object} download - Download record
+     * @returns {Promise<Object>} The download once it completes, pauses or fails
+     */
+    async transfer(download) {
+        const transfer = { controller: new AbortController(), reason: null };
+        this.active.set(download.id, transfer);
+
+        const partial = await this.storage.getFile(download.resourceId);
+        let chunks = partial && !partial.complete && download.received > 0 ? [partial.blob] : [];
+        let received = chunks.length > 0 ? partial.blob.size : 0;
+        let type = 'application/pdf';
+
+        download.status = 'downloading';
+        download.error = null;
+        download.received = received;
+        await this.save(download);
+
+        try {
+            if (!download.url) {
+                throw new Error('No file to download');
+            }
+
+            const headers = received > 0 ? { Range: `bytes=${received}-` } : {};
+            // The file goes to IndexedDB, so keep it out of the service worker's PDF cache
+            const response = await this.fetch(download.url, { headers, cache: 'no-store', signal: transfer.controller.signal });
+
+            if (response.status === 206) {
+                download.total = totalFromContentRange(response.headers.get('Content-Range')) || download.total;
+            } else if (response.ok) {
+                // The server ignored the range and sent the whole file
+                chunks = [];
+                received = 0;
+                download.total = Number(response.headers.get('Content-Length')) || download.total;
+            } else {
+                throw new Error(`Download failed: ${response.status}`);
+            }
+            type = response.headers.get('Content-Type') || type;
+
+            const reader = response.body.getReader();
+            let lastReport = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                chunks.push(value);
+                received += value.byteLength;
+                download.received = received;
+
+                const now = Date.now();
+                if (now - lastReport >= PROGRESS_INTERVAL) {
+                    lastReport = now;
+                    this.onChange(download);
+                }
+            }
+
+            const blob = new Blob(chunks, { type });
+            const hash = await sha256Hex(blob);
+            if (download.sha256 && hash !== download.sha256.toLowerCase()) {
+                throw Object.assign(new Error('File is corrupted: checksum does not match'), { code: 'integrity' });
+            }
+
+            await this.storage.saveFile({
+                resourceId: download.resourceId,
+                blob,
+                size: blob.size,
+                type,
+                sha256: hash,
+                complete: true,
+                storedAt: new Date().toISOString()
+            });
+
+            Object.assign(download, {
+                status: 'completed',
+                received: blob.size,
+                total: blob.size,
+                completedAt: new Date().toISOString(),
+                verified: !!download.sha256
+            });
+        } catch (error) {
+            if (transfer.reason === 'cancel') {
+                this.active.delete(download.id);
+                await this.discard(download);
+                return download;
+            }
+
+            if (error.code === 'integrity') {
+                // Corrupted data cannot be resumed; start over on retry
+                await this.storage.deleteFile(download.resourceId);
+                download.received = 0;
+            } else if (chunks.length > 0) {
+                await this.storage.saveFile({
+                    resourceId: download.resourceId,
+                    blob: new Blob(chunks, { type }),
+                    size: received,
+                    type,
+                    complete: false
+                });
+                download.received = received;
+            }
+
+            if (transfer.reason === 'pause') {
+                download.status = 'paused';
+            } else {
+                console.error('Download error:', error);
+                download.status = 'failed';
+                download.error = error.message;
+            }
+        }
+
+        this.active.delete(download.id);
+        await this.save(download);
+        return download;
+    }
+
+    /**
+     * Store a download record and report the change
+     * @param {Object} download - Download record
+     * @returns {Promise<void>}
+     */
+    async save(download) {
+        await this.storage.updateDownload(download);
+        this.onChange(download);
+    }
+
+    /**
+     * Drop a download record, keeping any stored file
+     * @param {Object} download - Download record
+     * @returns {Promise<void>}
+     */
+    async forget(download) {
+        this.downloads = this.downloads.filter(item => item.id !== download.id);
+        await this.storage.deleteDownload(download.id);
+        this.onChange(download);
+    }
+
+    /**
+     * Drop a download record together with its partial data
+     * @param {Object} download - Download record
+     * @returns {Promise<void>}
+     */
+    async discard(download) {
+        download.status = 'canceled';
+        await this.storage.deleteFile(download.resourceId);
+        await this.forget(download);
+    }
+}
+
+// Export the class as default
+export default DownloadManager;
@@ -0,0 +1,89 @@
+// js/fulltext-worker.js
+
+/**
+ * Full-text indexing worker for QNEET
+ * Runs as a module worker so PDF text extraction and index writes stay off the
+ * main thread. Receives { action: 'index', resources: [{ id, url, version }] }
+ * and reports progress with 'progress', 'indexed', 'error' and 'done' messages.
+ */
+
+import { QNEETStorage } from './storage.js';
+import { extractDocumentText } from './pdf-text.js';
+
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.min.js';
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+
+let storagePromise = null;
+let pdfjsPromise = null;
+let queue = Promise.resolve();
+
+/**
+ * Open the database once for the lifetime of the worker
+ * @returns {Promise<QNEETStorage>} Initialized storage
+ */
+function getStorage() {
+    if (!storagePromise) {
+        const storage = new QNEETStorage();
+        storagePromise = storage.init().then(() => storage);
+    }
+    return storagePromise;
+}
+
+/**
+ * Load PDF.js into the worker; its UMD build attaches itself to globalThis
+ * @returns {Promise<Object>} The pdfjsLib namespace
+ */
+function getPDFJS() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = (globalThis.pdfjsLib ? Promise.resolve() : import(PDFJS_URL)).then(() => {
+            globalThis.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return globalThis.pdfjsLib;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Extract and store the text of one resource
+ * @param {Object} resource - { id, url, version }
+ * @returns {Promise<number>} Number of pages indexed
+ */
+async function indexResource(resource) {
+    const [storage, pdfjsLib] = await Promise.all([getStorage(), getPDFJS()]);
+    const pdfDoc = await pdfjsLib.getDocument(resource.url).promise;
+
+    try {
+        const pages = await extractDocumentText(pdfDoc, (pageNum, numPages) => {
+            self.postMessage({ action: 'progress', resourceId: resource.id, page: pageNum, pages: numPages });
+        });
+        await storage.saveFulltextDocument({ resourceId: resource.id, version: resource.version }, pages);
+        return pages.length;
+    } finally {
+        pdfDoc.destroy();
+    }
+}
+
+/**
+ * Index resources one after another
+ * @param {Array<Object>} resources - Resources to index
+ */
+async function indexAll(resources) {
+    for (const resource of resources) {
+        try {
+            const pages = await indexResource(resource);
+            self.postMessage({ action: 'indexed', resourceId: resource.id, pages });
+        } catch (error) {
+            self.postMessage({ action: 'error', resourceId: resource.id, message: error.message });
+        }
+    }
+    self.postMessage({ action: 'done' });
+}
+
+self.addEventListener('message', event => {
+    const { action, resources } = event.data;
+
+    if (action === 'index') {
+        // Later requests wait for the current batch instead of racing it
+        queue = queue.then(() => indexAll(resources));
+    }
+});
@@ -0,0 +1,149 @@
+// js/fulltext.js
+
+import { tokenize, findInText, makeSnippet } from './pdf-text.js';
+
+/**
+ * Full-Text Search Class for QNEET
+ * Keeps an inverted index of every PDF's contents in IndexedDB, built by
+ * fulltext-worker.js, and answers queries with the resource, page and a snippet.
+ */
+export class FullTextSearch {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Options
+     * @param {Function} options.onIndexed - Called with (resourceId, pages) after a document is indexed
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.onIndexed = options.onIndexed || (() => {});
+        this.worker = null;
+    }
+
+    /**
+     * Start the indexing worker on first use
+     * @returns {Worker|null} Worker, or null where module workers are unavailable
+     */
+    getWorker() {
+        if (!this.worker && typeof Worker !== 'undefined') {
+            this.worker = new Worker(new URL('./fulltext-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', event => this.handleWorkerMessage(event.data));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Handle progress messages from the worker
+     * @param {Object} message - Message posted by fulltext-worker.js
+     */
+    handleWorkerMessage(message) {
+        if (message.action === 'indexed') {
+            this.onIndexed(message.resourceId, message.pages);
+        } else if (message.action === 'error') {
+            console.warn(`Full-text indexing failed for resource ${message.resourceId}:`, message.message);
+        }
+    }
+
+    /**
+     * Bring the index in line with the catalog
+     * Indexes PDFs that are new or changed and drops documents no longer in the catalog.
+     * @param {Array} resources - Current catalog resources
+     * @returns {Promise<number>} Number of resources queued for indexing
+     */
+    async indexResources(resources) {
+        const indexed = new Map((await this.storage.getFulltextDocuments()).map(doc => [doc.resourceId, doc]));
+        const current = new Set(resources.map(resource => resource.id));
+
+        for (const resourceId of indexed.keys()) {
+            if (!current.has(resourceId)) {
+                await this.storage.deleteFulltextDocument(resourceId);
+            }
+        }
+
+        const pending = resources
+            .filter(resource => resource.filePath && /\.pdf$/i.test(resource.filePath))
+            .map(resource => ({
+                id: resource.id,
+                url: new URL(resource.filePath, document.baseURI).href,
+                version: `${resource.filePath}@${resource.date}`
+            }))
+            .filter(resource => !indexed.has(resource.id) || indexed.get(resource.id).version !== resource.version);
+
+        const worker = pending.length > 0 ? this.getWorker() : null;
+        if (!worker) return 0;
+
+        worker.postMessage({ action: 'index', resources: pending });
+        return pending.length;
+    }
+
+    /**
+     * Find pages that contain every word of a query
+     * The last word also matches as a prefix, so results appear while typing.
+     * @param {string} query - Search text
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of pages to return
+     * @returns {Promise<Array>} Matches as { resourceId, page, snippet, count, exact }, exact
+     *     phrase matches first, then by number of occurrences
+     */
+    async search(query, options = {}) {
+        const limit = options.limit || 20;
+        const terms = tokenize(query);
+        if (terms.length === 0) return [];
+
+        const postingsList = await Promise.all(terms.map((term, i) =>
+            this.storage.getFulltextPostings(term, { prefix: i === terms.length - 1 })
+        ));
+
+        // Keep pages that contain every term, scored by total occurrences
+        let candidates = null;
+        postingsList.forEach(postings => {
+            const pages = new Map();
+            Object.entries(postings).forEach(([resourceId, pageCounts]) => {
+                Object.entries(pageCounts).forEach(([page, count]) => {
+                    const key = `${resourceId}:${page}`;
+                    if (candidates === null || candidates.has(key)) {
+                        pages.set(key, (candidates ? candidates.get(key) : 0) + count);
+                    }
+                });
+            });
+            candidates = pages;
+        });
+
+        const ranked = Array.from(candidates.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit * 2);
+
+        const results = [];
+        for (const [key, score] of ranked) {
+            const [resourceId, page] = key.split(':').map(Number);
+            const text = await this.storage.getFulltextPage(resourceId, page);
+            if (text === null) continue;
+
+            const phrase = findInText(text, query);
+            const first = phrase[0] || findInText(text, terms[0])[0];
+            results.push({
+                resourceId,
+                page,
+                snippet: first ? makeSnippet(text, first.start, first.end) : makeSnippet(text, 0, 0, 100),
+                count: phrase.length || score,
+                exact: phrase.length > 0
+            });
+        }
+
+        return results
+            .sort((a, b) => (b.exact - a.exact) || (b.count - a.count))
+            .slice(0, limit);
+    }
+
+    /**
+     * Stop the indexing worker
+     */
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export the class as default
+export default FullTextSearch;
@@ -2,8 +2,26 @@
 
 // Import required modules
 import { QNEETStorage } from './storage.js';
-import { PDFViewer } from './pdf-viewer.js';
-import { SearchEngine } from './utils.js';
+import { PDFReader } from './pdf-reader.js';
+import { SearchEngine, DateUtils, FileUtils, UIUtils } from './utils.js';
+import { parseQuery } from './search-query.js';
+import { SearchHistory, SearchSuggestions } from './search-suggestions.js';
+import { SynonymDictionary } from './synonyms.js';
+import { ResourceGrid, SORT_OPTIONS, DEFAULT_SORT, sortResources } from './resource-grid.js';
+import { Router } from './router.js';
+import { CategoryView } from './category-view.js';
+import { Dashboard } from './dashboard.js';
+import { CatalogLoader } from './catalog.js';
+import { DownloadManager } from './download-manager.js';
+import { OfflineLibrary } from './offline-library.js';
+import { ServiceWorkerUpdater, releaseNotesSince } from './sw-update.js';
+import { SyncEngine } from './sync.js';
+import { FullTextSearch } from './fulltext.js';
+import { createBackup, encryptBackup, readBackup, summarizeBackup } from './backup.js';
+
+// App version recorded in backups; keep in step with CACHE_VERSION in sw.js and
+// package.json (the catalog's metadata.version in data/ is versioned separately)
+const APP_VERSION = '1.4.0';
 
 // Initialize Lucide Icons
 lucide.createIcons();
@@ -42,6 +60,17 @@ const notyf = new Notyf({
                 tagName: 'i',
                 text: '<i data-lucide="alert-circle" class="w-5 h-5 text-white"></i>'
             }
+        },
+        {
+            type: 'update',
+            background: '#2563EB',
+            duration: 0,
+            dismissible: true,
+            icon: {
+                className: 'notyf-icon',
+                tagName: 'i',
+                text: '<i data-lucide="refresh-cw" class="w-5 h-5 text-white"></i>'
+            }
         }
     ]
 });
@@ -71,8 +100,8 @@ const bookmarkCount = document.getElementById('bookmark-count');
 const bookmarksBtn = document.getElementById('bookmarks-btn');
 const searchBar = document.getElementById('search-bar');
 const mobileSearch = document.getElementById('mobile-search');
-const navLinks = document.querySelectorAll('.nav-link');
-const categoryCards = document.querySelectorAll('.category-card');
+const staticNavLink = document.querySelector('.nav-link');
+const staticCategoryCard = document.querySelector('.category-card');
 const filterCheckboxes = document.querySelectorAll('.filter-checkbox');
 const previewResourceBtn = document.getElementById('preview-resource');
 const downloadResourceBtn = document.getElementById('download-resource');
@@ -89,16 +118,85 @@ let currentCategory = 'dashboard';
 let currentResource = null;
 let favorites = [];
 let notes = {};
-let downloads = [];
 let activeFilters = [];
+let currentQuery = '';
+let bookmarksOnly = false;
+let sortByCategory = {};
 let resources = [];
+let categories = [];
+let readingProgress = {};
+let offlineUrl = null;
+let viewHistory = [];
 let searchEngine = null;
+let fullTextSearchToken = 0;
 
 // Storage instance
 const storage = new QNEETStorage();
 
-// PDF Viewer instance
-const pdfViewer = new PDFViewer('pdf-viewer');
+// Catalog loader instance
+const catalogLoader = new CatalogLoader(storage);
+
+// Resource files downloaded for offline reading
+const downloader = new DownloadManager(storage, {
+    onChange: () => renderDownloads()
+});
+
+// Pinned and cached PDFs, evicted least recently opened first when space runs short
+const offlineLibrary = new OfflineLibrary(storage);
+
+// Favorites, notes and reading progress synced with the student's other devices
+const syncEngine = new SyncEngine(storage, {
+    onChange: () => applySyncedChanges()
+});
+
+// Push local changes shortly after they are made, batching bursts such as page turns
+const requestSync = UIUtils.debounce(() => scheduleSync(), 2000);
+
+// Resource cards, rendered in batches as the grid scrolls
+const gridView = new ResourceGrid(resourceGrid, {
+    renderCard: resource => createResourceCard(resource, favorites.includes(resource.id))
+});
+
+// Sidebar links, category cards and featured carousel from categories.json
+const categoryView = new CategoryView({
+    nav: document.getElementById('category-nav') || (staticNavLink && staticNavLink.parentElement) || createCategoryNav(),
+    cards: staticCategoryCard && staticCategoryCard.parentElement,
+    dashboard: dashboardView
+}, {
+    onSelect: category => switchCategory(category)
+});
+
+// Continue reading, recent notes, favorites and recommendations
+const dashboard = new Dashboard(createDashboardContainer(), {
+    onOpen: resourceId => router.navigate(`/resource/${resourceId}`)
+});
+
+// Recent and saved searches
+const searchHistory = new SearchHistory(storage);
+
+// Full-text index of PDF contents, built in a worker
+const fullTextSearch = new FullTextSearch(storage);
+
+// Full-screen PDF reader instance
+const pdfReader = new PDFReader(storage, {
+    notify: (type, message) => notyf.open({ type, message }),
+    onProgress: progress => {
+        readingProgress[progress.resourceId] = progress;
+        updateCardProgress(progress);
+        requestSync();
+    },
+    onPageChange: (resource, pageNum) => syncReaderRoute(resource, pageNum),
+    onClose: resource => {
+        releaseOfflineUrl();
+        leaveReaderRoute(resource);
+    }
+});
+
+// Hash routes for categories, resources, bookmarks and search
+const router = new Router({ notFound: showUnknownRoute });
+
+// True while the address shows a reader page this app added to the history
+let readerRoutePushed = false;
 
 // Initialize the app
 async function initApp() {
@@ -115,14 +213,26 @@ async function initApp() {
         // Initialize theme
         initTheme();
         
-        // Render initial view
-        renderResources();
+        // Initialize search engine with the NEET vocabulary from data/synonyms.json
+        const synonyms = await SynonymDictionary.load();
+        searchEngine = new SearchEngine(resources, categories, { synonyms });
+        
+        // Render the view the address asks for
+        setupRoutes();
+        router.start();
         renderDownloads();
         renderNotes();
         updateBookmarkCount();
         
-        // Initialize search engine
-        searchEngine = new SearchEngine(resources);
+        // Index PDF contents in the background
+        indexFullText();
+        freeUpSpace();
+        
+        // Show resources added since the last visit
+        await renderWhatsNew();
+        
+        // Catch up with changes made on other devices
+        syncUserData();
         
         console.log('QNEET App initialized successfully');
     } catch (error) {
@@ -134,101 +244,110 @@ async function initApp() {
 // Load data from storage
 async function loadData() {
     try {
-        // Load resources (in a real app, this would come from IndexedDB or API)
-        resources = await loadSampleResources();
+        // Load the catalog (falls back to IndexedDB when offline)
+        const catalog = await catalogLoader.load();
+        resources = catalog.resources;
+        categories = catalog.categories;
+        categoryView.render(catalog);
         
         // Load user data
-        favorites = await storage.getFavorites() || [];
-        notes = await storage.getAllNotes() || {};
-        downloads = await storage.getDownloads() || [];
+        await loadUserData();
     } catch (error) {
         console.error('Error loading data:', error);
         notyf.error('Failed to load user data');
     }
 }
 
-// Load sample resources (in a real app, this would come from IndexedDB or API)
-async function loadSampleResources() {
-    return [
-        {
-            id: 1,
-            title: "Physics Formula Sheet",
-            description: "Comprehensive formula sheet for NEET Physics covering all important equations and concepts.",
-            subject: "Physics",
-            type: "PDF",
-            tags: ["Formulas", "Physics", "NEET 2023"],
-            date: "12 March 2023",
-            size: "2.4 MB",
-            thumbnail: "from-blue-400 to-indigo-600",
-            category: "formula-sheets",
-            filePath: "assets/pdfs/physics-formulas.pdf"
-        },
-        {
-            id: 2,
-            title: "Organic Chemistry Notes",
-            description: "Detailed notes on organic chemistry reactions and mechanisms for NEET preparation.",
-            subject: "Chemistry",
-            type: "Note",
-            tags: ["Organic", "Chemistry", "Reactions"],
-            date: "15 March 2023",
-            size: "1.8 MB",
-            thumbnail: "from-green-400 to-emerald-600",
-            category: "short-notes",
-            filePath: "assets/pdfs/organic-chemistry.pdf"
-        },
-        {
-            id: 3,
-            title: "Biology Mindmap",
-            description: "Visual mindmap covering all important topics in NEET Biology for quick revision.",
-            subject: "Biology",
-            type: "Mindmap",
-            tags: ["Mindmap", "Biology", "Revision"],
-            date: "18 March 2023",
-            size: "3.2 MB",
-            thumbnail: "from-orange-400 to-amber-600",
-            category: "mindmaps",
-            filePath: "assets/pdfs/biology-mindmap.pdf"
-        },
-        {
-            id: 4,
-            title: "NEET 2022 Question Paper",
-            description: "Previous year question paper with solutions for NEET 2022.",
-            subject: "All",
-            type: "PYQ",
-            tags: ["PYQ", "NEET 2022", "Solutions"],
-            date: "20 March 2023",
-            size: "4.1 MB",
-            thumbnail: "from-purple-400 to-fuchsia-600",
-            category: "pyqs",
-            filePath: "assets/pdfs/neet-2022.pdf"
-        },
-        {
-            id: 5,
-            title: "Physics Problem Solving Guide",
-            description: "Step-by-step guide to solving complex physics problems for NEET.",
-            subject: "Physics",
-            type: "Guide",
-            tags: ["Physics", "Problem Solving", "Strategy"],
-            date: "22 March 2023",
-            size: "2.7 MB",
-            thumbnail: "from-cyan-400 to-teal-600",
-            category: "strategy-guides",
-            filePath: "assets/pdfs/physics-problem-solving.pdf"
-        },
-        {
-            id: 6,
-            title: "Chemistry NCERT Summary",
-            description: "Chapter-wise summary of NCERT Chemistry for quick revision.",
-            subject: "Chemistry",
-            type: "Summary",
-            tags: ["Chemistry", "NCERT", "Summary"],
-            date: "25 March 2023",
-            size: "1.9 MB",
-            thumbnail: "from-lime-400 to-green-600",
-            category: "short-notes",
-            filePath: "assets/pdfs/chemistry-ncert-summary.pdf"
+// Load favorites, notes, downloads and reading progress from storage
+async function loadUserData() {
+    favorites = await storage.getFavorites() || [];
+    notes = await storage.getAllNotes() || {};
+    await downloader.load();
+    await offlineLibrary.load();
+    await syncEngine.load();
+    await searchHistory.load();
+    sortByCategory = await storage.getSetting('resourceSort') || {};
+    viewHistory = await storage.getHistory();
+    
+    const progressList = await storage.getAllProgress();
+    readingProgress = {};
+    progressList.forEach(progress => {
+        readingProgress[progress.resourceId] = progress;
+    });
+}
+
+// Reload the catalog after the service worker found an update
+async function refreshCatalog() {
+    try {
+        const catalog = await catalogLoader.load();
+        resources = catalog.resources;
+        categories = catalog.categories;
+        categoryView.render(catalog);
+        updateCategoryView();
+        
+        if (searchEngine) {
+            searchEngine.updateResources(resources, categories);
         }
+        indexFullText();
+        
+        renderResources();
+        await renderWhatsNew();
+    } catch (error) {
+        console.error('Error refreshing catalog:', error);
+    }
+}
+
+// Render the "What's new" list recorded by the last catalog update
+async function renderWhatsNew() {
+    const whatsNew = await catalogLoader.getWhatsNew();
+    let panel = document.getElementById('whats-new');
+    
+    if (!whatsNew || whatsNew.seen) {
+        if (panel) panel.remove();
+        return;
+    }
+    
+    if (!panel) {
+        panel = document.createElement('section');
+        panel.id = 'whats-new';
+        panel.className = 'whats-new bg-white dark:bg-slate-800 rounded-xl shadow-sm p-4 mb-6';
+        dashboardView.prepend(panel);
+    }
+    
+    const items = [
+        ...whatsNew.added.map(item => ({ ...item, label: 'New' })),
+        ...whatsNew.updated.map(item => ({ ...item, label: 'Updated' }))
     ];
+    
+    panel.innerHTML = `
+        <div class="flex justify-between items-center mb-3">
+            <h2 class="font-semibold flex items-center">
+                <i data-lucide="sparkles" class="w-5 h-5 mr-2 text-blue-500"></i> What's new
+            </h2>
+            <button class="whats-new-dismiss text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300">Dismiss</button>
+        </div>
+        <ul class="space-y-2">
+            ${items.map(item => `
+                <li class="flex justify-between items-center text-sm">
+                    <span><span class="tag bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 text-xs px-2 py-1 rounded mr-2">${item.label}</span>${item.title}</span>
+                    <button class="preview-btn text-blue-600 dark:text-blue-400" data-id="${item.id}">Open</button>
+                </li>
+            `).join('')}
+        </ul>
+        ${whatsNew.removed.length > 0 ? `<p class="text-xs text-slate-500 dark:text-slate-400 mt-3">${whatsNew.removed.length} resource${whatsNew.removed.length > 1 ? 's were' : ' was'} removed from the library.</p>` : ''}
+    `;
+    
+    panel.querySelector('.whats-new-dismiss').addEventListener('click', async () => {
+        await catalogLoader.markWhatsNewSeen();
+        panel.remove();
+    });
+    
+    // Only announce changes applied by this load, not ones from an earlier visit
+    if (catalogLoader.changes && whatsNew.added.length > 0) {
+        notyf.success(`${whatsNew.added.length} new resource${whatsNew.added.length > 1 ? 's' : ''} added`);
+    }
+    
+    lucide.createIcons();
 }
 
 // Set up event listeners
@@ -255,6 +374,8 @@ function setupEventListeners() {
     // Settings Modal
     settingsBtn.addEventListener('click', () => {
         settingsModal.classList.remove('hidden');
+        renderOfflineLibrary();
+        renderSyncPanel();
     });
     
     closeSettings.addEventListener('click', () => {
@@ -288,14 +409,26 @@ function setupEventListeners() {
     document.addEventListener('click', (e) => {
         if (e.target.closest('.preview-btn')) {
             const resourceId = e.target.closest('.preview-btn').dataset.id;
-            viewResource(resourceId);
+            router.navigate(`/resource/${resourceId}`);
         }
     });
     
+    // Hide thumbnails whose image is missing so the gradient shows through
+    resourceGrid.addEventListener('error', (e) => {
+        if (e.target.classList && e.target.classList.contains('resource-thumbnail')) {
+            e.target.remove();
+        }
+    }, true);
+    
     // Back to Dashboard
     backToDashboard.addEventListener('click', () => {
-        resourceViewer.classList.add('hidden');
-        dashboardView.classList.remove('hidden');
+        const { path, query } = listRoute();
+        router.navigate(path, { query });
+    });
+    
+    // Bookmarks
+    bookmarksBtn.addEventListener('click', () => {
+        router.navigate('/bookmarks');
     });
     
     // Save Notes
@@ -333,6 +466,38 @@ function setupEventListeners() {
         }
     });
     
+    // Keep the viewed resource offline
+    createOfflineToggle().addEventListener('click', () => {
+        if (currentResource) {
+            toggleOffline(currentResource.id);
+        }
+    });
+    
+    // Pin, unpin and remove offline copies from settings
+    getOfflineLibraryPanel().addEventListener('click', (e) => {
+        const button = e.target.closest('[data-library-action]');
+        if (button) {
+            handleLibraryAction(button.dataset.libraryAction, Number(button.dataset.id));
+        }
+    });
+    
+    // Sync server and manual sync from settings
+    getSyncPanel().addEventListener('submit', (e) => {
+        e.preventDefault();
+        configureSync(new FormData(e.target).get('endpoint'));
+    });
+    
+    getSyncPanel().addEventListener('click', (e) => {
+        if (e.target.closest('[data-sync-action="sync"]')) {
+            syncUserData({ manual: true });
+        } else if (e.target.closest('[data-sync-action="disconnect"]')) {
+            configureSync('');
+        }
+    });
+    
+    // Send changes made while offline
+    window.addEventListener('online', () => syncUserData());
+    
     // Preview Resource from viewer
     previewResourceBtn.addEventListener('click', () => {
         if (currentResource) {
@@ -352,21 +517,12 @@ function setupEventListeners() {
         downloadManager.classList.add('hidden');
     });
     
-    // Navigation
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            const category = link.dataset.category;
-            switchCategory(category);
-        });
-    });
-    
-    // Category Cards
-    categoryCards.forEach(card => {
-        card.addEventListener('click', () => {
-            const category = card.dataset.category;
-            switchCategory(category);
-        });
+    // Pause, resume, cancel, open and clear downloads
+    downloadsContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button) {
+            handleDownloadAction(button.dataset.action, Number(button.dataset.id));
+        }
     });
     
     // Filters
@@ -376,14 +532,23 @@ function setupEventListeners() {
         });
     });
     
-    // Search
-    searchBar.addEventListener('input', (e) => {
-        performSearch(e.target.value);
+    // Search, once typing pauses, with suggestions below each search box
+    const debouncedSearch = UIUtils.debounce(performSearch, 250);
+    [searchBar, mobileSearch].forEach(input => {
+        input.addEventListener('input', (e) => {
+            debouncedSearch(e.target.value);
+        });
+        
+        new SearchSuggestions(input, {
+            history: searchHistory,
+            suggest: text => searchEngine.suggest(text),
+            onSearch: setSearchQuery,
+            onSelect: selectSuggestion
+        });
     });
     
-    mobileSearch.addEventListener('input', (e) => {
-        performSearch(e.target.value);
-    });
+    // Sort order, remembered per category
+    createSortControl();
     
     // Font Size
     fontSmall.addEventListener('click', () => {
@@ -438,26 +603,178 @@ function initTheme() {
     }
 }
 
-// Switch category
-function switchCategory(category) {
+// Register the hash routes
+function setupRoutes() {
+    router
+        .on('/', () => showList())
+        .on('/category/:id', ({ id }) => showList({ category: id }))
+        .on('/bookmarks', () => showList({ bookmarks: true }))
+        .on('/search', (params, query) => showSearch(query))
+        .on('/resource/:id', ({ id }) => showResource(id))
+        .on('/resource/:id/page/:page', ({ id, page }) => showResource(id, { page: parseInt(page, 10) }));
+}
+
+// Older links used #<category>; anything else unknown goes to the dashboard
+function showUnknownRoute(path) {
+    const id = path.slice(1);
+    if (categories.some(category => category.id === id)) {
+        router.navigate(`/category/${id}`, { replace: true });
+    } else {
+        router.navigate('/', { replace: true });
+    }
+}
+
+// The route that shows the current list: category, bookmarks or search
+function listRoute() {
+    if (currentQuery) {
+        return {
+            path: '/search',
+            query: {
+                q: currentQuery,
+                category: currentCategory !== 'dashboard' ? currentCategory : null,
+                bookmarks: bookmarksOnly ? 1 : null
+            }
+        };
+    }
+    if (bookmarksOnly) return { path: '/bookmarks', query: {} };
+    if (currentCategory !== 'dashboard') return { path: `/category/${currentCategory}`, query: {} };
+    return { path: '/', query: {} };
+}
+
+// Show the resource list for a route
+function showList({ category = 'dashboard', query = '', bookmarks = false } = {}) {
     currentCategory = category;
+    currentQuery = query;
+    bookmarksOnly = bookmarks;
+    searchBar.value = query;
+    mobileSearch.value = query;
     
-    // Update active nav link
-    navLinks.forEach(link => {
-        if (link.dataset.category === category) {
-            link.classList.add('bg-blue-50', 'dark:bg-slate-700', 'text-blue-600', 'dark:text-blue-400');
-            link.classList.remove('hover:bg-slate-100', 'dark:hover:bg-slate-700');
-        } else {
-            link.classList.remove('bg-blue-50', 'dark:bg-slate-700', 'text-blue-600', 'dark:text-blue-400');
-            link.classList.add('hover:bg-slate-100', 'dark:hover:bg-slate-700');
-        }
+    pdfReader.close();
+    showListView();
+    updateCategoryView();
+    renderResources();
+}
+
+// Show search results; #/search without a query focuses the search box
+function showSearch(query) {
+    const text = query.get('q') || '';
+    showList({
+        category: query.get('category') || 'dashboard',
+        query: text.trim(),
+        bookmarks: query.get('bookmarks') === '1'
     });
+    if (!text) {
+        searchBar.focus();
+    }
+}
+
+// Show a resource, and open the reader when the route names a page
+function showResource(resourceId, options = {}) {
+    const resource = resources.find(r => r.id == resourceId);
+    if (!resource) {
+        notyf.error('Resource not found');
+        router.navigate('/', { replace: true });
+        return;
+    }
     
-    // Render resources for this category
-    renderResources();
+    viewResource(resource.id);
+    
+    if (!options.page) {
+        pdfReader.close();
+    } else if (pdfReader.isOpen() && pdfReader.resource && pdfReader.resource.id === resource.id && pdfReader.viewer) {
+        pdfReader.viewer.goToPage(options.page);
+    } else {
+        previewResource(resource.id, { page: options.page });
+    }
+}
+
+// Hide the resource details and show the list
+function showListView() {
+    resourceViewer.classList.add('hidden');
+    dashboardView.classList.remove('hidden');
+}
+
+// Keep the address on the page being read, without a history entry per page
+function syncReaderRoute(resource, pageNum) {
+    const pagePrefix = `/resource/${resource.id}/page/`;
+    const replace = router.currentPath.startsWith(pagePrefix);
+    if (!replace) {
+        readerRoutePushed = true;
+    }
+    router.navigate(`${pagePrefix}${pageNum}`, { replace, silent: true });
+}
+
+// Leave the reader's address when it is closed from inside the reader
+function leaveReaderRoute(resource) {
+    const pushed = readerRoutePushed;
+    readerRoutePushed = false;
+    
+    // Back/forward already moved the address elsewhere
+    if (!resource || !router.currentPath.startsWith(`/resource/${resource.id}/page/`)) return;
     
-    // Update URL
-    history.pushState({category}, '', `#${category}`);
+    if (pushed) {
+        history.back();
+    } else {
+        router.navigate(`/resource/${resource.id}`, { replace: true });
+    }
+}
+
+// Switch category
+function switchCategory(category) {
+    currentCategory = category;
+    bookmarksOnly = false;
+    
+    const { path, query } = listRoute();
+    router.navigate(path, { query });
+}
+
+// Mark the active nav link; the dashboard sections only show while browsing
+function updateCategoryView() {
+    categoryView.setActive(bookmarksOnly ? null : currentCategory, { browsing: !currentQuery });
+}
+
+// Create the container of the personal dashboard sections, above the category cards
+function createDashboardContainer() {
+    const container = document.createElement('div');
+    container.id = 'personal-dashboard';
+    container.className = 'personal-dashboard hidden';
+    dashboardView.prepend(container);
+    return container;
+}
+
+// Render the personal dashboard when browsing the dashboard itself
+function renderDashboard() {
+    const visible = currentCategory === 'dashboard' && !bookmarksOnly && !currentQuery;
+    dashboard.setVisible(visible);
+    if (!visible) return;
+    
+    dashboard.render({
+        resources,
+        history: viewHistory,
+        favorites,
+        notes,
+        progress: readingProgress
+    });
+}
+
+// Remember a viewed resource for "Continue reading" and recommendations
+async function recordView(resourceId) {
+    try {
+        const entry = await storage.recordView(resourceId);
+        viewHistory = [entry, ...viewHistory.filter(item => item.resourceId !== resourceId)];
+    } catch (error) {
+        console.error('Error recording view:', error);
+    }
+}
+
+// Create the sidebar navigation list when the page has none
+function createCategoryNav() {
+    const nav = document.createElement('nav');
+    nav.id = 'category-nav';
+    nav.className = 'category-nav space-y-1 mb-6';
+    nav.setAttribute('aria-label', 'Categories');
+    sidebar.prepend(nav);
+    return nav;
 }
 
 // Update filters
@@ -471,71 +788,229 @@ function updateFilters() {
     renderResources();
 }
 
+// Bring the full-text index in line with the catalog
+async function indexFullText() {
+    try {
+        await fullTextSearch.indexResources(resources);
+    } catch (error) {
+        console.error('Error indexing PDF contents:', error);
+    }
+}
+
 // Perform search
 function performSearch(query) {
-    if (searchEngine) {
-        const results = searchEngine.search(query);
-        renderSearchResults(results);
+    currentQuery = query.trim();
+    
+    // The first keystroke adds a history entry; later ones update it
+    const { path, query: params } = listRoute();
+    router.navigate(path, { query: params, replace: router.currentPath === '/search', silent: true });
+    
+    showListView();
+    updateCategoryView();
+    renderResources();
+}
+
+// Keep both search boxes showing the current query
+function setSearchQuery(query) {
+    searchBar.value = query;
+    mobileSearch.value = query;
+    performSearch(query);
+}
+
+// Open a suggested title, or search for a suggested tag, chapter or category
+function selectSuggestion(suggestion) {
+    if (suggestion.resourceId !== undefined) {
+        router.navigate(`/resource/${suggestion.resourceId}`);
+    } else {
+        setSearchQuery(suggestion.query);
     }
 }
 
-// Render search results
-function renderSearchResults(results) {
-    resourceGrid.innerHTML = '';
+// Check a resource against the bookmarks view and the sidebar filter checkboxes
+function matchesListFilters(resource) {
+    if (bookmarksOnly && !favorites.includes(resource.id)) return false;
+    return activeFilters.length === 0 || matchesActiveFilters(resource);
+}
+
+// Check a resource against the sidebar filter checkboxes
+function matchesActiveFilters(resource) {
+    return activeFilters.some(filter => {
+        if (filter === 'favorites') {
+            return favorites.includes(resource.id);
+        }
+        return resource.subject.toLowerCase() === filter;
+    });
+}
+
+// Render pages whose text matches the query below the resource results
+async function renderFullTextResults(query) {
+    const token = ++fullTextSearchToken;
+    let matches = [];
     
-    if (results.length === 0) {
-        resourceGrid.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8 col-span-full">No resources found matching your search.</p>';
-        return;
+    try {
+        matches = await fullTextSearch.search(query, { limit: 10 });
+    } catch (error) {
+        console.error('Full-text search error:', error);
     }
     
-    results.forEach(resource => {
-        const isFavorite = favorites.includes(resource.id);
-        createResourceCard(resource, isFavorite);
+    // A newer query was typed meanwhile
+    if (token !== fullTextSearchToken) return;
+    
+    matches = matches.filter(match => resources.some(r => r.id === match.resourceId));
+    if (matches.length === 0) return;
+    
+    const section = document.createElement('section');
+    section.className = 'fulltext-results col-span-full bg-white dark:bg-slate-800 rounded-xl shadow-sm p-4';
+    section.innerHTML = `
+        <h2 class="font-semibold flex items-center mb-3">
+            <i data-lucide="file-search" class="w-5 h-5 mr-2 text-blue-500"></i> Found inside PDFs
+        </h2>
+        <ul class="space-y-2"></ul>
+    `;
+    
+    const list = section.querySelector('ul');
+    matches.forEach(match => {
+        const resource = resources.find(r => r.id === match.resourceId);
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <button class="fulltext-result w-full text-left p-2 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700">
+                <span class="flex justify-between text-sm font-medium">
+                    <span class="fulltext-title"></span>
+                    <span class="text-slate-500 dark:text-slate-400">Page ${match.page}</span>
+                </span>
+                <span class="fulltext-snippet block text-xs text-slate-500 dark:text-slate-400 mt-1"></span>
+            </button>
+        `;
+        // PDF text is untrusted, so it never goes through innerHTML
+        item.querySelector('.fulltext-title').textContent = resource.title;
+        item.querySelector('.fulltext-snippet').textContent = match.snippet;
+        item.querySelector('button').addEventListener('click', () => {
+            previewResource(resource.id, { page: match.page, query });
+        });
+        list.appendChild(item);
     });
     
-    // Reinitialize icons
+    getFullTextContainer().appendChild(section);
     lucide.createIcons();
 }
 
-// Render resources
+// Container for full-text matches, after the resource cards
+function getFullTextContainer() {
+    let container = document.getElementById('fulltext-results');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'fulltext-results';
+        container.className = 'mt-6';
+        gridView.loadMoreButton.insertAdjacentElement('afterend', container);
+    }
+    return container;
+}
+
+// Create the result count and sort menu above the grid
+function createSortControl() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'grid-toolbar';
+    toolbar.className = 'flex justify-between items-center mb-4 text-sm';
+    toolbar.innerHTML = `
+        <span id="result-count" class="text-slate-500 dark:text-slate-400"></span>
+        <label class="flex items-center text-slate-500 dark:text-slate-400">
+            <i data-lucide="arrow-up-down" class="w-4 h-4 mr-2"></i>
+            <span class="sr-only">Sort by</span>
+            <select id="sort-select" class="bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-300 border border-slate-200 dark:border-slate-700 rounded-lg px-2 py-1">
+                ${Object.entries(SORT_OPTIONS).map(([key, option]) => `<option value="${key}">${option.label}</option>`).join('')}
+            </select>
+        </label>
+    `;
+    resourceGrid.parentNode.insertBefore(toolbar, resourceGrid);
+    
+    toolbar.querySelector('#sort-select').addEventListener('change', (e) => {
+        setSortOrder(e.target.value);
+    });
+}
+
+// Remember the sort order for the current category and re-render
+async function setSortOrder(sortKey) {
+    sortByCategory = { ...sortByCategory, [currentCategory]: sortKey };
+    renderResources();
+    
+    try {
+        await storage.saveSetting('resourceSort', sortByCategory);
+    } catch (error) {
+        console.error('Error saving sort order:', error);
+    }
+}
+
+// Render resources matching the category, the filter checkboxes and the search query
 function renderResources() {
-    resourceGrid.innerHTML = '';
+    const results = searchEngine.search(currentQuery, {
+        category: currentCategory !== 'dashboard' ? currentCategory : null,
+        filter: bookmarksOnly || activeFilters.length > 0 ? matchesListFilters : null
+    });
+    
+    const sortKey = sortByCategory[currentCategory] || DEFAULT_SORT;
+    document.getElementById('sort-select').value = sortKey;
+    document.getElementById('result-count').textContent = `${results.length} resource${results.length === 1 ? '' : 's'}`;
     
-    let filteredResources = resources;
+    renderFacets(searchEngine.getFacets(results));
+    renderDashboard();
     
-    // Filter by category
-    if (currentCategory !== 'dashboard') {
-        filteredResources = resources.filter(resource => resource.category === currentCategory);
+    // Render the first batch of cards; the rest follow on scroll
+    let emptyMessage = 'No resources match the selected filters.';
+    if (currentQuery) {
+        emptyMessage = 'No resources found matching your search.';
+    } else if (bookmarksOnly) {
+        emptyMessage = 'No bookmarks yet. Tap the heart on a resource to save it.';
     }
+    gridView.setItems(sortResources(results, sortKey), { emptyMessage });
     
-    // Apply active filters
-    if (activeFilters.length > 0) {
-        filteredResources = filteredResources.filter(resource => {
-            return activeFilters.some(filter => {
-                if (filter === 'favorites') {
-                    return favorites.includes(resource.id);
-                }
-                return resource.subject.toLowerCase() === filter;
-            });
-        });
+    // Search inside PDFs with the free text of the query
+    getFullTextContainer().innerHTML = '';
+    const text = parseQuery(currentQuery).text;
+    if (text) {
+        renderFullTextResults(text);
+    } else {
+        fullTextSearchToken++;
+    }
+}
+
+// Render subject, type and category counts for the current results
+// Clicking a count narrows the search with the matching operator.
+function renderFacets(facets) {
+    let bar = document.getElementById('search-facets');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'search-facets';
+        bar.className = 'flex flex-wrap gap-2 mb-4 text-xs';
+        resourceGrid.parentNode.insertBefore(bar, resourceGrid);
     }
+    bar.innerHTML = '';
     
-    // Render resource cards
-    filteredResources.forEach(resource => {
-        const isFavorite = favorites.includes(resource.id);
-        createResourceCard(resource, isFavorite);
+    Object.entries(facets).forEach(([field, values]) => {
+        // A facet with a single value cannot narrow anything
+        if (values.length < 2) return;
+        
+        values.forEach(({ value, count }) => {
+            const chip = document.createElement('button');
+            chip.className = 'facet-chip bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 px-2 py-1 rounded-full hover:bg-blue-100 dark:hover:bg-blue-900/30';
+            chip.dataset.field = field;
+            chip.textContent = `${value} (${count})`;
+            chip.addEventListener('click', () => {
+                const operator = `${field}:${/\s/.test(value) ? `"${value}"` : value}`;
+                setSearchQuery(`${currentQuery} ${operator}`.trim());
+            });
+            bar.appendChild(chip);
+        });
     });
-    
-    // Reinitialize icons
-    lucide.createIcons();
 }
 
-// Create a resource card
+// Create a resource card element
 function createResourceCard(resource, isFavorite) {
     const card = document.createElement('div');
     card.className = 'resource-card bg-white dark:bg-slate-800 rounded-xl overflow-hidden shadow-sm';
     card.innerHTML = `
-        <div class="h-32 bg-gradient-to-r ${resource.thumbnail}"></div>
+        <div class="h-32 bg-gradient-to-r ${resource.gradient} overflow-hidden">
+            ${resource.thumbnail ? `<img src="${resource.thumbnail}" alt="" loading="lazy" class="resource-thumbnail w-full h-full object-cover">` : ''}
+        </div>
         <div class="p-4">
             <div class="flex justify-between items-start">
                 <div>
@@ -553,6 +1028,8 @@ function createResourceCard(resource, isFavorite) {
                 `).join('')}
             </div>
             
+            ${createProgressBar(readingProgress[resource.id])}
+            
             <div class="flex justify-between items-center mt-4">
                 <div class="flex space-x-2">
                     <button class="preview-btn text-sm bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 px-3 py-1 rounded-lg flex items-center" data-id="${resource.id}">
@@ -568,7 +1045,39 @@ function createResourceCard(resource, isFavorite) {
             </div>
         </div>
     `;
-    resourceGrid.appendChild(card);
+    card.dataset.id = resource.id;
+    return card;
+}
+
+// Create the "% read" bar for a resource card
+function createProgressBar(progress) {
+    if (!progress || progress.percent === 0) return '';
+    
+    return `
+        <div class="reading-progress mt-3" title="Last read page ${progress.page} of ${progress.totalPages}">
+            <div class="flex justify-between text-xs text-slate-500 dark:text-slate-400 mb-1">
+                <span>${progress.percent}% read</span>
+                <span>Page ${progress.page}/${progress.totalPages}</span>
+            </div>
+            <div class="h-1.5 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                <div class="progress-bar bg-green-500" style="width: ${progress.percent}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+// Refresh the progress bar of a rendered card after reading
+function updateCardProgress(progress) {
+    const card = resourceGrid.querySelector(`.resource-card[data-id="${progress.resourceId}"]`);
+    if (!card) return;
+    
+    const existing = card.querySelector('.reading-progress');
+    const bar = createProgressBar(progress);
+    if (existing) {
+        existing.outerHTML = bar;
+    } else {
+        card.querySelector('.flex.justify-between.items-center.mt-4').insertAdjacentHTML('beforebegin', bar);
+    }
 }
 
 // View resource
@@ -579,10 +1088,10 @@ function viewResource(resourceId) {
     currentResource = resource;
     
     // Update resource viewer
-    document.getElementById('resource-thumbnail').className = `h-64 bg-gradient-to-r ${resource.thumbnail} rounded-lg mb-4`;
+    document.getElementById('resource-thumbnail').className = `h-64 bg-gradient-to-r ${resource.gradient} rounded-lg mb-4`;
     document.getElementById('resource-title').textContent = resource.title;
     document.getElementById('resource-description').textContent = resource.description;
-    document.getElementById('resource-date').textContent = `Uploaded: ${resource.date}`;
+    document.getElementById('resource-date').textContent = `Uploaded: ${DateUtils.formatDate(resource.date)}`;
     document.getElementById('resource-type').textContent = `${resource.type} (${resource.size})`;
     
     // Update tags
@@ -602,27 +1111,34 @@ function viewResource(resourceId) {
     
     // Render notes for this resource
     renderNotes();
+    updateOfflineToggle();
+    
+    recordView(resource.id);
 }
 
 // Toggle favorite
 async function toggleFavorite(resourceId, button) {
-    const index = favorites.indexOf(parseInt(resourceId));
+    // Card buttons pass their data-id string; favorites are keyed by number
+    const id = Number(resourceId);
+    const index = favorites.indexOf(id);
     if (index > -1) {
         // Remove from favorites
         favorites.splice(index, 1);
         button.innerHTML = '<i data-lucide="heart" class="w-5 h-5"></i>';
-        await storage.removeFavorite(resourceId);
+        await storage.removeFavorite(id);
         notyf.success('Removed from favorites');
     } else {
         // Add to favorites
-        favorites.push(parseInt(resourceId));
+        favorites.push(id);
         button.innerHTML = '<i data-lucide="heart" class="w-5 h-5 fill-current text-red-500"></i>';
-        await storage.addFavorite(resourceId);
+        await storage.addFavorite(id);
         notyf.success('Added to favorites');
     }
+    requestSync();
     
     // Update bookmark count
     updateBookmarkCount();
+    renderDashboard();
     
     // Reinitialize icons
     lucide.createIcons();
@@ -638,7 +1154,7 @@ function updateBookmarkCount() {
     bookmarkCount.textContent = favorites.length;
 }
 
-// Download resource
+// Download resource for offline use
 async function downloadResource(resourceId) {
     const resource = resources.find(r => r.id == resourceId);
     if (!resource) return;
@@ -646,74 +1162,333 @@ async function downloadResource(resourceId) {
     // Show download manager
     downloadManager.classList.remove('hidden');
     
-    // Add to downloads
-    const download = {
-        id: Date.now(),
-        resourceId: resource.id,
-        title: resource.title,
-        progress: 0
-    };
+    const existing = downloader.findByResource(resource.id);
+    if (existing && existing.status === 'downloading') return;
+    if (existing && existing.status === 'completed' && await downloader.getFile(resource.id)) {
+        notyf.success(`Already available offline: ${resource.title}`);
+        return;
+    }
+    
+    await freeUpSpace(resource.sizeBytes);
+    const download = await downloader.start(resource);
+    notifyDownload(download);
     
-    downloads.push(download);
-    await storage.addDownload(download);
-    renderDownloads();
-    
-    // Simulate download progress
-    const interval = setInterval(async () => {
-        download.progress += 5;
-        if (download.progress >= 100) {
-            download.progress = 100;
-            clearInterval(interval);
-            await storage.updateDownload(download);
-            notyf.success(`Download completed: ${resource.title}`);
+    // Downloading is asking to keep the file
+    if (download.status === 'completed') {
+        await offlineLibrary.pin(resource.id);
+        updateOfflineToggle();
+    }
+}
+
+// Evict unpinned PDFs when storage is running short
+async function freeUpSpace(bytesNeeded = 0) {
+    try {
+        const evicted = await offlineLibrary.ensureSpace(resources, bytesNeeded);
+        await forgetEvictedDownloads(evicted);
+        if (evicted.length > 0) {
+            console.log(`Evicted ${evicted.length} offline PDF${evicted.length === 1 ? '' : 's'} to free space`);
         }
-        renderDownloads();
-    }, 200);
+    } catch (error) {
+        console.error('Error freeing up space:', error);
+    }
+}
+
+// Drop download entries whose files are no longer stored
+async function forgetEvictedDownloads(items) {
+    for (const item of items) {
+        const download = downloader.findByResource(item.resourceId);
+        if (download && download.status === 'completed' && item.downloadBytes > 0) {
+            await downloader.remove(download.id);
+        }
+    }
+}
+
+// Pin a resource for offline use, downloading it first, or unpin it
+async function toggleOffline(resourceId) {
+    if (offlineLibrary.isPinned(resourceId)) {
+        await offlineLibrary.unpin(resourceId);
+        notyf.success('No longer kept offline; it may be removed when space runs low');
+        updateOfflineToggle();
+    } else {
+        await downloadResource(resourceId);
+    }
+    renderOfflineLibrary();
+}
+
+// Add the "Keep offline" toggle next to the viewer's download button
+function createOfflineToggle() {
+    const button = document.createElement('button');
+    button.id = 'offline-toggle';
+    button.className = 'offline-toggle text-sm bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 px-3 py-2 rounded-lg flex items-center';
+    button.setAttribute('aria-pressed', 'false');
+    downloadResourceBtn.insertAdjacentElement('afterend', button);
+    return button;
+}
+
+// Show whether the viewed resource is kept offline
+function updateOfflineToggle() {
+    const button = document.getElementById('offline-toggle');
+    if (!button || !currentResource) return;
+    
+    const pinned = offlineLibrary.isPinned(currentResource.id);
+    button.setAttribute('aria-pressed', String(pinned));
+    button.innerHTML = `<i data-lucide="${pinned ? 'pin-off' : 'pin'}" class="w-4 h-4 mr-1"></i> ${pinned ? 'Kept offline' : 'Keep offline'}`;
+    lucide.createIcons();
+}
+
+// Get the offline library section of the settings, creating it on first use
+function getOfflineLibraryPanel() {
+    let panel = document.getElementById('offline-library');
+    if (!panel) {
+        panel = document.createElement('section');
+        panel.id = 'offline-library';
+        panel.className = 'offline-library mt-6';
+        clearData.parentElement.insertAdjacentElement('afterend', panel);
+    }
+    return panel;
+}
+
+// Render storage usage and the offline copies, largest first
+async function renderOfflineLibrary() {
+    const panel = getOfflineLibraryPanel();
+    
+    let usage;
+    try {
+        usage = await offlineLibrary.getUsage(resources);
+    } catch (error) {
+        console.error('Error reading storage usage:', error);
+        panel.innerHTML = '<p class="text-sm text-red-500">Could not read storage usage.</p>';
+        return;
+    }
+    
+    const percent = usage.quota ? Math.min(100, Math.round(usage.usage / usage.quota * 100)) : 0;
+    panel.innerHTML = `
+        <h3 class="font-semibold mb-2 flex items-center">
+            <i data-lucide="hard-drive" class="w-4 h-4 mr-2"></i> Offline library
+        </h3>
+        <div class="flex justify-between text-xs text-slate-500 dark:text-slate-400 mb-1">
+            <span>${FileUtils.formatFileSize(usage.usage)} used${usage.quota ? ` of ${FileUtils.formatFileSize(usage.quota)}` : ''}</span>
+            <span>${usage.quota ? `${percent}%` : ''}</span>
+        </div>
+        <div class="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden mb-1" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+            <div class="progress-bar bg-blue-500" style="width: ${percent}%"></div>
+        </div>
+        <p class="text-xs text-slate-500 dark:text-slate-400 mb-3">
+            PDFs ${FileUtils.formatFileSize(usage.libraryBytes)} • App and other data ${FileUtils.formatFileSize(usage.otherBytes)}.
+            Unpinned PDFs are removed, least recently opened first, when space runs low.
+        </p>
+        <ul class="offline-items space-y-2 max-h-64 overflow-y-auto"></ul>
+    `;
+    
+    const list = panel.querySelector('.offline-items');
+    if (usage.items.length === 0) {
+        list.innerHTML = '<li class="text-sm text-slate-500 dark:text-slate-400">No PDFs stored offline yet.</li>';
+    }
+    
+    usage.items.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'offline-item flex items-center justify-between text-sm';
+        row.dataset.id = item.resourceId;
+        row.innerHTML = `
+            <span class="min-w-0 mr-2">
+                <span class="offline-item-title block truncate"></span>
+                <span class="block text-xs text-slate-500 dark:text-slate-400">
+                    ${item.bytes ? FileUtils.formatFileSize(item.bytes) : 'Not downloaded yet'}${item.lastOpenedAt ? ` • Opened ${DateUtils.formatDate(item.lastOpenedAt)}` : ''}
+                </span>
+            </span>
+            <span class="flex items-center space-x-1 flex-shrink-0">
+                <button class="p-1 rounded ${item.pinned ? 'text-blue-600 dark:text-blue-400' : 'text-slate-500'}" data-library-action="${item.pinned ? 'unpin' : 'pin'}" data-id="${item.resourceId}" aria-pressed="${item.pinned}" aria-label="${item.pinned ? 'Unpin' : 'Pin'}" title="${item.pinned ? 'Pinned: never removed automatically' : 'Pin to keep offline'}">
+                    <i data-lucide="${item.pinned ? 'pin' : 'pin-off'}" class="w-4 h-4"></i>
+                </button>
+                <button class="p-1 rounded text-slate-500 hover:text-red-600 dark:hover:text-red-400" data-library-action="remove" data-id="${item.resourceId}" aria-label="Remove offline copy" title="Remove offline copy">
+                    <i data-lucide="trash" class="w-4 h-4"></i>
+                </button>
+            </span>
+        `;
+        row.querySelector('.offline-item-title').textContent = item.resource.title;
+        list.appendChild(row);
+    });
+    
+    lucide.createIcons();
+}
+
+// Run a button action from the offline library
+async function handleLibraryAction(action, resourceId) {
+    try {
+        if (action === 'pin') {
+            await toggleOffline(resourceId);
+            return;
+        }
+        if (action === 'unpin') {
+            await offlineLibrary.unpin(resourceId);
+        } else if (action === 'remove') {
+            const items = await offlineLibrary.getItems(resources);
+            const item = items.find(entry => entry.resourceId === resourceId);
+            await offlineLibrary.unpin(resourceId);
+            if (item) {
+                await offlineLibrary.evict([item]);
+                await forgetEvictedDownloads([item]);
+            }
+            notyf.success('Offline copy removed');
+        }
+        updateOfflineToggle();
+        renderOfflineLibrary();
+    } catch (error) {
+        console.error('Offline library error:', error);
+        notyf.error('Failed to update the offline library');
+    }
+}
+
+// Run a button action from the download manager
+async function handleDownloadAction(action, downloadId) {
+    const download = downloader.find(downloadId);
+    
+    switch (action) {
+        case 'pause':
+            downloader.pause(downloadId);
+            break;
+        case 'resume': {
+            const resource = download && resources.find(r => r.id === download.resourceId);
+            notifyDownload(await downloader.resume(downloadId, resource));
+            break;
+        }
+        case 'cancel':
+            await downloader.cancel(downloadId);
+            break;
+        case 'remove':
+            await downloader.remove(downloadId);
+            break;
+        case 'open':
+            if (download) {
+                downloadManager.classList.add('hidden');
+                previewResource(download.resourceId);
+            }
+            break;
+        case 'clear-completed':
+            await downloader.clearCompleted();
+            break;
+    }
+}
+
+// Tell the user how a download ended
+function notifyDownload(download) {
+    if (!download) return;
+    
+    if (download.status === 'completed') {
+        notyf.success(`Download completed: ${download.title}`);
+    } else if (download.status === 'failed') {
+        notyf.error(`Download failed: ${download.title}. ${download.error}`);
+    }
+}
+
+// Describe the state of a download
+function describeDownload(download) {
+    const received = FileUtils.formatFileSize(download.received);
+    const total = download.total ? FileUtils.formatFileSize(download.total) : 'unknown size';
+    
+    switch (download.status) {
+        case 'completed':
+            // Catalog entries without a sha256 hash cannot be checked
+            return `${total} • Available offline • ${download.verified ? 'Verified' : 'Not verified'}`;
+        case 'paused':
+            return `Paused • ${received} of ${total}`;
+        case 'failed':
+            return `Failed • ${download.error}`;
+        default:
+            return `${received} of ${total}`;
+    }
 }
 
 // Render downloads
 function renderDownloads() {
     downloadsContainer.innerHTML = '';
     
-    downloads.forEach(download => {
-        const resource = resources.find(r => r.id == download.resourceId);
-        if (!resource) return;
+    const list = downloader.downloads;
+    if (list.length === 0) {
+        downloadsContainer.innerHTML = '<p class="text-sm text-slate-500 dark:text-slate-400 text-center py-4">No downloads yet.</p>';
+        return;
+    }
+    
+    const buttons = {
+        downloading: [['pause', 'pause', 'Pause'], ['cancel', 'x', 'Cancel']],
+        paused: [['resume', 'play', 'Resume'], ['cancel', 'x', 'Cancel']],
+        failed: [['resume', 'rotate-cw', 'Retry'], ['remove', 'x', 'Remove']],
+        completed: [['open', 'book-open', 'Open'], ['remove', 'x', 'Remove from list']]
+    };
+    const barColors = { completed: 'bg-green-500', failed: 'bg-red-500', paused: 'bg-yellow-500', downloading: 'bg-blue-500' };
+    
+    list.forEach(download => {
+        const percent = download.total ? Math.min(100, Math.round(download.received / download.total * 100)) : 0;
         
         const downloadEl = document.createElement('div');
+        downloadEl.className = 'download-item';
+        downloadEl.dataset.id = download.id;
         downloadEl.innerHTML = `
-            <div>
-                <div class="flex justify-between text-sm mb-1">
-                    <span>${resource.title}</span>
-                    <span>${download.progress}%</span>
-                </div>
-                <div class="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
-                    <div class="progress-bar bg-blue-500" style="width: ${download.progress}%"></div>
-                </div>
+            <div class="flex justify-between items-center text-sm mb-1">
+                <span class="download-title font-medium truncate mr-2"></span>
+                <span class="flex items-center space-x-1 flex-shrink-0">
+                    ${(buttons[download.status] || []).map(([action, icon, label]) => `
+                        <button class="p-1 rounded text-slate-500 hover:text-blue-600 dark:hover:text-blue-400" data-action="${action}" data-id="${download.id}" aria-label="${label}" title="${label}">
+                            <i data-lucide="${icon}" class="w-4 h-4"></i>
+                        </button>
+                    `).join('')}
+                </span>
+            </div>
+            <div class="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                <div class="progress-bar ${barColors[download.status] || 'bg-blue-500'}" style="width: ${percent}%"></div>
+            </div>
+            <div class="download-status flex justify-between text-xs text-slate-500 dark:text-slate-400 mt-1">
+                <span class="download-detail"></span>
+                <span>${download.total ? `${percent}%` : ''}</span>
             </div>
         `;
+        downloadEl.querySelector('.download-title').textContent = download.title;
+        downloadEl.querySelector('.download-detail').textContent = describeDownload(download);
         downloadsContainer.appendChild(downloadEl);
     });
+    
+    if (list.some(download => download.status === 'completed')) {
+        const clear = document.createElement('button');
+        clear.className = 'w-full text-sm text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 mt-2';
+        clear.dataset.action = 'clear-completed';
+        clear.textContent = 'Clear completed';
+        downloadsContainer.appendChild(clear);
+    }
+    
+    lucide.createIcons();
 }
 
-// Preview resource
-async function previewResource(resourceId) {
+// Preview resource, optionally at a page with a query highlighted
+async function previewResource(resourceId, options = {}) {
     const resource = resources.find(r => r.id == resourceId);
     if (!resource) return;
     
-    // In a real app, this would open the PDF viewer
+    offlineLibrary.markOpened(resource.id)
+        .then(() => freeUpSpace())
+        .catch(error => console.error('Error updating offline library:', error));
+    
     try {
-        // For demo purposes, we'll just show a notification
-        // In a real implementation, we would load the PDF in the viewer
-        notyf.success(`Previewing: ${resource.title}`);
-        
-        // Load PDF in viewer (in a real implementation)
-        // await pdfViewer.loadPDF(resource.filePath);
+        // Read the downloaded copy when there is one, so it works offline
+        const file = await downloader.getFile(resource.id);
+        releaseOfflineUrl();
+        if (file) {
+            offlineUrl = URL.createObjectURL(file.blob);
+        }
+        await pdfReader.open(resource, { ...options, url: offlineUrl });
     } catch (error) {
         console.error('Error previewing resource:', error);
         notyf.error('Failed to preview resource');
     }
 }
 
+// Free the object URL of the offline copy the reader had open
+function releaseOfflineUrl() {
+    if (offlineUrl) {
+        URL.revokeObjectURL(offlineUrl);
+        offlineUrl = null;
+    }
+}
+
 // Save note
 async function saveNote(content) {
     if (!currentResource) return;
@@ -722,7 +1497,8 @@ async function saveNote(content) {
         id: Date.now(),
         resourceId: currentResource.id,
         content: content,
-        date: new Date().toLocaleDateString()
+        date: new Date().toLocaleDateString(),
+        updatedAt: new Date().toISOString()
     };
     
     if (!notes[currentResource.id]) {
@@ -732,6 +1508,135 @@ async function saveNote(content) {
     notes[currentResource.id].push(note);
     await storage.addNote(note);
     renderNotes();
+    requestSync();
+}
+
+// Get the sync section of the settings, creating it on first use
+function getSyncPanel() {
+    let panel = document.getElementById('sync-settings');
+    if (!panel) {
+        panel = document.createElement('section');
+        panel.id = 'sync-settings';
+        panel.className = 'sync-settings mt-6';
+        getOfflineLibraryPanel().insertAdjacentElement('afterend', panel);
+    }
+    return panel;
+}
+
+// Render the sync server form and sync status
+async function renderSyncPanel() {
+    const panel = getSyncPanel();
+    const { endpoint, lastSyncedAt } = syncEngine.state;
+    const pending = await syncEngine.pendingCount();
+    
+    panel.innerHTML = `
+        <h3 class="font-semibold mb-2 flex items-center">
+            <i data-lucide="refresh-cw" class="w-4 h-4 mr-2"></i> Sync across devices
+        </h3>
+        <p class="text-xs text-slate-500 dark:text-slate-400 mb-2">
+            Keep favorites, notes and reading progress the same on your phone and laptop by connecting them to the same sync server.
+        </p>
+        <form class="flex space-x-2 mb-2">
+            <input type="url" name="endpoint" required placeholder="http://localhost:8787" class="flex-1 min-w-0 px-3 py-2 text-sm rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700">
+            <button type="submit" class="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">${endpoint ? 'Save' : 'Connect'}</button>
+        </form>
+        <div class="flex justify-between items-center text-xs text-slate-500 dark:text-slate-400">
+            <span class="sync-status"></span>
+            ${endpoint ? `
+                <span class="flex space-x-3">
+                    <button type="button" class="text-blue-600 dark:text-blue-400" data-sync-action="sync">Sync now</button>
+                    <button type="button" class="hover:text-red-600 dark:hover:text-red-400" data-sync-action="disconnect">Disconnect</button>
+                </span>
+            ` : ''}
+        </div>
+    `;
+    
+    panel.querySelector('[name="endpoint"]').value = endpoint || '';
+    
+    let status = 'Not connected';
+    if (endpoint) {
+        status = lastSyncedAt ? `Last synced ${DateUtils.formatRelativeTime(lastSyncedAt).toLowerCase()}` : 'Not synced yet';
+        if (pending > 0) {
+            status += ` • ${pending} change${pending > 1 ? 's' : ''} waiting`;
+        }
+    }
+    panel.querySelector('.sync-status').textContent = status;
+    
+    lucide.createIcons();
+}
+
+// Connect to a sync server, or disconnect with an empty endpoint
+async function configureSync(endpoint) {
+    const url = String(endpoint || '').trim();
+    try {
+        await syncEngine.configure(url || null);
+        renderSyncPanel();
+        if (url) {
+            await syncUserData({ manual: true });
+        } else {
+            notyf.success('Sync turned off');
+        }
+    } catch (error) {
+        console.error('Sync settings error:', error);
+        notyf.error('Failed to save sync settings');
+    }
+}
+
+// Let the service worker push queued changes, even after the page closes,
+// or sync from the page where background sync is not supported
+async function scheduleSync() {
+    if (!syncEngine.enabled) return;
+    
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration && 'sync' in registration) {
+            // The worker reports back with syncComplete, which pulls
+            await registration.sync.register('sync-resources');
+            return;
+        }
+    } catch (error) {
+        console.log('Background sync registration failed: ', error);
+    }
+    syncUserData();
+}
+
+// Pull and push changes now
+async function syncUserData({ manual = false } = {}) {
+    if (!syncEngine.enabled) return;
+    if (!navigator.onLine) {
+        if (manual) notyf.error('You are offline. Changes will sync when you reconnect.');
+        return;
+    }
+    
+    try {
+        const result = await syncEngine.sync();
+        if (manual) {
+            notyf.success(result && result.pulled > 0 ? `Synced ${result.pulled} change${result.pulled > 1 ? 's' : ''} from your other devices` : 'Everything is in sync');
+        }
+    } catch (error) {
+        console.error('Sync error:', error);
+        if (manual) notyf.error('Sync failed. Check the sync server address.');
+    }
+    
+    if (!settingsModal.classList.contains('hidden')) {
+        renderSyncPanel();
+    }
+}
+
+// Show favorites, notes and reading progress changed on another device
+async function applySyncedChanges() {
+    favorites = await storage.getFavorites() || [];
+    notes = await storage.getAllNotes() || {};
+    
+    const progressList = await storage.getAllProgress();
+    readingProgress = {};
+    progressList.forEach(progress => {
+        readingProgress[progress.resourceId] = progress;
+    });
+    
+    updateBookmarkCount();
+    renderNotes();
+    renderResources();
 }
 
 // Render notes
@@ -748,18 +1653,24 @@ function renderNotes() {
         noteEl.className = 'p-3 bg-slate-50 dark:bg-slate-700 rounded-lg';
         noteEl.innerHTML = `
             <div class="flex justify-between mb-2">
-                <span class="text-sm text-slate-500 dark:text-slate-400">${note.date}</span>
+                <span class="note-date text-sm text-slate-500 dark:text-slate-400"></span>
                 <div class="flex space-x-2">
-                    <button class="edit-note text-slate-500 hover:text-blue-600 dark:hover:text-blue-400" data-id="${note.id}">
+                    <button class="edit-note text-slate-500 hover:text-blue-600 dark:hover:text-blue-400">
                         <i data-lucide="edit" class="w-4 h-4"></i>
                     </button>
-                    <button class="delete-note text-slate-500 hover:text-red-600 dark:hover:text-red-400" data-id="${note.id}">
+                    <button class="delete-note text-slate-500 hover:text-red-600 dark:hover:text-red-400">
                         <i data-lucide="trash" class="w-4 h-4"></i>
                     </button>
                 </div>
             </div>
-            <p class="text-sm">${note.content}</p>
+            <p class="note-content text-sm"></p>
         `;
+        // Notes arrive from backups and other devices: show them as text, never markup
+        noteEl.querySelector('.note-date').textContent = note.date;
+        noteEl.querySelector('.note-content').textContent = note.content;
+        noteEl.querySelectorAll('.edit-note, .delete-note').forEach(button => {
+            button.dataset.id = note.id;
+        });
         notesContainer.appendChild(noteEl);
     });
     
@@ -769,24 +1680,35 @@ function renderNotes() {
 
 // Backup user data
 async function backupUserData() {
+    const passphrase = await showPassphraseDialog({
+        title: 'Create backup',
+        message: 'Optionally protect the backup with a passphrase. Anyone with the file and the passphrase can read your notes; without the passphrase the backup cannot be restored.',
+        submitLabel: 'Create backup',
+        confirm: true,
+        allowEmpty: true
+    });
+    if (passphrase === null) return;
+    
     try {
-        const data = {
-            favorites: favorites,
-            notes: notes,
-            downloads: downloads,
-            theme: localStorage.getItem('theme'),
-            fontSize: localStorage.getItem('fontSize')
-        };
+        const backup = await createBackup(storage, {
+            appVersion: APP_VERSION,
+            preferences: {
+                theme: localStorage.getItem('theme'),
+                fontSize: localStorage.getItem('fontSize')
+            }
+        });
+        const output = passphrase ? await encryptBackup(backup, passphrase) : backup;
         
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+        const blob = new Blob([JSON.stringify(output, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
         
-        const exportFileDefaultName = 'qneet-backup.json';
+        const exportFileDefaultName = `qneet-backup-${backup.createdAt.slice(0, 10)}${passphrase ? '-encrypted' : ''}.json`;
         
         const linkElement = document.createElement('a');
-        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('href', url);
         linkElement.setAttribute('download', exportFileDefaultName);
         linkElement.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
         
         notyf.success('Data backup created successfully!');
     } catch (error) {
@@ -797,23 +1719,205 @@ async function backupUserData() {
 
 // Restore user data
 async function restoreUserData() {
-    notyf.warning('Restore functionality would be implemented in a real app');
-    // In a real implementation:
-    // 1. Create file input element
-    // 2. Parse uploaded JSON
-    // 3. Restore data to IndexedDB
-    // 4. Update UI
+    const file = await pickBackupFile();
+    if (!file) return;
+    
+    const text = await file.text();
+    let result = await readBackup(text);
+    
+    // Encrypted backups: ask until the passphrase works or the user gives up
+    while (result.needsPassphrase) {
+        const passphrase = await showPassphraseDialog({
+            title: 'Encrypted backup',
+            message: 'Enter the passphrase this backup was protected with.',
+            submitLabel: 'Unlock',
+            error: result.errors[0]
+        });
+        if (passphrase === null) return;
+        result = await readBackup(text, { passphrase });
+    }
+    
+    const { backup, errors } = result;
+    if (!backup) {
+        console.error('Invalid backup:', errors);
+        notyf.error(`Cannot restore: ${errors[0]}`);
+        return;
+    }
+    
+    const mode = await showRestorePreview(file.name, summarizeBackup(backup));
+    if (!mode) return;
+    
+    try {
+        await storage.importData(backup.data, { mode });
+        
+        const { theme, fontSize } = backup.preferences || {};
+        if (theme) localStorage.setItem('theme', theme);
+        if (fontSize) localStorage.setItem('fontSize', fontSize);
+        initTheme();
+        
+        await loadUserData();
+        
+        updateBookmarkCount();
+        renderResources();
+        renderDownloads();
+        renderNotes();
+        
+        notyf.success(mode === 'merge' ? 'Backup merged into your data!' : 'Data restored from backup!');
+    } catch (error) {
+        console.error('Restore error:', error);
+        notyf.error('Failed to restore backup');
+    }
+}
+
+// Let the user choose a backup file
+function pickBackupFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => resolve(input.files[0] || null));
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
+
+// Ask for a backup passphrase; resolves with the passphrase, or null if cancelled
+function showPassphraseDialog({ title, message, submitLabel, confirm = false, allowEmpty = false, error = '' }) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'passphrase-dialog fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'passphrase-dialog-title');
+        dialog.innerHTML = `
+            <form class="bg-white dark:bg-slate-800 rounded-xl shadow-lg w-full max-w-md p-6">
+                <h2 id="passphrase-dialog-title" class="text-lg font-semibold mb-2"></h2>
+                <p class="passphrase-message text-sm text-slate-600 dark:text-slate-300 mb-4"></p>
+                <label class="block text-sm mb-1" for="backup-passphrase">Passphrase${allowEmpty ? ' (optional)' : ''}</label>
+                <input id="backup-passphrase" type="password" autocomplete="${confirm ? 'new-password' : 'current-password'}" class="w-full mb-3 px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700">
+                ${confirm ? `
+                    <label class="block text-sm mb-1" for="backup-passphrase-confirm">Repeat passphrase</label>
+                    <input id="backup-passphrase-confirm" type="password" autocomplete="new-password" class="w-full mb-3 px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700">
+                ` : ''}
+                <p class="passphrase-error text-sm text-red-600 dark:text-red-400 mb-3" role="alert"></p>
+                <div class="flex justify-end space-x-2">
+                    <button type="button" class="passphrase-cancel text-sm px-3 py-2 rounded-lg text-slate-600 dark:text-slate-300">Cancel</button>
+                    <button type="submit" class="text-sm px-3 py-2 rounded-lg bg-blue-600 text-white"></button>
+                </div>
+            </form>
+        `;
+        dialog.querySelector('#passphrase-dialog-title').textContent = title;
+        dialog.querySelector('.passphrase-message').textContent = message;
+        dialog.querySelector('button[type="submit"]').textContent = submitLabel;
+        
+        const form = dialog.querySelector('form');
+        const input = dialog.querySelector('#backup-passphrase');
+        const confirmInput = dialog.querySelector('#backup-passphrase-confirm');
+        const errorEl = dialog.querySelector('.passphrase-error');
+        errorEl.textContent = error;
+        
+        const finish = value => {
+            document.removeEventListener('keydown', handleKeydown);
+            dialog.remove();
+            resolve(value);
+        };
+        const handleKeydown = e => {
+            if (e.key === 'Escape') finish(null);
+        };
+        
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const passphrase = input.value;
+            
+            if (!passphrase && !allowEmpty) {
+                errorEl.textContent = 'Please enter the passphrase.';
+            } else if (confirmInput && passphrase !== confirmInput.value) {
+                errorEl.textContent = 'Passphrases do not match.';
+            } else {
+                finish(passphrase);
+            }
+        });
+        dialog.querySelector('.passphrase-cancel').addEventListener('click', () => finish(null));
+        document.addEventListener('keydown', handleKeydown);
+        
+        document.body.appendChild(dialog);
+        input.focus();
+    });
+}
+
+// Show what a backup contains and ask how to restore it
+function showRestorePreview(fileName, summary) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'restore-preview fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'restore-preview-title');
+        dialog.innerHTML = `
+            <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg w-full max-w-md p-6">
+                <h2 id="restore-preview-title" class="text-lg font-semibold mb-1">Restore backup</h2>
+                <p class="restore-preview-file text-sm text-slate-500 dark:text-slate-400 mb-4 truncate"></p>
+                <dl class="grid grid-cols-2 gap-2 text-sm mb-4">
+                    <dt>Favorites</dt><dd class="text-right font-medium">${summary.favorites}</dd>
+                    <dt>Notes</dt><dd class="text-right font-medium">${summary.notes}</dd>
+                    <dt>Downloads</dt><dd class="text-right font-medium">${summary.downloads}</dd>
+                    <dt>Highlights &amp; sticky notes</dt><dd class="text-right font-medium">${summary.annotations}</dd>
+                    <dt>Settings</dt><dd class="text-right font-medium">${summary.settings}</dd>
+                </dl>
+                <p class="text-sm text-slate-600 dark:text-slate-300 mb-4">
+                    <strong>Replace</strong> discards your current data of each kind in the backup.
+                    <strong>Merge</strong> keeps them and adds the backup, keeping the newer copy of each note.
+                </p>
+                <div class="flex justify-end space-x-2">
+                    <button class="text-sm px-3 py-2 rounded-lg text-slate-600 dark:text-slate-300" data-mode="">Cancel</button>
+                    <button class="text-sm px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-700" data-mode="merge">Merge</button>
+                    <button class="text-sm px-3 py-2 rounded-lg bg-red-600 text-white" data-mode="replace">Replace</button>
+                </div>
+            </div>
+        `;
+        dialog.querySelector('.restore-preview-file').textContent = fileName;
+        
+        const finish = mode => {
+            document.removeEventListener('keydown', handleKeydown);
+            dialog.remove();
+            resolve(mode || null);
+        };
+        const handleKeydown = e => {
+            if (e.key === 'Escape') finish(null);
+        };
+        
+        dialog.addEventListener('click', e => {
+            const button = e.target.closest('button[data-mode]');
+            if (button) {
+                finish(button.dataset.mode);
+            } else if (e.target === dialog) {
+                finish(null);
+            }
+        });
+        document.addEventListener('keydown', handleKeydown);
+        
+        document.body.appendChild(dialog);
+        dialog.querySelector('[data-mode="merge"]').focus();
+    });
 }
 
 // Clear user data
 async function clearUserData() {
     if (confirm('Are you sure you want to clear all your data? This cannot be undone.')) {
         try {
+            // Cached PDFs live outside IndexedDB
+            await offlineLibrary.evict(await offlineLibrary.getItems(resources));
             await storage.clearAllData();
             
             favorites = [];
             notes = {};
-            downloads = [];
+            await downloader.load();
+            await offlineLibrary.load();
+            await syncEngine.load();
+            sortByCategory = {};
+            viewHistory = [];
+            readingProgress = {};
+            await searchHistory.load();
             
             localStorage.removeItem('theme');
             localStorage.removeItem('fontSize');
@@ -834,15 +1938,70 @@ async function clearUserData() {
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', initApp);
 
+// Offer a new service worker to the user instead of swapping code mid-session
+function showUpdatePrompt(updater, worker) {
+    const releases = releaseNotesSince(catalogLoader.metadata, APP_VERSION);
+    const text = value => {
+        const span = document.createElement('span');
+        span.textContent = value;
+        return span.innerHTML;
+    };
+    
+    let details = '';
+    if (releases.length > 0) {
+        const notes = releases.flatMap(release => release.notes).slice(0, 4);
+        details = `
+            <span class="block text-xs mt-1">What's new in ${text(releases[0].version)}:</span>
+            <ul class="text-xs list-disc pl-4">${notes.map(note => `<li>${text(note)}</li>`).join('')}</ul>
+        `;
+    }
+    
+    const notification = notyf.open({
+        type: 'update',
+        message: `<strong>Update available – reload</strong><span class="block text-xs">Click to update now, or close to keep working.</span>${details}`
+    });
+    lucide.createIcons();
+    
+    notification.on('click', () => {
+        notyf.dismiss(notification);
+        updater.apply(worker);
+    });
+}
+
 // Service Worker Registration
 if ('serviceWorker' in navigator) {
+    const updater = new ServiceWorkerUpdater(navigator.serviceWorker, {
+        onUpdate: worker => showUpdatePrompt(updater, worker)
+    });
+    
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
+                
+                // A new version waits until the user agrees to reload
+                updater.watch(registration);
+                
+                // Check for new resources in the background where supported
+                if ('periodicSync' in registration) {
+                    registration.periodicSync.register('update-resources', {
+                        minInterval: 24 * 60 * 60 * 1000
+                    }).catch(error => {
+                        console.log('Periodic sync registration failed: ', error);
+                    });
+                }
             })
             .catch(registrationError => {
                 console.log('SW registration failed: ', registrationError);
             });
     });
+    
+    // Pick up catalog changes found by the service worker, and pull after it pushed
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.action === 'catalogUpdated') {
+            refreshCatalog();
+        } else if (event.data && event.data.action === 'syncComplete') {
+            syncUserData();
+        }
+    });
 }
\ No newline at end of file
@@ -0,0 +1,288 @@
+// js/offline-library.js
+
+// Service worker cache of PDFs opened in the reader; keep in sync with sw.js
+export const PDF_CACHE_NAME = 'qneet-pdfs';
+
+// Settings key of the pinned resources and when each resource was last opened
+const LIBRARY_SETTING_KEY = 'offlineLibrary';
+
+// Evict once usage passes this share of the quota...
+const HIGH_WATER = 0.8;
+// ...until it is back under this share
+const LOW_WATER = 0.6;
+
+// How long to wait for the service worker to confirm a cleanup
+const CLEANUP_TIMEOUT = 5000;
+
+/**
+ * Pick the offline copies to evict to free some space
+ * Pinned resources are never picked; the least recently opened go first, and
+ * resources never opened go before all others.
+ * @param {Array} items - Library items as returned by OfflineLibrary.getItems()
+ * @param {number} bytesToFree - Bytes that need to be freed
+ * @returns {Array} Items to evict, in eviction order
+ */
+export function selectEvictions(items, bytesToFree) {
+    const candidates = items
+        .filter(item => !item.pinned)
+        .sort((a, b) => String(a.lastOpenedAt || '').localeCompare(String(b.lastOpenedAt || '')));
+
+    const selected = [];
+    let freed = 0;
+    for (const item of candidates) {
+        if (freed >= bytesToFree) break;
+        selected.push(item);
+        freed += item.bytes;
+    }
+    return selected;
+}
+
+/**
+ * Offline Library Class
+ * Tracks the PDFs kept on the device: files downloaded into IndexedDB and
+ * PDFs the service worker cached when they were opened. Resources can be
+ * pinned to keep them offline; when storage runs short the least recently
+ * opened unpinned PDFs are evicted.
+ */
+export class OfflineLibrary {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Browser APIs, for tests
+     * @param {CacheStorage} options.caches - Cache storage holding the PDF cache
+     * @param {StorageManager} options.storageManager - navigator.storage
+     * @param {ServiceWorkerContainer} options.serviceWorker - navigator.serviceWorker
+     */
+    constructor(storage, options = {}) {
+        const nav = typeof navigator !== 'undefined' ? navigator : {};
+        this.storage = storage;
+        this.caches = 'caches' in options ? options.caches : globalThis.caches || null;
+        this.storageManager = 'storageManager' in options ? options.storageManager : nav.storage || null;
+        this.serviceWorker = 'serviceWorker' in options ? options.serviceWorker : nav.serviceWorker || null;
+        this.pinned = new Set();
+        this.opened = {};
+    }
+
+    /**
+     * Load the pinned resources and last-opened times
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const saved = await this.storage.getSetting(LIBRARY_SETTING_KEY) || {};
+        this.pinned = new Set(saved.pinned || []);
+        this.opened = saved.opened || {};
+    }
+
+    /**
+     * Store the pinned resources and last-opened times
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await this.storage.saveSetting(LIBRARY_SETTING_KEY, {
+            pinned: [...this.pinned],
+            opened: this.opened
+        });
+    }
+
+    /**
+     * Check if a resource is pinned
+     * @param {number} resourceId - Resource ID
+     * @returns {boolean} True if the resource is kept offline
+     */
+    isPinned(resourceId) {
+        return this.pinned.has(resourceId);
+    }
+
+    /**
+     * Pin a resource so it is never evicted
+     * Also asks the browser to make storage persistent, so it does not clear
+     * pinned files on its own when the device runs low.
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<void>}
+     */
+    async pin(resourceId) {
+        this.pinned.add(resourceId);
+        await this.save();
+
+        if (this.storageManager && this.storageManager.persist) {
+            try {
+                if (!await this.storageManager.persisted()) {
+                    await this.storageManager.persist();
+                }
+            } catch (error) {
+                console.warn('Persistent storage request failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Unpin a resource; its offline copy stays until space is needed
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<void>}
+     */
+    async unpin(resourceId) {
+        this.pinned.delete(resourceId);
+        await this.save();
+    }
+
+    /**
+     * Record that a resource was opened, for least-recently-opened eviction
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<void>}
+     */
+    async markOpened(resourceId) {
+        this.opened[resourceId] = new Date().toISOString();
+        await this.save();
+    }
+
+    /**
+     * Read the size of every PDF in the service worker cache
+     * @returns {Promise<Map>} Map of URL path to { url, bytes }
+     */
+    async getCachedPdfs() {
+        const cached = new Map();
+        if (!this.caches) return cached;
+
+        const cache = await this.caches.open(PDF_CACHE_NAME);
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            if (!response) continue;
+
+            const bytes = Number(response.headers.get('Content-Length')) || (await response.blob()).size;
+            cached.set(new URL(request.url).pathname, { url: request.url, bytes });
+        }
+        return cached;
+    }
+
+    /**
+     * List the resources with an offline copy
+     * @param {Array} resources - Catalog resources
+     * @returns {Promise<Array>} Items { resource, resourceId, bytes, downloadBytes, cacheBytes, cacheUrl, pinned, lastOpenedAt }, largest first
+     */
+    async getItems(resources) {
+        const files = new Map((await this.storage.getAllFiles())
+            .filter(file => file.complete)
+            .map(file => [file.resourceId, file]));
+        const cached = await this.getCachedPdfs();
+        const base = typeof location !== 'undefined' ? location.href : 'http://localhost/';
+
+        const items = [];
+        resources.forEach(resource => {
+            const file = files.get(resource.id);
+            const entry = resource.filePath ? cached.get(new URL(resource.filePath, base).pathname) : null;
+            if (!file && !entry && !this.isPinned(resource.id)) return;
+
+            const downloadBytes = file ? file.size : 0;
+            const cacheBytes = entry ? entry.bytes : 0;
+            items.push({
+                resource,
+                resourceId: resource.id,
+                bytes: downloadBytes + cacheBytes,
+                downloadBytes,
+                cacheBytes,
+                cacheUrl: entry ? entry.url : null,
+                pinned: this.isPinned(resource.id),
+                lastOpenedAt: this.opened[resource.id] || null
+            });
+        });
+
+        return items.sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /**
+     * Get storage usage with a per-resource breakdown
+     * @param {Array} resources - Catalog resources
+     * @returns {Promise<Object>} { usage, quota, items, libraryBytes, otherBytes }
+     */
+    async getUsage(resources) {
+        const [{ usage, quota }, items] = await Promise.all([this.estimate(), this.getItems(resources)]);
+        const libraryBytes = items.reduce((sum, item) => sum + item.bytes, 0);
+
+        return {
+            usage,
+            quota,
+            items,
+            libraryBytes,
+            otherBytes: Math.max(0, usage - libraryBytes)
+        };
+    }
+
+    /**
+     * Estimate storage usage and quota
+     * @returns {Promise<Object>} { usage, quota } in bytes; zeros where unsupported
+     */
+    async estimate() {
+        if (!this.storageManager || !this.storageManager.estimate) {
+            return { usage: 0, quota: 0 };
+        }
+        const { usage = 0, quota = 0 } = await this.storageManager.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Delete the offline copies of library items
+     * @param {Array} items - Items from getItems()
+     * @returns {Promise<Array>} The items removed
+     */
+    async evict(items) {
+        for (const item of items) {
+            if (item.downloadBytes > 0) {
+                await this.storage.deleteFile(item.resourceId);
+            }
+            delete this.opened[item.resourceId];
+        }
+
+        await this.removeCached(items.map(item => item.cacheUrl).filter(Boolean));
+        await this.save();
+        return items;
+    }
+
+    /**
+     * Remove PDFs from the service worker cache
+     * The service worker's cleanupCache handler does the work when it controls
+     * the page; otherwise the cache is edited directly.
+     * @param {Array<string>} urls - Cached PDF URLs
+     * @returns {Promise<void>}
+     */
+    async removeCached(urls) {
+        if (urls.length === 0) return;
+
+        const worker = this.serviceWorker && this.serviceWorker.controller;
+        if (worker && typeof MessageChannel !== 'undefined') {
+            const channel = new MessageChannel();
+            const done = new Promise(resolve => {
+                const timer = setTimeout(() => resolve(false), CLEANUP_TIMEOUT);
+                channel.port1.onmessage = () => {
+                    clearTimeout(timer);
+                    resolve(true);
+                };
+            });
+            worker.postMessage({ action: 'cleanupCache', evict: urls }, [channel.port2]);
+            const confirmed = await done;
+            channel.port1.close();
+            if (confirmed) return;
+        }
+
+        if (this.caches) {
+            const cache = await this.caches.open(PDF_CACHE_NAME);
+            await Promise.all(urls.map(url => cache.delete(url)));
+        }
+    }
+
+    /**
+     * Evict unpinned PDFs if usage is above the high-water mark
+     * @param {Array} resources - Catalog resources
+     * @param {number} bytesNeeded - Space about to be used, e.g. by a download
+     * @returns {Promise<Array>} The items evicted
+     */
+    async ensureSpace(resources, bytesNeeded = 0) {
+        const { usage, quota } = await this.estimate();
+        if (!quota || usage + bytesNeeded <= quota * HIGH_WATER) return [];
+
+        const bytesToFree = usage + bytesNeeded - quota * LOW_WATER;
+        const evictions = selectEvictions(await this.getItems(resources), bytesToFree);
+        return this.evict(evictions);
+    }
+}
+
+// Export the class as default
+export default OfflineLibrary;
@@ -0,0 +1,270 @@
+// js/pdf-reader.js
+
+import { PDFViewer } from './pdf-viewer.js';
+import { AnnotationManager } from './annotations.js';
+import { UIUtils } from './utils.js';
+
+/**
+ * PDF Reader Class for QNEET
+ * Full-screen reading mode that hosts a PDFViewer for one resource at a time
+ */
+export class PDFReader {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Options
+     * @param {Function} options.notify - Called with (type, message) for user feedback
+     * @param {Function} options.onProgress - Called with the progress object after it is saved
+     * @param {Function} options.onPageChange - Called with (resource, pageNum) when the page changes
+     * @param {Function} options.onClose - Called with the resource after the reader closes
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.notify = options.notify || (() => {});
+        this.onProgress = options.onProgress || (() => {});
+        this.onPageChange = options.onPageChange || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.viewer = null;
+        this.annotations = null;
+        this.resource = null;
+        this.overlay = null;
+        this.viewedPages = new Set();
+        // Bumped by every open() and close(), so a slower earlier open() can tell it is stale
+        this.openToken = 0;
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handlePageChange = this.handlePageChange.bind(this);
+        this.scheduleProgressSave = UIUtils.debounce(() => this.saveProgress(), 1000);
+
+        // The page may be closed without closing the reader first
+        window.addEventListener('pagehide', () => this.saveProgress());
+
+        this.createOverlay();
+    }
+
+    /**
+     * Create the full-screen overlay that holds the viewer
+     */
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'pdf-reader hidden fixed inset-0 z-50 flex flex-col bg-slate-100 dark:bg-slate-900';
+        overlay.id = 'pdf-reader';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'pdf-reader-title');
+        overlay.innerHTML = `
+            <div class="pdf-reader-header flex items-center justify-between p-3 bg-white dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700">
+                <h2 id="pdf-reader-title" class="font-semibold truncate"></h2>
+                <button class="pdf-reader-close text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 p-2 rounded-lg" aria-label="Close reader">
+                    <i data-lucide="x" class="w-5 h-5"></i>
+                </button>
+            </div>
+            <div class="pdf-reader-body flex-1 flex overflow-hidden">
+                <div class="pdf-reader-main flex-1 flex flex-col overflow-hidden">
+                    <div id="pdf-reader-viewer" class="pdf-viewer flex-1"></div>
+                </div>
+                <aside class="pdf-annotation-sidebar hidden w-72 overflow-y-auto p-4 bg-white dark:bg-slate-800 border-l border-slate-200 dark:border-slate-700"></aside>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('.pdf-reader-close').addEventListener('click', () => this.close());
+
+        this.overlay = overlay;
+        this.title = overlay.querySelector('#pdf-reader-title');
+        this.sidebar = overlay.querySelector('.pdf-annotation-sidebar');
+    }
+
+    /**
+     * Open a resource in the reader
+     * @param {Object} resource - Resource with a filePath to a PDF
+     * @param {Object} options - Open options
+     * @param {number} options.page - Page to open at instead of the saved position
+     * @param {string} options.query - Text to find and highlight once the document loads
+     * @param {string} options.url - URL to load instead of the filePath, e.g. of the offline copy
+     */
+    async open(resource, options = {}) {
+        const token = ++this.openToken;
+        this.saveProgress();
+
+        // Pick up where the student left off; read before touching the viewer so
+        // the old one is replaced in a single synchronous step below
+        const saved = await this.storage.getProgress(resource.id);
+        if (token !== this.openToken) return;
+
+        // Never keep two viewers (and two sets of controls) alive at once
+        this.destroyViewer();
+
+        this.resource = resource;
+        this.title.textContent = resource.title;
+        this.viewedPages = new Set(saved ? saved.viewedPages : []);
+
+        this.overlay.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        document.addEventListener('keydown', this.handleKeydown);
+        this.enterFullscreen();
+
+        const viewer = new PDFViewer('pdf-reader-viewer', {
+            mode: localStorage.getItem('readerMode') || 'continuous',
+            onModeChange: mode => localStorage.setItem('readerMode', mode)
+        });
+        viewer.container.addEventListener('pagechange', this.handlePageChange);
+        this.viewer = viewer;
+        this.annotations = new AnnotationManager(viewer, this.storage, resource.id, {
+            sidebar: this.sidebar,
+            notify: this.notify
+        });
+
+        await this.annotations.load();
+        if (token !== this.openToken) return;
+        lucide.createIcons();
+
+        const position = options.page ? { ...saved, page: options.page, offset: 0 } : saved;
+        await viewer.loadPDF(options.url || resource.filePath, position);
+        if (token !== this.openToken) return;
+
+        if (options.query && viewer.pdfDoc) {
+            viewer.openFindBar(options.query);
+        }
+        lucide.createIcons();
+    }
+
+    /**
+     * Count the page as read and remember the position
+     * @param {CustomEvent} e - pagechange event from the viewer
+     */
+    handlePageChange(e) {
+        this.viewedPages.add(e.detail.pageNum);
+        this.scheduleProgressSave();
+        this.onPageChange(this.resource, e.detail.pageNum);
+    }
+
+    /**
+     * Snapshot the reading progress of the open resource
+     * @returns {Object|null} Progress object, or null if no document is loaded
+     */
+    captureProgress() {
+        if (!this.resource || !this.viewer) return null;
+
+        const position = this.viewer.getPosition();
+        if (!position) return null;
+
+        const totalPages = this.viewer.pdfDoc.numPages;
+        return {
+            resourceId: this.resource.id,
+            page: position.page,
+            scale: position.scale,
+            offset: position.offset,
+            viewedPages: Array.from(this.viewedPages).sort((a, b) => a - b),
+            totalPages,
+            percent: Math.round((this.viewedPages.size / totalPages) * 100),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Persist the reading progress of the open resource
+     * @param {Object} progress - Progress to store; captured from the viewer if omitted
+     */
+    async saveProgress(progress = this.captureProgress()) {
+        if (!progress) return;
+
+        try {
+            await this.storage.saveProgress(progress);
+            this.onProgress(progress);
+        } catch (error) {
+            console.error('Error saving reading progress:', error);
+        }
+    }
+
+    /**
+     * Close the reader and release the document
+     */
+    close() {
+        // Drop an open() still waiting on storage or the document
+        this.openToken++;
+        if (!this.isOpen()) return;
+
+        // Capture the position before the viewer is torn down
+        this.saveProgress();
+        this.destroyViewer();
+
+        const resource = this.resource;
+        this.resource = null;
+        this.overlay.classList.add('hidden');
+        document.body.style.overflow = '';
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.exitFullscreen();
+        this.onClose(resource);
+    }
+
+    /**
+     * Tear down the current viewer and its annotations
+     */
+    destroyViewer() {
+        if (this.annotations) {
+            this.annotations.destroy();
+            this.annotations = null;
+        }
+
+        if (this.viewer) {
+            this.viewer.container.removeEventListener('pagechange', this.handlePageChange);
+            this.viewer.destroy();
+            this.viewer = null;
+        }
+    }
+
+    /**
+     * Check whether the reader is currently shown
+     * @returns {boolean} True if the reader is open
+     */
+    isOpen() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Keyboard shortcuts while the reader is open
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        if (!this.viewer) return;
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            this.viewer.openFindBar();
+            return;
+        }
+
+        // Let text fields (e.g. the find bar) keep their arrow keys
+        if (e.target.closest && e.target.closest('input, textarea')) return;
+
+        if (e.key === 'Escape') {
+            this.close();
+        } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+            this.viewer.previousPage();
+        } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+            this.viewer.nextPage();
+        }
+    }
+
+    /**
+     * Ask the browser for real full-screen where it is allowed
+     */
+    enterFullscreen() {
+        if (this.overlay.requestFullscreen && !document.fullscreenElement) {
+            this.overlay.requestFullscreen().catch(() => {
+                // Not allowed (e.g. iOS Safari); the fixed overlay still covers the page
+            });
+        }
+    }
+
+    /**
+     * Leave browser full-screen if the reader entered it
+     */
+    exitFullscreen() {
+        if (document.fullscreenElement === this.overlay && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+}
+
+// Export the class as default
+export default PDFReader;
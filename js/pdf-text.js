@@ -0,0 +1,171 @@
+// js/pdf-text.js
+
+/**
+ * PDF text helpers shared by the viewer's find bar and document search.
+ * PDF.js splits a page into many text items (often one per word or line
+ * fragment), so matching is done on the joined page text and mapped back
+ * to item offsets afterwards.
+ */
+
+/**
+ * Join the text items of a page into one string
+ * @param {Object} textContent - Result of PDFPageProxy.getTextContent()
+ * @returns {Object} { text, items, starts } where items are the item strings
+ *     (aligned with the text layer's divs) and starts their offsets in text
+ */
+export function buildPageText(textContent) {
+    const items = [];
+    const starts = [];
+    let text = '';
+
+    textContent.items.forEach(item => {
+        // Marked-content entries carry no text and get no text layer div
+        if (item.str === undefined) return;
+
+        items.push(item.str);
+        starts.push(text.length);
+        text += item.str;
+        if (item.hasEOL) {
+            text += ' ';
+        }
+    });
+
+    return { text, items, starts };
+}
+
+/**
+ * Lower-case a string and collapse whitespace runs, remembering where each
+ * character came from
+ * @param {string} text - Text to normalize
+ * @returns {Object} { text, map } where map[i] is the index in the original text
+ */
+export function normalizeForSearch(text) {
+    let normalized = '';
+    const map = [];
+    let lastWasSpace = true;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            if (lastWasSpace) continue;
+            normalized += ' ';
+            map.push(i);
+            lastWasSpace = true;
+        } else {
+            const lower = char.toLowerCase();
+            // Keep the map aligned if lower-casing changes the length
+            for (let j = 0; j < lower.length; j++) {
+                normalized += lower[j];
+                map.push(i);
+            }
+            lastWasSpace = false;
+        }
+    }
+
+    return { text: normalized, map };
+}
+
+/**
+ * Find every case-insensitive occurrence of a query in page text
+ * @param {string} text - Page text from buildPageText
+ * @param {string} query - Text to look for
+ * @returns {Array<Object>} Matches as { start, end } offsets into text
+ */
+export function findInText(text, query) {
+    const needle = normalizeForSearch(query).text.trim();
+    if (!needle) return [];
+
+    const haystack = normalizeForSearch(text);
+    const matches = [];
+    let index = haystack.text.indexOf(needle);
+
+    while (index !== -1) {
+        const start = haystack.map[index];
+        const end = haystack.map[index + needle.length - 1] + 1;
+        matches.push({ start, end });
+        index = haystack.text.indexOf(needle, index + needle.length);
+    }
+
+    return matches;
+}
+
+/**
+ * Split a text range into per-item ranges
+ * @param {Object} pageText - Result of buildPageText
+ * @param {number} start - Start offset in pageText.text
+ * @param {number} end - End offset in pageText.text
+ * @returns {Array<Object>} Ranges as { item, start, end } relative to each item
+ */
+export function rangeToItems(pageText, start, end) {
+    const ranges = [];
+
+    pageText.items.forEach((str, item) => {
+        const itemStart = pageText.starts[item];
+        const itemEnd = itemStart + str.length;
+        if (itemStart < end && itemEnd > start) {
+            ranges.push({
+                item,
+                start: Math.max(start, itemStart) - itemStart,
+                end: Math.min(end, itemEnd) - itemStart
+            });
+        }
+    });
+
+    return ranges;
+}
+
+/**
+ * Cut a short excerpt around a match
+ * @param {string} text - Page text
+ * @param {number} start - Match start offset
+ * @param {number} end - Match end offset
+ * @param {number} context - Characters to keep on each side
+ * @returns {string} Excerpt with ellipses where text was cut
+ */
+export function makeSnippet(text, start, end, context = 50) {
+    const from = Math.max(0, start - context);
+    const to = Math.min(text.length, end + context);
+    const prefix = from > 0 ? '...' : '';
+    const suffix = to < text.length ? '...' : '';
+    return prefix + text.slice(from, to).replace(/\s+/g, ' ').trim() + suffix;
+}
+
+/**
+ * Split text into index terms: lower-cased runs of letters (with their combining
+ * marks, as in Devanagari) and digits
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms in document order, including repeats
+ */
+export function tokenize(text) {
+    return normalizeForSearch(text).text
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(term => term.length > 1);
+}
+
+/**
+ * Extract the text of every page of a document, as PDFViewer.searchText reads it
+ * @param {PDFDocumentProxy} pdfDoc - Loaded PDF.js document
+ * @param {Function} onPage - Optional callback with (pageNum, numPages) after each page
+ * @returns {Promise<Array<Object>>} Pages as { page, text, terms } where terms maps
+ *     each term on the page to its number of occurrences
+ */
+export async function extractDocumentText(pdfDoc, onPage = null) {
+    const pages = [];
+
+    for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+        const page = await pdfDoc.getPage(pageNum);
+        const { text } = buildPageText(await page.getTextContent());
+        page.cleanup();
+
+        // A Map, so terms like "constructor" cannot collide with Object.prototype
+        const counts = new Map();
+        tokenize(text).forEach(term => {
+            counts.set(term, (counts.get(term) || 0) + 1);
+        });
+        pages.push({ page: pageNum, text, terms: Object.fromEntries(counts) });
+
+        if (onPage) onPage(pageNum, pdfDoc.numPages);
+    }
+
+    return pages;
+}
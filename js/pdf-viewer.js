@@ -1,31 +1,77 @@
 // js/pdf-viewer.js
 
+import { UIUtils } from './utils.js';
+import { buildPageText, findInText, rangeToItems, makeSnippet } from './pdf-text.js';
+
+// In continuous mode, pages within this many pixels of the viewport are rendered
+const RENDER_MARGIN = 800;
+
+// Number of spare canvases kept for reuse once pages scroll out of range
+const CANVAS_POOL_SIZE = 4;
+
 /**
  * PDF Viewer Class for QNEET
  * Integrates with PDF.js to render PDF documents
  */
 export class PDFViewer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - ID of the element that hosts the pages
+     * @param {Object} options - Viewer options
+     * @param {string} options.mode - 'single' (one page at a time) or 'continuous' (vertical scroll)
+     * @param {Function} options.onModeChange - Called with the new mode when the user switches
+     */
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
         this.pdfDoc = null;
         this.currentPage = 1;
         this.scale = 1.5;
+        this.mode = options.mode === 'continuous' ? 'continuous' : 'single';
+        this.onModeChange = options.onModeChange || null;
         this.canvas = null;
         this.context = null;
         this.isRendering = false;
         this.pageRenderingQueue = null;
+        this.loadingTask = null;
+        this.url = null;
+        this.reportedPage = null;
         
-        // Create navigation controls
+        // Continuous mode state
+        this.pageViews = [];
+        this.canvasPool = [];
+        this.observer = null;
+        this.pagesContainer = null;
+        this.handleScroll = UIUtils.throttle(() => this.updateCurrentPageFromScroll(), 100);
+        
+        // Text layer and find state
+        this.pageElement = null;
+        this.pageTexts = new Map();
+        this.textDivs = new Map();
+        this.findQuery = '';
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.findToken = 0;
+        this.scrollToMatchPending = false;
+        
+        // Create navigation controls and find bar
         this.createNavigationControls();
+        this.createFindBar();
         
         // Initialize PDF.js worker
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+        if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+        }
     }
     
     /**
      * Create navigation controls for the PDF viewer
      */
     createNavigationControls() {
+        // Remove controls left behind by a previous viewer on the same container
+        const existing = this.container.parentNode.querySelector(':scope > .pdf-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
         // Create controls container
         const controls = document.createElement('div');
         controls.className = 'pdf-controls flex items-center justify-between p-3 bg-white dark:bg-slate-700 border-t border-slate-200 dark:border-slate-600';
@@ -63,8 +109,23 @@ export class PDFViewer {
         zoomInButton.innerHTML = '<i data-lucide="zoom-in" class="w-5 h-5"></i>';
         zoomInButton.addEventListener('click', () => this.zoomIn());
         
+        const modeButton = document.createElement('button');
+        modeButton.className = 'pdf-mode bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 p-2 rounded-lg';
+        modeButton.addEventListener('click', () => {
+            this.setMode(this.mode === 'continuous' ? 'single' : 'continuous');
+        });
+        
+        const findButton = document.createElement('button');
+        findButton.className = 'pdf-find-toggle bg-slate-100 dark:bg-slate-600 hover:bg-slate-200 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 p-2 rounded-lg';
+        findButton.title = 'Find in document';
+        findButton.setAttribute('aria-label', findButton.title);
+        findButton.innerHTML = '<i data-lucide="search" class="w-5 h-5"></i>';
+        findButton.addEventListener('click', () => this.toggleFindBar());
+        
         zoomControls.appendChild(zoomOutButton);
         zoomControls.appendChild(zoomInButton);
+        zoomControls.appendChild(modeButton);
+        zoomControls.appendChild(findButton);
         
         // Assemble controls
         controls.appendChild(prevButton);
@@ -76,42 +137,217 @@ export class PDFViewer {
         this.container.parentNode.insertBefore(controls, this.container.nextSibling);
         
         // Store references
+        this.controls = controls;
         this.prevButton = prevButton;
         this.nextButton = nextButton;
         this.pageInfo = pageInfo;
+        this.modeButton = modeButton;
+        this.updateModeButton();
+    }
+    
+    /**
+     * Create the find bar shown above the document
+     */
+    createFindBar() {
+        const existing = this.container.parentNode.querySelector(':scope > .pdf-find-bar');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const findBar = document.createElement('div');
+        findBar.className = 'pdf-find-bar hidden flex items-center gap-2 p-2 bg-white dark:bg-slate-700 border-b border-slate-200 dark:border-slate-600';
+        findBar.innerHTML = `
+            <input type="search" class="pdf-find-input flex-1 px-3 py-1 rounded-lg border border-slate-200 dark:border-slate-600 bg-transparent" placeholder="Find in document" aria-label="Find in document">
+            <span class="pdf-find-count text-sm text-slate-500 dark:text-slate-300" aria-live="polite"></span>
+            <button class="pdf-find-prev p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-600" aria-label="Previous match">
+                <i data-lucide="chevron-up" class="w-4 h-4"></i>
+            </button>
+            <button class="pdf-find-next p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-600" aria-label="Next match">
+                <i data-lucide="chevron-down" class="w-4 h-4"></i>
+            </button>
+            <button class="pdf-find-close p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-600" aria-label="Close find bar">
+                <i data-lucide="x" class="w-4 h-4"></i>
+            </button>
+        `;
+        
+        const input = findBar.querySelector('.pdf-find-input');
+        const debouncedFind = UIUtils.debounce(() => this.find(input.value), 250);
+        input.addEventListener('input', debouncedFind);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.findPrevious();
+                } else {
+                    this.findNext();
+                }
+            } else if (e.key === 'Escape') {
+                // Close the find bar only, not whatever hosts the viewer
+                e.stopPropagation();
+                this.closeFindBar();
+            }
+        });
+        
+        findBar.querySelector('.pdf-find-prev').addEventListener('click', () => this.findPrevious());
+        findBar.querySelector('.pdf-find-next').addEventListener('click', () => this.findNext());
+        findBar.querySelector('.pdf-find-close').addEventListener('click', () => this.closeFindBar());
+        
+        // Insert the find bar before the container
+        this.container.parentNode.insertBefore(findBar, this.container);
+        
+        this.findBar = findBar;
+        this.findInput = input;
+        this.findCount = findBar.querySelector('.pdf-find-count');
+    }
+    
+    /**
+     * Show the find bar and focus its input
+     * @param {string} query - Optional text to search for right away
+     */
+    openFindBar(query) {
+        this.findBar.classList.remove('hidden');
+        if (query !== undefined) {
+            this.findInput.value = query;
+            this.find(query);
+        }
+        this.findInput.focus();
+        this.findInput.select();
+    }
+    
+    /**
+     * Hide the find bar and clear highlights
+     */
+    closeFindBar() {
+        this.findBar.classList.add('hidden');
+        this.findInput.value = '';
+        this.find('');
+    }
+    
+    /**
+     * Toggle the find bar
+     */
+    toggleFindBar() {
+        if (this.findBar.classList.contains('hidden')) {
+            this.openFindBar();
+        } else {
+            this.closeFindBar();
+        }
+    }
+    
+    /**
+     * Update the mode toggle to offer the other mode
+     */
+    updateModeButton() {
+        const continuous = this.mode === 'continuous';
+        this.modeButton.title = continuous ? 'Single page' : 'Continuous scroll';
+        this.modeButton.setAttribute('aria-label', this.modeButton.title);
+        this.modeButton.innerHTML = `<i data-lucide="${continuous ? 'file' : 'scroll'}" class="w-5 h-5"></i>`;
+    }
+    
+    /**
+     * Switch between single-page and continuous-scroll rendering
+     * @param {string} mode - 'single' or 'continuous'
+     */
+    async setMode(mode) {
+        if (mode !== 'single' && mode !== 'continuous') return;
+        if (mode === this.mode) return;
+        
+        this.mode = mode;
+        this.updateModeButton();
+        lucide.createIcons();
+        
+        if (this.onModeChange) {
+            this.onModeChange(mode);
+        }
+        
+        if (!this.pdfDoc) return;
+        
+        const page = this.currentPage;
+        this.teardownContinuousPages();
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.context = null;
+        }
+        this.container.innerHTML = '';
+        
+        if (mode === 'continuous') {
+            await this.setupContinuousPages();
+            this.scrollToPage(page);
+        } else {
+            await this.renderPage(page);
+        }
+        this.updateNavigationControls();
     }
     
     /**
      * Load a PDF document from a URL
-     * @param {string} url - URL to the PDF file
+     * @param {string|Object} url - URL to the PDF file, or PDF.js getDocument() parameters
+     * @param {Object} position - Optional position to restore, as returned by getPosition()
      */
-    async loadPDF(url) {
+    async loadPDF(url, position = null) {
+        // Release the previous document before loading a new one
+        this.closeDocument();
+        this.url = url;
+        let loadingTask = null;
+        
         try {
             // Show loading indicator
             this.showLoading();
             
             // Load the PDF document
-            const loadingTask = pdfjsLib.getDocument(url);
+            loadingTask = pdfjsLib.getDocument(url);
+            this.loadingTask = loadingTask;
             
             // Add progress tracking
             loadingTask.onProgress = (progress) => {
-                this.updateLoadingProgress(progress.loaded / progress.total);
+                if (progress.total) {
+                    this.updateLoadingProgress(progress.loaded / progress.total);
+                }
             };
             
-            this.pdfDoc = await loadingTask.promise;
+            const pdfDoc = await loadingTask.promise;
+            
+            // Another document was requested or the viewer was closed meanwhile
+            if (this.loadingTask !== loadingTask) {
+                pdfDoc.destroy();
+                return;
+            }
+            this.loadingTask = null;
+            this.pdfDoc = pdfDoc;
             
             // Hide loading indicator
             this.hideLoading();
             
-            // Render the first page
-            this.currentPage = 1;
-            await this.renderPage(this.currentPage);
+            // Start where the reader left off, or at the first page
+            if (position && position.scale) {
+                this.scale = position.scale;
+            }
+            const startPage = position && position.page ? position.page : 1;
+            this.currentPage = Math.min(Math.max(1, startPage), this.pdfDoc.numPages);
+            
+            // Render the page, or the page placeholders in continuous mode
+            if (this.mode === 'continuous') {
+                await this.setupContinuousPages();
+                this.scrollToPage(this.currentPage);
+            } else {
+                await this.renderPage(this.currentPage);
+            }
+            
+            if (position && position.offset) {
+                this.applyScrollOffset(position.offset);
+            }
             
             // Update navigation controls
             this.updateNavigationControls();
             
             console.log(`PDF loaded: ${this.pdfDoc.numPages} pages`);
         } catch (error) {
+            // Loading was cancelled by closeDocument(), nothing to report
+            if (loadingTask && this.loadingTask !== loadingTask) {
+                return;
+            }
+            this.loadingTask = null;
             console.error('Error loading PDF:', error);
             this.showError('Failed to load PDF document');
         }
@@ -135,17 +371,23 @@ export class PDFViewer {
             // Set viewport
             const viewport = page.getViewport({ scale: this.scale });
             
-            // Prepare canvas
-            if (!this.canvas) {
+            // Prepare canvas (the loading indicator may have replaced an earlier one)
+            if (!this.canvas || !this.container.contains(this.canvas)) {
+                this.pageElement = document.createElement('div');
+                this.pageElement.className = 'pdf-page';
                 this.canvas = document.createElement('canvas');
                 this.context = this.canvas.getContext('2d');
+                this.pageElement.appendChild(this.canvas);
                 this.container.innerHTML = '';
-                this.container.appendChild(this.canvas);
+                this.container.appendChild(this.pageElement);
             }
             
             // Set canvas dimensions
             this.canvas.height = viewport.height;
             this.canvas.width = viewport.width;
+            this.pageElement.dataset.pageNumber = pageNum;
+            this.pageElement.style.width = `${Math.floor(viewport.width)}px`;
+            this.pageElement.style.height = `${Math.floor(viewport.height)}px`;
             
             // Render the page
             const renderContext = {
@@ -155,16 +397,23 @@ export class PDFViewer {
             
             await page.render(renderContext).promise;
             
+            // Only one page is on screen in single-page mode
+            this.textDivs.clear();
+            await this.renderTextLayer(page, viewport, this.pageElement, pageNum);
+            this.notifyPageRendered(pageNum, this.pageElement, viewport);
+            
             // Update page info
             this.updatePageInfo();
         } catch (error) {
+            // The document was closed while this page was rendering
+            if (!this.pdfDoc) return;
             console.error('Error rendering page:', error);
             this.showError('Failed to render page');
         } finally {
             this.isRendering = false;
             
             // Check if another page was queued
-            if (this.pageRenderingQueue !== null && this.pageRenderingQueue !== this.currentPage) {
+            if (this.pageRenderingQueue !== null) {
                 const pageNum = this.pageRenderingQueue;
                 this.pageRenderingQueue = null;
                 this.renderPage(pageNum);
@@ -184,6 +433,29 @@ export class PDFViewer {
         }
     }
     
+    /**
+     * Bring a page into view using the current mode
+     * @param {number} pageNum - Page number to show
+     */
+    showPage(pageNum) {
+        if (this.mode === 'continuous') {
+            this.scrollToPage(pageNum);
+        } else {
+            this.queueRenderPage(pageNum);
+        }
+    }
+    
+    /**
+     * Re-render after a scale change
+     */
+    refreshLayout() {
+        if (this.mode === 'continuous') {
+            this.rescaleContinuousPages();
+        } else {
+            this.queueRenderPage(this.currentPage);
+        }
+    }
+    
     /**
      * Go to the previous page
      */
@@ -191,7 +463,7 @@ export class PDFViewer {
         if (this.currentPage <= 1) return;
         
         this.currentPage--;
-        this.queueRenderPage(this.currentPage);
+        this.showPage(this.currentPage);
         this.updateNavigationControls();
     }
     
@@ -199,10 +471,10 @@ export class PDFViewer {
      * Go to the next page
      */
     nextPage() {
-        if (this.currentPage >= this.pdfDoc.numPages) return;
+        if (!this.pdfDoc || this.currentPage >= this.pdfDoc.numPages) return;
         
         this.currentPage++;
-        this.queueRenderPage(this.currentPage);
+        this.showPage(this.currentPage);
         this.updateNavigationControls();
     }
     
@@ -211,10 +483,10 @@ export class PDFViewer {
      * @param {number} pageNum - Page number to go to
      */
     goToPage(pageNum) {
-        if (pageNum < 1 || pageNum > this.pdfDoc.numPages) return;
+        if (!this.pdfDoc || pageNum < 1 || pageNum > this.pdfDoc.numPages) return;
         
         this.currentPage = pageNum;
-        this.queueRenderPage(this.currentPage);
+        this.showPage(this.currentPage);
         this.updateNavigationControls();
     }
     
@@ -223,7 +495,7 @@ export class PDFViewer {
      */
     zoomIn() {
         this.scale += 0.2;
-        this.queueRenderPage(this.currentPage);
+        this.refreshLayout();
     }
     
     /**
@@ -232,7 +504,512 @@ export class PDFViewer {
     zoomOut() {
         if (this.scale <= 0.5) return;
         this.scale -= 0.2;
-        this.queueRenderPage(this.currentPage);
+        this.refreshLayout();
+    }
+    
+    /**
+     * Build one placeholder per page for continuous scrolling; only pages near
+     * the viewport get a canvas
+     */
+    async setupContinuousPages() {
+        const pdfDoc = this.pdfDoc;
+        
+        // Size every placeholder from the first page until its own page renders
+        const firstPage = await pdfDoc.getPage(1);
+        if (this.pdfDoc !== pdfDoc) return;
+        const baseViewport = firstPage.getViewport({ scale: 1 });
+        
+        this.container.innerHTML = '';
+        this.container.classList.add('pdf-viewer-continuous');
+        
+        const pagesContainer = document.createElement('div');
+        pagesContainer.className = 'pdf-pages';
+        this.pageViews = [];
+        
+        for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+            const element = document.createElement('div');
+            element.className = 'pdf-page';
+            element.dataset.pageNumber = pageNum;
+            pagesContainer.appendChild(element);
+            
+            this.pageViews.push({
+                pageNum,
+                element,
+                width: baseViewport.width,
+                height: baseViewport.height,
+                canvas: null,
+                renderTask: null,
+                renderedScale: null,
+                isVisible: false
+            });
+        }
+        
+        this.pagesContainer = pagesContainer;
+        this.container.appendChild(pagesContainer);
+        this.pageViews.forEach(view => this.sizePageElement(view));
+        
+        this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+            root: this.container,
+            rootMargin: `${RENDER_MARGIN}px 0px`
+        });
+        this.pageViews.forEach(view => this.observer.observe(view.element));
+        
+        this.container.addEventListener('scroll', this.handleScroll);
+    }
+    
+    /**
+     * Remove continuous mode placeholders, canvases and listeners
+     */
+    teardownContinuousPages() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        
+        this.pageViews.forEach(view => {
+            if (view.renderTask) {
+                view.renderTask.cancel();
+            }
+        });
+        this.pageViews = [];
+        this.canvasPool = [];
+        this.textDivs.clear();
+        
+        if (this.pagesContainer) {
+            this.pagesContainer.remove();
+            this.pagesContainer = null;
+        }
+        
+        this.container.removeEventListener('scroll', this.handleScroll);
+        this.container.classList.remove('pdf-viewer-continuous');
+    }
+    
+    /**
+     * Apply a page's unscaled size at the current scale to its placeholder
+     * @param {Object} view - Page view
+     */
+    sizePageElement(view) {
+        view.element.style.width = `${Math.floor(view.width * this.scale)}px`;
+        view.element.style.height = `${Math.floor(view.height * this.scale)}px`;
+    }
+    
+    /**
+     * Render pages entering the render margin and recycle the ones leaving it
+     * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+     */
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            const view = this.pageViews[Number(entry.target.dataset.pageNumber) - 1];
+            if (!view) return;
+            
+            view.isVisible = entry.isIntersecting;
+            if (entry.isIntersecting) {
+                this.renderPageView(view);
+            } else {
+                this.releasePageView(view);
+            }
+        });
+    }
+    
+    /**
+     * Render one page into a (possibly recycled) canvas
+     * @param {Object} view - Page view
+     */
+    async renderPageView(view) {
+        if (!this.pdfDoc) return;
+        if (view.canvas && view.renderedScale === this.scale) return;
+        
+        const canvas = view.canvas || this.canvasPool.pop() || document.createElement('canvas');
+        if (!view.canvas) {
+            view.canvas = canvas;
+            view.element.appendChild(canvas);
+        }
+        if (view.renderTask) {
+            view.renderTask.cancel();
+            view.renderTask = null;
+        }
+        
+        const scale = this.scale;
+        
+        try {
+            const page = await this.pdfDoc.getPage(view.pageNum);
+            
+            // Scrolled away or zoomed while the page was loading
+            if (view.canvas !== canvas || scale !== this.scale) return;
+            
+            const viewport = page.getViewport({ scale });
+            view.width = viewport.width / scale;
+            view.height = viewport.height / scale;
+            this.sizePageElement(view);
+            
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            
+            view.renderTask = page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport: viewport
+            });
+            await view.renderTask.promise;
+            view.renderTask = null;
+            view.renderedScale = scale;
+            
+            if (view.canvas === canvas) {
+                await this.renderTextLayer(page, viewport, view.element, view.pageNum);
+                this.notifyPageRendered(view.pageNum, view.element, viewport);
+            }
+        } catch (error) {
+            if (error && error.name === 'RenderingCancelledException') return;
+            if (!this.pdfDoc) return;
+            console.error(`Error rendering page ${view.pageNum}:`, error);
+        }
+    }
+    
+    /**
+     * Detach a page's canvas and keep it for reuse
+     * @param {Object} view - Page view
+     */
+    releasePageView(view) {
+        if (view.renderTask) {
+            view.renderTask.cancel();
+            view.renderTask = null;
+        }
+        
+        const textLayer = view.element.querySelector('.textLayer');
+        if (textLayer) {
+            textLayer.remove();
+        }
+        this.textDivs.delete(view.pageNum);
+        
+        if (view.canvas) {
+            view.canvas.remove();
+            if (this.canvasPool.length < CANVAS_POOL_SIZE) {
+                this.canvasPool.push(view.canvas);
+            }
+            view.canvas = null;
+            view.renderedScale = null;
+        }
+    }
+    
+    /**
+     * Resize placeholders after a zoom and re-render the visible pages,
+     * keeping the current page in place
+     */
+    rescaleContinuousPages() {
+        if (!this.pdfDoc || this.pageViews.length === 0) return;
+        
+        const anchor = this.pageViews[this.currentPage - 1];
+        const offsetInPage = anchor
+            ? (this.container.scrollTop - anchor.element.offsetTop) / anchor.element.offsetHeight
+            : 0;
+        
+        this.pageViews.forEach(view => this.sizePageElement(view));
+        
+        if (anchor) {
+            this.container.scrollTop = anchor.element.offsetTop + offsetInPage * anchor.element.offsetHeight;
+        }
+        
+        this.pageViews
+            .filter(view => view.isVisible)
+            .forEach(view => this.renderPageView(view));
+    }
+    
+    /**
+     * Scroll a page to the top of the viewer
+     * @param {number} pageNum - Page number
+     */
+    scrollToPage(pageNum) {
+        const view = this.pageViews[pageNum - 1];
+        if (!view) return;
+        
+        this.container.scrollTop = view.element.offsetTop;
+        this.currentPage = pageNum;
+        this.updateNavigationControls();
+    }
+    
+    /**
+     * Work out the current page from the scroll position
+     */
+    updateCurrentPageFromScroll() {
+        if (!this.pdfDoc || this.pageViews.length === 0) return;
+        
+        // The page crossing the upper third of the viewport counts as current
+        const marker = this.container.scrollTop + this.container.clientHeight / 3;
+        let pageNum = 1;
+        for (const view of this.pageViews) {
+            if (view.element.offsetTop > marker) break;
+            pageNum = view.pageNum;
+        }
+        
+        if (pageNum !== this.currentPage) {
+            this.currentPage = pageNum;
+            this.updateNavigationControls();
+        }
+    }
+    
+    /**
+     * Let other components (e.g. annotations) draw on a freshly rendered page
+     * @param {number} pageNum - Page number
+     * @param {HTMLElement} pageElement - Element holding the page canvas
+     * @param {PageViewport} viewport - Viewport the page was rendered with
+     */
+    notifyPageRendered(pageNum, pageElement, viewport) {
+        this.container.dispatchEvent(new CustomEvent('pagerendered', {
+            detail: { pageNum, pageElement, viewport }
+        }));
+    }
+    
+    /**
+     * Get a page's text, cached for the lifetime of the document
+     * @param {number} pageNum - Page number
+     * @returns {Promise<Object>} Result of buildPageText
+     */
+    async getPageText(pageNum) {
+        if (!this.pageTexts.has(pageNum)) {
+            const page = await this.pdfDoc.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            this.pageTexts.set(pageNum, { ...buildPageText(textContent), textContent });
+        }
+        return this.pageTexts.get(pageNum);
+    }
+    
+    /**
+     * Draw the selectable text layer over a rendered page
+     * @param {PDFPageProxy} page - PDF.js page
+     * @param {PageViewport} viewport - Viewport the canvas was rendered with
+     * @param {HTMLElement} pageElement - Element holding the page canvas
+     * @param {number} pageNum - Page number
+     */
+    async renderTextLayer(page, viewport, pageElement, pageNum) {
+        const pdfDoc = this.pdfDoc;
+        
+        try {
+            const pageText = await this.getPageText(pageNum);
+            if (this.pdfDoc !== pdfDoc) return;
+            
+            let textLayer = pageElement.querySelector('.textLayer');
+            if (!textLayer) {
+                textLayer = document.createElement('div');
+                textLayer.className = 'textLayer';
+                pageElement.appendChild(textLayer);
+            }
+            textLayer.innerHTML = '';
+            textLayer.style.setProperty('--scale-factor', viewport.scale);
+            
+            const textDivs = [];
+            await pdfjsLib.renderTextLayer({
+                textContentSource: pageText.textContent,
+                textContent: pageText.textContent,
+                container: textLayer,
+                viewport: viewport,
+                textDivs: textDivs
+            }).promise;
+            
+            this.textDivs.set(pageNum, textDivs);
+            this.applyHighlights(pageNum);
+        } catch (error) {
+            // Without a text layer the page is still readable, just not selectable
+            console.warn(`Text layer failed for page ${pageNum}:`, error);
+        }
+    }
+    
+    /**
+     * Find every match of a query in the document and highlight them
+     * @param {string} query - Text to find; matching ignores case and whitespace runs
+     */
+    async find(query) {
+        const token = ++this.findToken;
+        this.findQuery = (query || '').trim();
+        this.findMatches = [];
+        this.findIndex = -1;
+        
+        if (!this.pdfDoc || !this.findQuery) {
+            this.refreshHighlights();
+            this.updateFindCount();
+            return;
+        }
+        
+        const matches = [];
+        for (let pageNum = 1; pageNum <= this.pdfDoc.numPages; pageNum++) {
+            const pageText = await this.getPageText(pageNum);
+            
+            // A newer query was typed while we were reading pages
+            if (token !== this.findToken) return;
+            
+            findInText(pageText.text, this.findQuery).forEach(match => {
+                matches.push({ pageNum, start: match.start, end: match.end });
+            });
+        }
+        
+        this.findMatches = matches;
+        
+        // Start from the first match at or after the page being read
+        if (matches.length > 0) {
+            const nextIndex = matches.findIndex(match => match.pageNum >= this.currentPage);
+            this.selectMatch(nextIndex === -1 ? 0 : nextIndex);
+        } else {
+            this.refreshHighlights();
+            this.updateFindCount();
+        }
+    }
+    
+    /**
+     * Move to the next match
+     */
+    findNext() {
+        if (this.findMatches.length === 0) return;
+        this.selectMatch((this.findIndex + 1) % this.findMatches.length);
+    }
+    
+    /**
+     * Move to the previous match
+     */
+    findPrevious() {
+        if (this.findMatches.length === 0) return;
+        this.selectMatch((this.findIndex - 1 + this.findMatches.length) % this.findMatches.length);
+    }
+    
+    /**
+     * Make a match the current one and bring it into view
+     * @param {number} index - Index into findMatches
+     */
+    selectMatch(index) {
+        const match = this.findMatches[index];
+        if (!match) return;
+        
+        this.findIndex = index;
+        this.scrollToMatchPending = true;
+        this.updateFindCount();
+        
+        if (match.pageNum !== this.currentPage) {
+            // The highlight is scrolled into view once the page renders
+            this.goToPage(match.pageNum);
+        }
+        this.refreshHighlights();
+    }
+    
+    /**
+     * Show "3 of 17" in the find bar
+     */
+    updateFindCount() {
+        if (!this.findQuery) {
+            this.findCount.textContent = '';
+        } else if (this.findMatches.length === 0) {
+            this.findCount.textContent = 'No matches';
+        } else {
+            this.findCount.textContent = `${this.findIndex + 1} of ${this.findMatches.length}`;
+        }
+    }
+    
+    /**
+     * Re-apply highlights on every page that has a text layer
+     */
+    refreshHighlights() {
+        this.textDivs.forEach((divs, pageNum) => this.applyHighlights(pageNum));
+    }
+    
+    /**
+     * Highlight the matches that fall on one page
+     * @param {number} pageNum - Page number
+     */
+    applyHighlights(pageNum) {
+        const textDivs = this.textDivs.get(pageNum);
+        const pageText = this.pageTexts.get(pageNum);
+        if (!textDivs || !pageText) return;
+        
+        // Restore plain text in divs highlighted earlier
+        textDivs.forEach((div, item) => {
+            if (div.dataset.highlighted) {
+                div.textContent = pageText.items[item];
+                delete div.dataset.highlighted;
+            }
+        });
+        
+        // Collect highlight ranges per text div; a match can span several divs
+        const rangesByItem = new Map();
+        this.findMatches.forEach((match, index) => {
+            if (match.pageNum !== pageNum) return;
+            rangeToItems(pageText, match.start, match.end).forEach(range => {
+                if (!rangesByItem.has(range.item)) {
+                    rangesByItem.set(range.item, []);
+                }
+                rangesByItem.get(range.item).push({ ...range, selected: index === this.findIndex });
+            });
+        });
+        
+        let selectedElement = null;
+        rangesByItem.forEach((ranges, item) => {
+            const div = textDivs[item];
+            if (!div) return;
+            
+            const str = pageText.items[item];
+            const fragment = document.createDocumentFragment();
+            let offset = 0;
+            
+            ranges.sort((a, b) => a.start - b.start).forEach(range => {
+                if (range.start > offset) {
+                    fragment.appendChild(document.createTextNode(str.slice(offset, range.start)));
+                }
+                const mark = document.createElement('span');
+                mark.className = range.selected ? 'highlight selected' : 'highlight';
+                mark.textContent = str.slice(range.start, range.end);
+                fragment.appendChild(mark);
+                if (range.selected && !selectedElement) {
+                    selectedElement = mark;
+                }
+                offset = range.end;
+            });
+            if (offset < str.length) {
+                fragment.appendChild(document.createTextNode(str.slice(offset)));
+            }
+            
+            div.textContent = '';
+            div.appendChild(fragment);
+            div.dataset.highlighted = 'true';
+        });
+        
+        if (selectedElement && this.scrollToMatchPending) {
+            this.scrollToMatchPending = false;
+            selectedElement.scrollIntoView({ block: 'center', inline: 'nearest' });
+        }
+    }
+    
+    /**
+     * Describe where the reader is in the document
+     * @returns {Object|null} { page, scale, offset, mode } where offset is the fraction
+     *     of the current page scrolled past the top of the viewer
+     */
+    getPosition() {
+        if (!this.pdfDoc) return null;
+        
+        const pageElement = this.mode === 'continuous'
+            ? (this.pageViews[this.currentPage - 1] || {}).element
+            : this.pageElement;
+        let offset = 0;
+        if (pageElement && pageElement.offsetHeight > 0) {
+            const top = this.mode === 'continuous' ? pageElement.offsetTop : 0;
+            offset = Math.min(Math.max((this.container.scrollTop - top) / pageElement.offsetHeight, 0), 1);
+        }
+        
+        return {
+            page: this.currentPage,
+            scale: this.scale,
+            offset,
+            mode: this.mode
+        };
+    }
+    
+    /**
+     * Scroll within the current page
+     * @param {number} offset - Fraction of the page height to scroll past its top
+     */
+    applyScrollOffset(offset) {
+        const pageElement = this.mode === 'continuous'
+            ? (this.pageViews[this.currentPage - 1] || {}).element
+            : this.pageElement;
+        if (!pageElement) return;
+        
+        const top = this.mode === 'continuous' ? pageElement.offsetTop : 0;
+        this.container.scrollTop = top + offset * pageElement.offsetHeight;
     }
     
     /**
@@ -247,6 +1024,14 @@ export class PDFViewer {
         
         // Update page info
         this.updatePageInfo();
+        
+        // Tell listeners (e.g. reading progress) about page changes
+        if (this.currentPage !== this.reportedPage) {
+            this.reportedPage = this.currentPage;
+            this.container.dispatchEvent(new CustomEvent('pagechange', {
+                detail: { pageNum: this.currentPage, numPages: this.pdfDoc.numPages }
+            }));
+        }
     }
     
     /**
@@ -310,9 +1095,9 @@ export class PDFViewer {
         const retryButton = this.container.querySelector('.retry-button');
         if (retryButton) {
             retryButton.addEventListener('click', () => {
-                // In a real implementation, this would retry loading the PDF
-                // For demo purposes, we'll just show an alert
-                alert('In a real implementation, this would retry loading the PDF');
+                if (this.url) {
+                    this.loadPDF(this.url);
+                }
             });
         }
         
@@ -323,6 +1108,7 @@ export class PDFViewer {
     /**
      * Search for text in the PDF
      * @param {string} query - Text to search for
+     * @returns {Promise<Array>} Matching pages as { page, text, count } with a snippet around the first match
      */
     async searchText(query) {
         if (!this.pdfDoc) return [];
@@ -331,15 +1117,14 @@ export class PDFViewer {
         
         // Search through all pages
         for (let i = 1; i <= this.pdfDoc.numPages; i++) {
-            const page = await this.pdfDoc.getPage(i);
-            const textContent = await page.getTextContent();
+            const pageText = await this.getPageText(i);
+            const matches = findInText(pageText.text, query);
             
-            // Simple search implementation
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            if (pageText.toLowerCase().includes(query.toLowerCase())) {
+            if (matches.length > 0) {
                 results.push({
                     page: i,
-                    text: pageText.substring(0, 100) + '...'
+                    text: makeSnippet(pageText.text, matches[0].start, matches[0].end),
+                    count: matches.length
                 });
             }
         }
@@ -370,9 +1155,14 @@ export class PDFViewer {
     }
     
     /**
-     * Destroy the PDF viewer and clean up resources
+     * Release the current document and its canvas, keeping the controls
      */
-    destroy() {
+    closeDocument() {
+        if (this.loadingTask) {
+            this.loadingTask.destroy();
+            this.loadingTask = null;
+        }
+        
         if (this.pdfDoc) {
             this.pdfDoc.destroy();
             this.pdfDoc = null;
@@ -384,10 +1174,43 @@ export class PDFViewer {
             this.context = null;
         }
         
+        this.teardownContinuousPages();
+        
+        // Forget text and find results that belong to the old document
+        this.findToken++;
+        this.pageTexts.clear();
+        this.textDivs.clear();
+        this.findQuery = '';
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.pageElement = null;
+        if (this.findInput) {
+            this.findInput.value = '';
+            this.updateFindCount();
+        }
+        
+        this.currentPage = 1;
+        this.reportedPage = null;
+        this.pageRenderingQueue = null;
+        this.container.innerHTML = '';
+    }
+    
+    /**
+     * Destroy the PDF viewer and clean up resources
+     */
+    destroy() {
+        this.closeDocument();
+        this.url = null;
+        
         // Remove controls
-        const controls = document.getElementById('pdf-controls');
-        if (controls) {
-            controls.remove();
+        if (this.controls) {
+            this.controls.remove();
+            this.controls = null;
+        }
+        
+        if (this.findBar) {
+            this.findBar.remove();
+            this.findBar = null;
         }
     }
 }
@@ -0,0 +1,148 @@
+// js/resource-grid.js
+
+/**
+ * Sort orders offered for the resource grid
+ * 'relevance' keeps the order search returned, best matches first.
+ */
+export const SORT_OPTIONS = {
+    relevance: { label: 'Relevance', compare: null },
+    newest: { label: 'Newest', compare: (a, b) => String(b.date || '').localeCompare(String(a.date || '')) },
+    downloads: { label: 'Most downloaded', compare: (a, b) => (b.downloads || 0) - (a.downloads || 0) },
+    rating: { label: 'Highest rated', compare: (a, b) => (b.rating || 0) - (a.rating || 0) },
+    title: { label: 'Title (A-Z)', compare: (a, b) => String(a.title).localeCompare(String(b.title)) },
+    pages: { label: 'Fewest pages', compare: (a, b) => (a.pages ?? Infinity) - (b.pages ?? Infinity) }
+};
+
+export const DEFAULT_SORT = 'relevance';
+
+/**
+ * Sort resources without changing the input
+ * Ties keep their incoming order, so equal ratings stay in relevance order.
+ * @param {Array} resources - Resources to sort
+ * @param {string} sortKey - Key of SORT_OPTIONS
+ * @returns {Array} Sorted copy
+ */
+export function sortResources(resources, sortKey) {
+    const option = SORT_OPTIONS[sortKey] || SORT_OPTIONS[DEFAULT_SORT];
+    if (!option.compare) return resources.slice();
+    return resources.slice().sort(option.compare);
+}
+
+/**
+ * Resource Grid Class
+ * Renders cards in batches: the first batch straight away and the next one
+ * whenever the "Load more" button scrolls into view or is clicked, so long
+ * result lists never build every card up front.
+ */
+export class ResourceGrid {
+    /**
+     * @param {HTMLElement} container - Grid element the cards go into
+     * @param {Object} options - Options
+     * @param {Function} options.renderCard - Returns the card element for a resource
+     * @param {number} options.pageSize - Cards per batch
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.renderCard = options.renderCard;
+        this.pageSize = options.pageSize || 24;
+        this.items = [];
+        this.rendered = 0;
+        this.observer = null;
+
+        this.createLoadMore();
+    }
+
+    /**
+     * Create the "Load more" button after the grid and watch it
+     */
+    createLoadMore() {
+        this.loadMoreButton = document.createElement('button');
+        this.loadMoreButton.className = 'load-more hidden mx-auto mt-6 block text-sm bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 px-4 py-2 rounded-lg';
+        this.loadMoreButton.addEventListener('click', () => this.renderMore());
+        this.container.insertAdjacentElement('afterend', this.loadMoreButton);
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.renderMore();
+                }
+            }, { rootMargin: '400px' });
+            this.observer.observe(this.loadMoreButton);
+        }
+    }
+
+    /**
+     * Replace the grid contents
+     * @param {Array} items - Resources to show, already sorted
+     * @param {Object} options - Options
+     * @param {string} options.emptyMessage - Shown when there are no items
+     */
+    setItems(items, options = {}) {
+        this.items = items;
+        this.rendered = 0;
+        this.container.innerHTML = '';
+
+        if (items.length === 0 && options.emptyMessage) {
+            const message = document.createElement('p');
+            message.className = 'text-slate-500 dark:text-slate-400 text-center py-8 col-span-full';
+            message.textContent = options.emptyMessage;
+            this.container.appendChild(message);
+        }
+
+        this.renderMore();
+    }
+
+    /**
+     * Append the next batch of cards
+     */
+    renderMore() {
+        if (!this.hasMore()) {
+            this.updateLoadMore();
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.items.slice(this.rendered, this.rendered + this.pageSize).forEach(item => {
+            fragment.appendChild(this.renderCard(item));
+        });
+        this.rendered = Math.min(this.items.length, this.rendered + this.pageSize);
+        this.container.appendChild(fragment);
+
+        // One icon pass per batch instead of one per card
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        this.updateLoadMore();
+    }
+
+    /**
+     * Check if cards are left to render
+     * @returns {boolean} True if another batch is available
+     */
+    hasMore() {
+        return this.rendered < this.items.length;
+    }
+
+    /**
+     * Show or hide the "Load more" button with the number left
+     */
+    updateLoadMore() {
+        const remaining = this.items.length - this.rendered;
+        this.loadMoreButton.classList.toggle('hidden', remaining <= 0);
+        this.loadMoreButton.textContent = `Load more (${remaining} left)`;
+    }
+
+    /**
+     * Stop watching the "Load more" button and remove it
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.loadMoreButton.remove();
+    }
+}
+
+// Export the class as default
+export default ResourceGrid;
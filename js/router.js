@@ -0,0 +1,164 @@
+// js/router.js
+
+/**
+ * Hash Router Class for QNEET
+ * Maps location.hash paths such as #/resource/12/page/34 to handlers, so the
+ * Back button, refreshes and shared links land on the same view.
+ * Hashes without a leading slash (#bookmarks from the manifest shortcuts and
+ * older links) are read as if they had one.
+ */
+export class Router {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.notFound - Called with (path, query) when no route matches
+     */
+    constructor(options = {}) {
+        this.routes = [];
+        this.notFound = options.notFound || (() => {});
+        // Path last handled or navigated to; empty until start()
+        this.currentPath = '';
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path with :name segments, e.g. '/resource/:id/page/:page'
+     * @param {Function} handler - Called with (params, query) where query is URLSearchParams
+     * @returns {Router} This router, for chaining
+     */
+    on(pattern, handler) {
+        const names = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        this.routes.push({ regex: new RegExp(`^${source}$`), names, handler });
+        return this;
+    }
+
+    /**
+     * Split a hash into its path and query
+     * @param {string} hash - location.hash, with or without the leading '#'
+     * @returns {Object} { path, query } where path starts with '/' and has no trailing slash
+     */
+    static parse(hash) {
+        const raw = (hash || '').replace(/^#/, '');
+        // Only the first '?' starts the query; later ones belong to its values
+        const index = raw.indexOf('?');
+        const pathPart = index === -1 ? raw : raw.slice(0, index);
+        const queryPart = index === -1 ? '' : raw.slice(index + 1);
+
+        let path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+        if (path.length > 1) path = path.replace(/\/+$/, '');
+
+        return { path, query: new URLSearchParams(queryPart) };
+    }
+
+    /**
+     * Build a hash from a path and query values
+     * @param {string} path - Path starting with '/'
+     * @param {Object} query - Query values; empty ones are left out
+     * @returns {string} Hash including the leading '#'
+     */
+    static format(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+
+        const search = params.toString();
+        return `#${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Find the route for a hash
+     * @param {string} hash - Hash to match
+     * @returns {Object|null} { handler, params, path, query }, or null if nothing matches
+     *     or a parameter is not valid percent-encoding (e.g. a truncated shared link)
+     */
+    match(hash) {
+        const { path, query } = Router.parse(hash);
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = {};
+                try {
+                    route.names.forEach((name, i) => {
+                        params[name] = decodeURIComponent(result[i + 1]);
+                    });
+                } catch (error) {
+                    if (error instanceof URIError) return null;
+                    throw error;
+                }
+                return { handler: route.handler, params, path, query };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Start listening and handle the current hash
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.handleHashChange();
+    }
+
+    /**
+     * Stop listening for hash changes
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Run the handler for the current hash
+     */
+    handleHashChange() {
+        const { path, query } = Router.parse(window.location.hash);
+        const match = this.match(window.location.hash);
+        this.currentPath = path;
+
+        if (match) {
+            match.handler(match.params, match.query);
+        } else {
+            this.notFound(path, query);
+        }
+    }
+
+    /**
+     * Go to a path
+     * @param {string} path - Path starting with '/'
+     * @param {Object} options - Options
+     * @param {Object} options.query - Query values
+     * @param {boolean} options.replace - Replace the current history entry instead of adding one
+     * @param {boolean} options.silent - Only update the address bar, without running the handler
+     */
+    navigate(path, options = {}) {
+        const hash = Router.format(path, options.query);
+
+        if (options.silent) {
+            if (hash === window.location.hash) return;
+            history[options.replace ? 'replaceState' : 'pushState'](null, '', hash);
+            this.currentPath = Router.parse(hash).path;
+        } else if (hash === window.location.hash) {
+            // Same address: no hashchange event fires, so handle it here
+            this.handleHashChange();
+        } else if (options.replace) {
+            window.location.replace(hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+}
+
+// Export the class as default
+export default Router;
@@ -0,0 +1,172 @@
+// js/search-query.js
+
+/**
+ * Structured query syntax for QNEET search
+ *
+ *   subject:chemistry  type:PYQ  category:short-notes  tag:"NEET 2022"
+ *   year:2022  pages:<30  rating:>4.5  downloads:>=1000
+ *   "exact phrase"  -exclude  -subject:physics
+ *
+ * Everything that is not an operator is free text for fuzzy matching.
+ */
+
+// Fields compared as text (case-, space- and hyphen-insensitive)
+const TEXT_FIELDS = ['subject', 'type', 'category', 'tag'];
+
+// Fields compared as numbers, optionally with <, >, <= or >=
+const NUMBER_FIELDS = ['year', 'pages', 'rating', 'downloads'];
+
+// Fields the free text, phrases and exclusions look at
+const TEXT_KEYS = ['title', 'description', 'subject', 'type'];
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Normalize text for comparisons
+ * @param {*} value - Value to normalize
+ * @returns {string} Lower-cased text with runs of spaces, hyphens and underscores collapsed
+ */
+export function normalizeValue(value) {
+    return String(value ?? '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Parse a query string
+ * @param {string} query - Query typed by the user
+ * @returns {Object} { terms, phrases, excludes, filters, text } where filters are
+ *     { field, op, value, negate } and text is the free text (terms and phrases) for
+ *     fuzzy or full-text matching
+ */
+export function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], excludes: [], filters: [], text: '' };
+    if (!query) return parsed;
+
+    for (const match of String(query).matchAll(TOKEN_PATTERN)) {
+        const [, minus, rawField, quoted, bare] = match;
+        const negate = minus === '-';
+        const field = rawField ? rawField.toLowerCase() : null;
+        const value = quoted !== undefined ? quoted : bare;
+
+        if (field && (TEXT_FIELDS.includes(field) || NUMBER_FIELDS.includes(field))) {
+            const filter = parseFilter(field, value, negate);
+            if (filter) parsed.filters.push(filter);
+            continue;
+        }
+
+        // Not an operator we know (e.g. "NEET:" or a time like 10:30): plain text
+        const text = field ? `${rawField}:${value}` : value;
+        if (!text) continue;
+
+        if (negate) {
+            parsed.excludes.push(normalizeValue(text));
+        } else if (quoted !== undefined && !field) {
+            parsed.phrases.push(text);
+        } else {
+            parsed.terms.push(text);
+        }
+    }
+
+    parsed.text = [...parsed.terms, ...parsed.phrases].join(' ');
+    return parsed;
+}
+
+/**
+ * Build a filter from an operator's value
+ * @param {string} field - Field name
+ * @param {string} value - Operator value, e.g. "<30" for numbers
+ * @param {boolean} negate - True for -field:value
+ * @returns {Object|null} { field, op, value, negate }, or null if the value is unusable
+ */
+function parseFilter(field, value, negate) {
+    if (NUMBER_FIELDS.includes(field)) {
+        const [, op = '=', number] = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+        const parsedNumber = parseFloat(number);
+        if (Number.isNaN(parsedNumber)) return null;
+        return { field, op, value: parsedNumber, negate };
+    }
+
+    const text = normalizeValue(value);
+    if (!text) return null;
+    return { field, op: '=', value: text, negate };
+}
+
+/**
+ * Compare a number against a filter
+ * @param {number} actual - Value from the resource
+ * @param {Object} filter - Numeric filter
+ * @returns {boolean} True if the comparison holds
+ */
+function compare(actual, filter) {
+    if (typeof actual !== 'number' || Number.isNaN(actual)) return false;
+
+    switch (filter.op) {
+        case '<': return actual < filter.value;
+        case '>': return actual > filter.value;
+        case '<=': return actual <= filter.value;
+        case '>=': return actual >= filter.value;
+        default: return actual === filter.value;
+    }
+}
+
+/**
+ * Check one filter against a resource, ignoring negation
+ * @param {Object} resource - Resource to check
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean} True if the resource has the value
+ */
+function matchesField(resource, filter) {
+    const tags = resource.tags || [];
+
+    switch (filter.field) {
+        case 'tag':
+            return tags.some(tag => normalizeValue(tag) === filter.value);
+        case 'year': {
+            // The upload year, or a year named in a tag such as "NEET 2022"
+            const uploaded = resource.date ? parseInt(String(resource.date).slice(0, 4), 10) : NaN;
+            if (compare(uploaded, filter)) return true;
+            return tags.some(tag => (String(tag).match(/\b(19|20)\d{2}\b/g) || [])
+                .some(year => compare(Number(year), filter)));
+        }
+        case 'pages':
+        case 'rating':
+        case 'downloads':
+            return compare(Number(resource[filter.field]), filter);
+        default:
+            return normalizeValue(resource[filter.field]) === filter.value;
+    }
+}
+
+/**
+ * Check a resource against a filter
+ * @param {Object} resource - Resource to check
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean} True if the resource passes
+ */
+export function matchesFilter(resource, filter) {
+    return matchesField(resource, filter) !== filter.negate;
+}
+
+/**
+ * Check the phrases, exclusions and filters of a parsed query against a resource
+ * Free text terms are left to the caller's fuzzy matcher.
+ * @param {Object} resource - Resource to check
+ * @param {Object} parsed - Result of parseQuery
+ * @returns {boolean} True if the resource passes every constraint
+ */
+export function matchesConstraints(resource, parsed) {
+    const haystack = normalizeValue([
+        ...TEXT_KEYS.map(key => resource[key]),
+        ...(resource.tags || [])
+    ].join(' '));
+
+    return parsed.filters.every(filter => matchesFilter(resource, filter)) &&
+        parsed.phrases.every(phrase => haystack.includes(normalizeValue(phrase))) &&
+        parsed.excludes.every(exclude => !haystack.includes(exclude));
+}
+
+export default {
+    normalizeValue,
+    parseQuery,
+    matchesFilter,
+    matchesConstraints
+};
@@ -0,0 +1,366 @@
+// js/search-suggestions.js
+
+import { UIUtils } from './utils.js';
+
+const RECENT_SETTING_KEY = 'recentSearches';
+const SAVED_SETTING_KEY = 'savedSearches';
+const MAX_RECENT_SEARCHES = 10;
+
+// Icon shown in front of each kind of dropdown entry
+const KIND_ICONS = {
+    title: 'file-text',
+    tag: 'tag',
+    chapter: 'book-open',
+    category: 'folder',
+    recent: 'history',
+    saved: 'pin',
+    pin: 'pin'
+};
+
+/**
+ * Search History Class
+ * Keeps recent and saved (pinned) searches in the settings store.
+ */
+export class SearchHistory {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.recent = [];
+        this.saved = [];
+    }
+
+    /**
+     * Read recent and saved searches from storage
+     */
+    async load() {
+        this.recent = await this.storage.getSetting(RECENT_SETTING_KEY) || [];
+        this.saved = await this.storage.getSetting(SAVED_SETTING_KEY) || [];
+    }
+
+    /**
+     * Remember a search as the most recent one
+     * @param {string} query - Query that was searched
+     */
+    async addRecent(query) {
+        const trimmed = (query || '').trim();
+        if (!trimmed) return;
+
+        this.recent = [trimmed, ...this.recent.filter(item => item !== trimmed)].slice(0, MAX_RECENT_SEARCHES);
+        await this.storage.saveSetting(RECENT_SETTING_KEY, this.recent);
+    }
+
+    /**
+     * Forget every recent search
+     */
+    async clearRecent() {
+        this.recent = [];
+        await this.storage.saveSetting(RECENT_SETTING_KEY, this.recent);
+    }
+
+    /**
+     * Check if a query is pinned
+     * @param {string} query - Query to check
+     * @returns {boolean} True if the query is a saved search
+     */
+    isSaved(query) {
+        return this.saved.includes((query || '').trim());
+    }
+
+    /**
+     * Pin a search
+     * @param {string} query - Query to save
+     */
+    async save(query) {
+        const trimmed = (query || '').trim();
+        if (!trimmed || this.isSaved(trimmed)) return;
+
+        this.saved = [...this.saved, trimmed];
+        await this.storage.saveSetting(SAVED_SETTING_KEY, this.saved);
+    }
+
+    /**
+     * Unpin a search
+     * @param {string} query - Query to remove
+     */
+    async unsave(query) {
+        this.saved = this.saved.filter(item => item !== query);
+        await this.storage.saveSetting(SAVED_SETTING_KEY, this.saved);
+    }
+}
+
+/**
+ * Search Suggestions Class
+ * Adds a suggestion dropdown to a search input. While typing it offers matching
+ * titles, tags, chapters and categories; on an empty input it offers saved and
+ * recent searches. Arrow keys move through the list, Enter picks, Escape closes.
+ */
+export class SearchSuggestions {
+    /**
+     * @param {HTMLInputElement} input - Search input
+     * @param {Object} options - Options
+     * @param {SearchHistory} options.history - Recent and saved searches
+     * @param {Function} options.suggest - Returns suggestions for the typed text
+     * @param {Function} options.onSearch - Called with a query to run it
+     * @param {Function} options.onSelect - Called with a picked suggestion
+     * @param {number} options.delay - Debounce delay in milliseconds
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.history = options.history;
+        this.suggest = options.suggest || (() => []);
+        this.onSearch = options.onSearch || (() => {});
+        this.onSelect = options.onSelect || (suggestion => this.onSearch(suggestion.query));
+        this.items = [];
+        this.activeIndex = -1;
+
+        this.createDropdown();
+        this.update = UIUtils.debounce(() => this.render(), options.delay ?? 150);
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the listbox below the input
+     */
+    createDropdown() {
+        this.listId = `${this.input.id || 'search'}-suggestions`;
+        this.list = document.createElement('ul');
+        this.list.id = this.listId;
+        this.list.setAttribute('role', 'listbox');
+        this.list.className = 'search-suggestions hidden absolute left-0 right-0 top-full mt-1 z-50 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 rounded-lg shadow-lg overflow-hidden text-sm';
+
+        this.input.parentNode.classList.add('relative');
+        this.input.parentNode.appendChild(this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.listId);
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Set up input and list events
+     */
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.render());
+        this.input.addEventListener('keydown', e => this.handleKeydown(e));
+
+        // Closing on blur waits so a click on an item still lands
+        this.input.addEventListener('blur', () => {
+            setTimeout(() => this.close(), 150);
+        });
+
+        // Keep focus in the input while clicking items
+        this.list.addEventListener('mousedown', e => e.preventDefault());
+    }
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const open = !this.list.classList.contains('hidden');
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!open) this.render();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (open && this.activeIndex >= 0) {
+                    this.choose(this.items[this.activeIndex]);
+                } else {
+                    this.submit(this.input.value);
+                }
+                break;
+            case 'Escape':
+                if (open) {
+                    e.preventDefault();
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Build the entries for the current input
+     * @returns {Array} Entries as { kind, label, query, ranges, suggestion }
+     */
+    getItems() {
+        const text = this.input.value.trim();
+
+        if (!text) {
+            const saved = this.history.saved.map(query => ({ kind: 'saved', label: query, query }));
+            const recent = this.history.recent
+                .filter(query => !this.history.isSaved(query))
+                .map(query => ({ kind: 'recent', label: query, query }));
+            return [...saved, ...recent];
+        }
+
+        const items = this.suggest(text).map(suggestion => ({
+            kind: suggestion.kind,
+            label: suggestion.label,
+            query: suggestion.query,
+            ranges: suggestion.ranges,
+            suggestion
+        }));
+
+        if (!this.history.isSaved(text)) {
+            items.push({ kind: 'pin', label: `Save search "${text}"`, query: text });
+        }
+        return items;
+    }
+
+    /**
+     * Render the dropdown for the current input
+     */
+    render() {
+        this.items = this.getItems();
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.listId}-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.className = 'search-suggestion flex items-center gap-2 px-3 py-2 cursor-pointer';
+            option.dataset.kind = item.kind;
+            option.innerHTML = `
+                <i data-lucide="${KIND_ICONS[item.kind]}" class="w-4 h-4 text-slate-400 flex-shrink-0"></i>
+                <span class="suggestion-label flex-1 truncate"></span>
+                <span class="suggestion-kind text-xs text-slate-400">${item.kind === 'pin' ? '' : item.kind}</span>
+            `;
+            appendHighlighted(option.querySelector('.suggestion-label'), item.label, item.ranges);
+
+            if (item.kind === 'saved') {
+                const remove = document.createElement('button');
+                remove.className = 'suggestion-unpin text-slate-400 hover:text-red-500';
+                remove.setAttribute('aria-label', `Remove saved search ${item.query}`);
+                remove.innerHTML = '<i data-lucide="x" class="w-4 h-4"></i>';
+                remove.addEventListener('click', async e => {
+                    e.stopPropagation();
+                    await this.history.unsave(item.query);
+                    this.render();
+                });
+                option.appendChild(remove);
+            }
+
+            option.addEventListener('click', () => this.choose(item));
+            this.list.appendChild(option);
+        });
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Highlight an entry for keyboard selection
+     * @param {number} index - Entry index; wraps around at either end
+     */
+    setActive(index) {
+        if (this.items.length === 0) return;
+
+        this.activeIndex = (index + this.items.length) % this.items.length;
+        this.list.querySelectorAll('[role="option"]').forEach((option, i) => {
+            const active = i === this.activeIndex;
+            option.setAttribute('aria-selected', String(active));
+            option.classList.toggle('bg-blue-50', active);
+            option.classList.toggle('dark:bg-slate-700', active);
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Act on a picked entry
+     * @param {Object} item - Entry from getItems
+     */
+    async choose(item) {
+        if (item.kind === 'pin') {
+            await this.history.save(item.query);
+            this.render();
+            return;
+        }
+
+        this.close();
+        if (item.suggestion) {
+            this.onSelect(item.suggestion);
+            // Titles open a resource rather than becoming a query
+            if (item.suggestion.resourceId === undefined) {
+                await this.history.addRecent(item.query);
+            }
+        } else {
+            this.input.value = item.query;
+            await this.submit(item.query);
+        }
+    }
+
+    /**
+     * Run a query now and remember it
+     * @param {string} query - Query to run
+     */
+    async submit(query) {
+        this.close();
+        this.onSearch(query);
+        await this.history.addRecent(query);
+    }
+
+    /**
+     * Hide the dropdown
+     */
+    close() {
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+}
+
+/**
+ * Append text to an element with the given ranges wrapped in <mark>
+ * Text is added as text nodes, so labels from the catalog are never parsed as HTML.
+ * @param {Element} element - Element to fill
+ * @param {string} text - Text to show
+ * @param {Array} ranges - Inclusive [start, end] ranges to highlight
+ */
+function appendHighlighted(element, text, ranges = []) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    let position = 0;
+
+    sorted.forEach(([start, end]) => {
+        if (start < position) return;
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'bg-yellow-200 dark:bg-yellow-700/50 text-inherit rounded';
+        mark.textContent = text.slice(start, end + 1);
+        element.appendChild(mark);
+        position = end + 1;
+    });
+
+    element.appendChild(document.createTextNode(text.slice(position)));
+}
+
+// Export the class as default
+export default SearchSuggestions;
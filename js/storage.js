@@ -1,5 +1,246 @@
 // js/storage.js
 
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - Request to wait on
+ * @returns {Promise<any>} Promise that resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait on
+ * @returns {Promise<void>} Promise that resolves when the transaction completes
+ */
+function transactionComplete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        // Request errors bubble here before the transaction aborts
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+/**
+ * Schema migrations, keyed by the database version they upgrade to
+ * Each step receives the database and the versionchange transaction, and runs
+ * once for every database older than its version. Never edit a released step;
+ * add a new version instead so existing data is carried forward.
+ */
+const MIGRATIONS = {
+    1: db => {
+        const resourceStore = db.createObjectStore('resources', { keyPath: 'id' });
+        resourceStore.createIndex('category', 'category', { unique: false });
+        resourceStore.createIndex('subject', 'subject', { unique: false });
+
+        db.createObjectStore('favorites', { keyPath: 'id' });
+
+        const noteStore = db.createObjectStore('notes', { keyPath: 'id' });
+        noteStore.createIndex('resourceId', 'resourceId', { unique: false });
+        noteStore.createIndex('date', 'date', { unique: false });
+
+        db.createObjectStore('downloads', { keyPath: 'id' });
+        db.createObjectStore('settings', { keyPath: 'key' });
+    },
+
+    // PDF highlights, underlines and sticky notes
+    2: db => {
+        const annotationStore = db.createObjectStore('annotations', { keyPath: 'id' });
+        annotationStore.createIndex('resourceId', 'resourceId', { unique: false });
+        annotationStore.createIndex('page', ['resourceId', 'page'], { unique: false });
+    },
+
+    // Last reading position and viewed pages per resource
+    3: db => {
+        db.createObjectStore('progress', { keyPath: 'resourceId' });
+    },
+
+    // Full-text index of PDF contents: indexed documents, page text and term postings
+    4: db => {
+        db.createObjectStore('fulltextDocs', { keyPath: 'resourceId' });
+
+        const pageStore = db.createObjectStore('fulltextPages', { keyPath: ['resourceId', 'page'] });
+        pageStore.createIndex('resourceId', 'resourceId', { unique: false });
+
+        db.createObjectStore('fulltextTerms', { keyPath: 'term' });
+    },
+
+    // Resources the student viewed, most recent first by viewedAt
+    5: db => {
+        const historyStore = db.createObjectStore('history', { keyPath: 'resourceId' });
+        historyStore.createIndex('viewedAt', 'viewedAt', { unique: false });
+    },
+
+    // Downloaded resource files kept for offline use, including partial downloads
+    6: db => {
+        db.createObjectStore('files', { keyPath: 'resourceId' });
+    },
+
+    // Local changes to favorites, notes and progress waiting to be synced, one per record
+    7: db => {
+        db.createObjectStore('changes', { keyPath: ['store', 'id'] });
+    },
+
+    // Favorites were once stored under the card's data-id string; key them by number
+    8: (db, transaction) => {
+        const favoriteStore = transaction.objectStore('favorites');
+        favoriteStore.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const favorite = cursor.value;
+            if (typeof favorite.id === 'string' && favorite.id.trim() !== '' && !Number.isNaN(Number(favorite.id))) {
+                cursor.delete();
+                favoriteStore.put({ ...favorite, id: Number(favorite.id) });
+            }
+            cursor.continue();
+        };
+
+        const changeStore = transaction.objectStore('changes');
+        changeStore.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const change = cursor.value;
+            if (change.store === 'favorites' && typeof change.id === 'string' && !Number.isNaN(Number(change.id))) {
+                const id = Number(change.id);
+                cursor.delete();
+                changeStore.put({ ...change, id, record: change.record && { ...change.record, id } });
+            }
+            cursor.continue();
+        };
+    }
+};
+
+// Latest schema version
+const DB_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+// Object stores holding catalog and user data (the full-text index is derived and rebuilt)
+const STORE_NAMES = ['resources', 'favorites', 'notes', 'downloads', 'settings', 'annotations', 'progress', 'history'];
+
+// Object stores of the full-text index
+const FULLTEXT_STORES = ['fulltextDocs', 'fulltextPages', 'fulltextTerms'];
+
+// Object stores of offline file copies, too large for backups
+const FILE_STORES = ['files'];
+
+// Object stores of changes queued for sync, device-local like the files
+const SYNC_QUEUE_STORES = ['changes'];
+
+// Object stores whose writes are queued for sync; keep in sync with SYNC_STORES in sync.js
+const SYNCED_STORES = ['favorites', 'notes', 'progress'];
+
+// Settings that belong to this device rather than the student's data; backups
+// leave them out and restores keep this device's own (sync: see js/sync.js)
+const DEVICE_SETTING_KEYS = ['sync'];
+
+/**
+ * Check if a settings record belongs to this device only
+ * @param {Object} setting - Settings record { key, value }
+ * @returns {boolean} True if backups must skip it
+ */
+function isDeviceSetting(setting) {
+    return DEVICE_SETTING_KEYS.includes(setting.key);
+}
+
+// Stores that importData() restores, keyed by the same name in backup data
+const IMPORT_STORES = ['resources', 'favorites', 'notes', 'downloads', 'annotations', 'progress', 'history', 'settings'];
+
+// Most resources kept in the view history; older entries are dropped
+const HISTORY_LIMIT = 50;
+
+/**
+ * Get the time a note was last written, for merge conflicts
+ * @param {Object} note - Note object
+ * @returns {number} Milliseconds since the epoch, or 0 if unknown
+ */
+function noteTimestamp(note) {
+    const time = Date.parse(note.updatedAt || note.date);
+    // Note IDs are creation timestamps, so they are a usable fallback
+    return Number.isNaN(time) ? Number(note.id) || 0 : time;
+}
+
+/**
+ * Queue a change for sync, replacing any queued change to the same record
+ * Must run inside a transaction that includes the changes store.
+ * @param {IDBObjectStore} changeStore - changes store
+ * @param {string} store - Name of the store the record lives in
+ * @param {number|string} id - Record key
+ * @param {Object|null} record - Record as stored, or null when it was deleted
+ * @param {Object} fields - For notes, when each changed field was written
+ * @param {string} updatedAt - When the change was made
+ */
+function queueChange(changeStore, store, id, record, fields = null, updatedAt = new Date().toISOString()) {
+    const change = { store, id, deleted: !record, record: record || null, updatedAt };
+    if (fields && record) {
+        change.fields = fields;
+    }
+    changeStore.put(change);
+}
+
+/**
+ * Find the note fields a write changed and stamp them with its time
+ * Fields already waiting to be synced keep their earlier times.
+ * @param {Object|null} previous - Note before the write, if it existed
+ * @param {Object} note - Note being written
+ * @param {Object|null} queued - Change to the note already waiting to be synced
+ * @param {string} time - When the write happened
+ * @returns {Object} Map of field name to the time it was last written
+ */
+function changedNoteFields(previous, note, queued, time) {
+    const fields = queued && queued.fields ? { ...queued.fields } : {};
+    const names = new Set([...Object.keys(previous || {}), ...Object.keys(note)]);
+    names.forEach(name => {
+        if (!previous || JSON.stringify(previous[name]) !== JSON.stringify(note[name])) {
+            fields[name] = time;
+        }
+    });
+    return fields;
+}
+
+/**
+ * Group notes by resource ID
+ * @param {Array} notes - Note objects
+ * @returns {Object} Object with resource IDs as keys and arrays of notes as values
+ */
+function groupNotes(notes) {
+    const notesByResource = {};
+    notes.forEach(note => {
+        if (!notesByResource[note.resourceId]) {
+            notesByResource[note.resourceId] = [];
+        }
+        notesByResource[note.resourceId].push(note);
+    });
+    return notesByResource;
+}
+
+/**
+ * Remove a document's postings from the term records that list it
+ * Must run inside a transaction that includes the fulltextTerms store.
+ * @param {IDBObjectStore} termStore - fulltextTerms store
+ * @param {number} resourceId - Resource whose postings to remove
+ * @param {Array<string>} terms - Terms the document was indexed under
+ * @returns {Promise<void>}
+ */
+async function removePostings(termStore, resourceId, terms) {
+    for (const term of terms) {
+        const record = await promisifyRequest(termStore.get(term));
+        if (!record) continue;
+
+        delete record.postings[resourceId];
+        if (Object.keys(record.postings).length === 0) {
+            termStore.delete(term);
+        } else {
+            termStore.put(record);
+        }
+    }
+}
+
 /**
  * QNEET Storage Class
  * Handles all IndexedDB operations for persistent data storage
@@ -7,7 +248,7 @@
 export class QNEETStorage {
     constructor() {
         this.dbName = 'QNEETDatabase';
-        this.version = 1;
+        this.version = DB_VERSION;
         this.db = null;
     }
 
@@ -18,60 +259,85 @@ export class QNEETStorage {
     async init() {
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.version);
-            
+
             request.onerror = () => {
                 console.error('Database failed to open');
                 reject(request.error);
             };
-            
+
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other QNEET tabs to close');
+            };
+
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // Let a newer version in another tab upgrade the schema
+                this.db.onversionchange = () => this.close();
+
                 console.log('Database initialized successfully');
                 resolve(this.db);
             };
-            
+
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object stores
-                if (!db.objectStoreNames.contains('resources')) {
-                    const resourceStore = db.createObjectStore('resources', { keyPath: 'id' });
-                    resourceStore.createIndex('category', 'category', { unique: false });
-                    resourceStore.createIndex('subject', 'subject', { unique: false });
-                }
-                
-                if (!db.objectStoreNames.contains('favorites')) {
-                    db.createObjectStore('favorites', { keyPath: 'id' });
-                }
-                
-                if (!db.objectStoreNames.contains('notes')) {
-                    const noteStore = db.createObjectStore('notes', { keyPath: 'id' });
-                    noteStore.createIndex('resourceId', 'resourceId', { unique: false });
-                    noteStore.createIndex('date', 'date', { unique: false });
-                }
-                
-                if (!db.objectStoreNames.contains('downloads')) {
-                    db.createObjectStore('downloads', { keyPath: 'id' });
-                }
-                
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
+                const db = request.result;
+                const transaction = request.transaction;
+
+                for (let version = event.oldVersion + 1; version <= this.version; version++) {
+                    MIGRATIONS[version](db, transaction);
+                    console.log(`Database migrated to version ${version}`);
                 }
-                
-                console.log('Database structure created');
             };
         });
     }
 
+    /**
+     * Run work inside one transaction
+     * Everything the callback writes is committed together, or rolled back if it
+     * throws or any request fails. The callback may await requests on the given
+     * stores, but must not await anything else or the transaction auto-commits.
+     * @param {string|Array<string>} storeNames - Object stores the work touches
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with (stores, transaction), where stores maps
+     *     each name to its IDBObjectStore; may return a value or a Promise
+     * @returns {Promise<any>} The callback's result, once the transaction has completed
+     */
+    async runTransaction(storeNames, mode, work) {
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+        const transaction = this.db.transaction(names, mode);
+        const complete = transactionComplete(transaction);
+
+        const stores = {};
+        names.forEach(name => {
+            stores[name] = transaction.objectStore(name);
+        });
+
+        let result;
+        try {
+            result = await work(stores, transaction);
+        } catch (error) {
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // The failed request already aborted it
+            }
+            await complete.catch(() => {});
+            throw error;
+        }
+
+        await complete;
+        return result;
+    }
+
     /**
      * Add a resource to the database
      * @param {Object} resource - Resource object to add
      * @returns {Promise<void>}
      */
     async addResource(resource) {
-        const transaction = this.db.transaction(['resources'], 'readwrite');
-        const store = transaction.objectStore('resources');
-        await store.add(resource);
+        await this.runTransaction('resources', 'readwrite', ({ resources }) => {
+            resources.add(resource);
+        });
     }
 
     /**
@@ -80,9 +346,10 @@ export class QNEETStorage {
      * @returns {Promise<Object|null>} Resource object or null if not found
      */
     async getResource(id) {
-        const transaction = this.db.transaction(['resources'], 'readonly');
-        const store = transaction.objectStore('resources');
-        return store.get(id);
+        return this.runTransaction('resources', 'readonly', async ({ resources }) => {
+            const result = await promisifyRequest(resources.get(id));
+            return result || null;
+        });
     }
 
     /**
@@ -90,9 +357,18 @@ export class QNEETStorage {
      * @returns {Promise<Array>} Array of all resources
      */
     async getAllResources() {
-        const transaction = this.db.transaction(['resources'], 'readonly');
-        const store = transaction.objectStore('resources');
-        return store.getAll();
+        return this.runTransaction('resources', 'readonly', ({ resources }) => promisifyRequest(resources.getAll()));
+    }
+
+    /**
+     * Add or replace many resources in one transaction
+     * @param {Array} resources - Resource objects to store
+     * @returns {Promise<void>}
+     */
+    async putResources(resources) {
+        await this.runTransaction('resources', 'readwrite', stores => {
+            resources.forEach(resource => stores.resources.put(resource));
+        });
     }
 
     /**
@@ -101,20 +377,53 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async updateResource(resource) {
-        const transaction = this.db.transaction(['resources'], 'readwrite');
-        const store = transaction.objectStore('resources');
-        await store.put(resource);
+        await this.runTransaction('resources', 'readwrite', ({ resources }) => {
+            resources.put(resource);
+        });
     }
 
     /**
      * Delete a resource by ID
      * @param {number} id - Resource ID
+     * @param {Object} options - Delete options
+     * @param {boolean} options.cascade - Also delete the user's favorite, notes,
+     *     annotations and reading progress for the resource, atomically
      * @returns {Promise<void>}
      */
-    async deleteResource(id) {
-        const transaction = this.db.transaction(['resources'], 'readwrite');
-        const store = transaction.objectStore('resources');
-        await store.delete(id);
+    async deleteResource(id, options = {}) {
+        if (!options.cascade) {
+            await this.runTransaction('resources', 'readwrite', ({ resources }) => {
+                resources.delete(id);
+            });
+            return;
+        }
+
+        const storeNames = ['resources', 'favorites', 'notes', 'annotations', 'progress', ...SYNC_QUEUE_STORES];
+        await this.runTransaction(storeNames, 'readwrite', async stores => {
+            const [favoriteKey, progressKey, noteKeys, annotationKeys] = await Promise.all([
+                promisifyRequest(stores.favorites.getKey(id)),
+                promisifyRequest(stores.progress.getKey(id)),
+                promisifyRequest(stores.notes.index('resourceId').getAllKeys(id)),
+                promisifyRequest(stores.annotations.index('resourceId').getAllKeys(id))
+            ]);
+
+            stores.resources.delete(id);
+            annotationKeys.forEach(key => stores.annotations.delete(key));
+
+            // Synced records are removed on the user's other devices too
+            if (favoriteKey !== undefined) {
+                stores.favorites.delete(id);
+                queueChange(stores.changes, 'favorites', id, null);
+            }
+            if (progressKey !== undefined) {
+                stores.progress.delete(id);
+                queueChange(stores.changes, 'progress', id, null);
+            }
+            noteKeys.forEach(key => {
+                stores.notes.delete(key);
+                queueChange(stores.changes, 'notes', key, null);
+            });
+        });
     }
 
     /**
@@ -123,9 +432,11 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async addFavorite(resourceId) {
-        const transaction = this.db.transaction(['favorites'], 'readwrite');
-        const store = transaction.objectStore('favorites');
-        await store.add({ id: resourceId, date: new Date().toISOString() });
+        await this.runTransaction(['favorites', 'changes'], 'readwrite', ({ favorites, changes }) => {
+            const favorite = { id: resourceId, date: new Date().toISOString() };
+            favorites.add(favorite);
+            queueChange(changes, 'favorites', resourceId, favorite);
+        });
     }
 
     /**
@@ -134,9 +445,10 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async removeFavorite(resourceId) {
-        const transaction = this.db.transaction(['favorites'], 'readwrite');
-        const store = transaction.objectStore('favorites');
-        await store.delete(resourceId);
+        await this.runTransaction(['favorites', 'changes'], 'readwrite', ({ favorites, changes }) => {
+            favorites.delete(resourceId);
+            queueChange(changes, 'favorites', resourceId, null);
+        });
     }
 
     /**
@@ -144,10 +456,10 @@ export class QNEETStorage {
      * @returns {Promise<Array>} Array of favorite resource IDs
      */
     async getFavorites() {
-        const transaction = this.db.transaction(['favorites'], 'readonly');
-        const store = transaction.objectStore('favorites');
-        const favorites = await store.getAll();
-        return favorites.map(fav => fav.id);
+        return this.runTransaction('favorites', 'readonly', async ({ favorites }) => {
+            const records = await promisifyRequest(favorites.getAll());
+            return records.map(fav => fav.id);
+        });
     }
 
     /**
@@ -156,10 +468,10 @@ export class QNEETStorage {
      * @returns {Promise<boolean>} True if resource is favorited
      */
     async isFavorite(resourceId) {
-        const transaction = this.db.transaction(['favorites'], 'readonly');
-        const store = transaction.objectStore('favorites');
-        const result = await store.get(resourceId);
-        return !!result;
+        return this.runTransaction('favorites', 'readonly', async ({ favorites }) => {
+            const result = await promisifyRequest(favorites.get(resourceId));
+            return !!result;
+        });
     }
 
     /**
@@ -168,9 +480,11 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async addNote(note) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const store = transaction.objectStore('notes');
-        await store.add(note);
+        await this.runTransaction(['notes', 'changes'], 'readwrite', ({ notes, changes }) => {
+            const time = new Date().toISOString();
+            notes.add(note);
+            queueChange(changes, 'notes', note.id, note, changedNoteFields(null, note, null, time), time);
+        });
     }
 
     /**
@@ -179,10 +493,7 @@ export class QNEETStorage {
      * @returns {Promise<Array>} Array of notes for the resource
      */
     async getNotes(resourceId) {
-        const transaction = this.db.transaction(['notes'], 'readonly');
-        const store = transaction.objectStore('notes');
-        const index = store.index('resourceId');
-        return index.getAll(resourceId);
+        return this.runTransaction('notes', 'readonly', ({ notes }) => promisifyRequest(notes.index('resourceId').getAll(resourceId)));
     }
 
     /**
@@ -190,31 +501,27 @@ export class QNEETStorage {
      * @returns {Promise<Object>} Object with resource IDs as keys and arrays of notes as values
      */
     async getAllNotes() {
-        const transaction = this.db.transaction(['notes'], 'readonly');
-        const store = transaction.objectStore('notes');
-        const allNotes = await store.getAll();
-        
-        // Group notes by resource ID
-        const notesByResource = {};
-        allNotes.forEach(note => {
-            if (!notesByResource[note.resourceId]) {
-                notesByResource[note.resourceId] = [];
-            }
-            notesByResource[note.resourceId].push(note);
-        });
-        
-        return notesByResource;
+        const allNotes = await this.runTransaction('notes', 'readonly', ({ notes }) => promisifyRequest(notes.getAll()));
+        return groupNotes(allNotes);
     }
 
     /**
      * Update a note
+     * Only the fields that changed are marked as edited, so sync can merge
+     * them with edits made to other fields on another device.
      * @param {Object} note - Note object with updated data
      * @returns {Promise<void>}
      */
     async updateNote(note) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const store = transaction.objectStore('notes');
-        await store.put(note);
+        await this.runTransaction(['notes', 'changes'], 'readwrite', async ({ notes, changes }) => {
+            const [previous, queued] = await Promise.all([
+                promisifyRequest(notes.get(note.id)),
+                promisifyRequest(changes.get(['notes', note.id]))
+            ]);
+            const time = new Date().toISOString();
+            notes.put(note);
+            queueChange(changes, 'notes', note.id, note, changedNoteFields(previous, note, queued, time), time);
+        });
     }
 
     /**
@@ -223,9 +530,10 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async deleteNote(noteId) {
-        const transaction = this.db.transaction(['notes'], 'readwrite');
-        const store = transaction.objectStore('notes');
-        await store.delete(noteId);
+        await this.runTransaction(['notes', 'changes'], 'readwrite', ({ notes, changes }) => {
+            notes.delete(noteId);
+            queueChange(changes, 'notes', noteId, null);
+        });
     }
 
     /**
@@ -234,9 +542,9 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async addDownload(download) {
-        const transaction = this.db.transaction(['downloads'], 'readwrite');
-        const store = transaction.objectStore('downloads');
-        await store.add(download);
+        await this.runTransaction('downloads', 'readwrite', ({ downloads }) => {
+            downloads.add(download);
+        });
     }
 
     /**
@@ -244,9 +552,7 @@ export class QNEETStorage {
      * @returns {Promise<Array>} Array of download records
      */
     async getDownloads() {
-        const transaction = this.db.transaction(['downloads'], 'readonly');
-        const store = transaction.objectStore('downloads');
-        return store.getAll();
+        return this.runTransaction('downloads', 'readonly', ({ downloads }) => promisifyRequest(downloads.getAll()));
     }
 
     /**
@@ -255,9 +561,9 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async updateDownload(download) {
-        const transaction = this.db.transaction(['downloads'], 'readwrite');
-        const store = transaction.objectStore('downloads');
-        await store.put(download);
+        await this.runTransaction('downloads', 'readwrite', ({ downloads }) => {
+            downloads.put(download);
+        });
     }
 
     /**
@@ -266,9 +572,243 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async deleteDownload(downloadId) {
-        const transaction = this.db.transaction(['downloads'], 'readwrite');
-        const store = transaction.objectStore('downloads');
-        await store.delete(downloadId);
+        await this.runTransaction('downloads', 'readwrite', ({ downloads }) => {
+            downloads.delete(downloadId);
+        });
+    }
+
+    /**
+     * Add an annotation
+     * @param {Object} annotation - Annotation object to add
+     * @returns {Promise<void>}
+     */
+    async addAnnotation(annotation) {
+        await this.runTransaction('annotations', 'readwrite', ({ annotations }) => {
+            annotations.add(annotation);
+        });
+    }
+
+    /**
+     * Get annotations for a specific resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<Array>} Array of annotations for the resource
+     */
+    async getAnnotations(resourceId) {
+        return this.runTransaction('annotations', 'readonly', ({ annotations }) => promisifyRequest(annotations.index('resourceId').getAll(resourceId)));
+    }
+
+    /**
+     * Get all annotations
+     * @returns {Promise<Array>} Array of all annotations
+     */
+    async getAllAnnotations() {
+        return this.runTransaction('annotations', 'readonly', ({ annotations }) => promisifyRequest(annotations.getAll()));
+    }
+
+    /**
+     * Update an annotation
+     * @param {Object} annotation - Annotation object with updated data
+     * @returns {Promise<void>}
+     */
+    async updateAnnotation(annotation) {
+        await this.runTransaction('annotations', 'readwrite', ({ annotations }) => {
+            annotations.put(annotation);
+        });
+    }
+
+    /**
+     * Delete an annotation by ID
+     * @param {number} annotationId - Annotation ID
+     * @returns {Promise<void>}
+     */
+    async deleteAnnotation(annotationId) {
+        await this.runTransaction('annotations', 'readwrite', ({ annotations }) => {
+            annotations.delete(annotationId);
+        });
+    }
+
+    /**
+     * Save a downloaded file, complete or partial
+     * @param {Object} file - { resourceId, blob, size, complete } plus any metadata to keep with it
+     * @returns {Promise<void>}
+     */
+    async saveFile(file) {
+        await this.runTransaction('files', 'readwrite', ({ files }) => {
+            files.put(file);
+        });
+    }
+
+    /**
+     * Get the downloaded file of a resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<Object|null>} File record or null if nothing is stored
+     */
+    async getFile(resourceId) {
+        return this.runTransaction('files', 'readonly', async ({ files }) => {
+            const result = await promisifyRequest(files.get(resourceId));
+            return result || null;
+        });
+    }
+
+    /**
+     * Get every downloaded file, complete or partial
+     * @returns {Promise<Array>} Array of file records
+     */
+    async getAllFiles() {
+        return this.runTransaction('files', 'readonly', ({ files }) => promisifyRequest(files.getAll()));
+    }
+
+    /**
+     * Delete the downloaded file of a resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<void>}
+     */
+    async deleteFile(resourceId) {
+        await this.runTransaction('files', 'readwrite', ({ files }) => {
+            files.delete(resourceId);
+        });
+    }
+
+    /**
+     * Save the reading progress of a resource
+     * @param {Object} progress - Progress object keyed by resourceId
+     * @returns {Promise<void>}
+     */
+    async saveProgress(progress) {
+        await this.runTransaction(['progress', 'changes'], 'readwrite', stores => {
+            stores.progress.put(progress);
+            queueChange(stores.changes, 'progress', progress.resourceId, progress);
+        });
+    }
+
+    /**
+     * Get the reading progress of a resource
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<Object|null>} Progress object or null if the resource was never opened
+     */
+    async getProgress(resourceId) {
+        return this.runTransaction('progress', 'readonly', async stores => {
+            const result = await promisifyRequest(stores.progress.get(resourceId));
+            return result || null;
+        });
+    }
+
+    /**
+     * Get the reading progress of every resource
+     * @returns {Promise<Array>} Array of progress objects
+     */
+    async getAllProgress() {
+        return this.runTransaction('progress', 'readonly', stores => promisifyRequest(stores.progress.getAll()));
+    }
+
+    /**
+     * Record that a resource was viewed
+     * Keeps one entry per resource with its view count, and drops the oldest
+     * entries beyond HISTORY_LIMIT.
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<Object>} The updated history entry
+     */
+    async recordView(resourceId) {
+        return this.runTransaction('history', 'readwrite', async ({ history }) => {
+            const existing = await promisifyRequest(history.get(resourceId));
+            const entry = {
+                resourceId,
+                viewedAt: new Date().toISOString(),
+                views: (existing ? existing.views : 0) + 1
+            };
+            history.put(entry);
+
+            const keys = await promisifyRequest(history.index('viewedAt').getAllKeys());
+            keys.slice(0, Math.max(0, keys.length - HISTORY_LIMIT)).forEach(key => history.delete(key));
+
+            return entry;
+        });
+    }
+
+    /**
+     * Get the view history, most recent first
+     * @param {number} limit - Most entries to return
+     * @returns {Promise<Array>} Array of { resourceId, viewedAt, views }
+     */
+    async getHistory(limit = HISTORY_LIMIT) {
+        return this.runTransaction('history', 'readonly', async ({ history }) => {
+            const entries = await promisifyRequest(history.index('viewedAt').getAll());
+            return entries.reverse().slice(0, limit);
+        });
+    }
+
+    /**
+     * Clear the view history
+     * @returns {Promise<void>}
+     */
+    async clearHistory() {
+        await this.runTransaction('history', 'readwrite', ({ history }) => {
+            history.clear();
+        });
+    }
+
+    /**
+     * Get the local changes waiting to be synced
+     * @returns {Promise<Array>} Changes as { store, id, deleted, record, updatedAt, fields }
+     */
+    async getChanges() {
+        return this.runTransaction('changes', 'readonly', ({ changes }) => promisifyRequest(changes.getAll()));
+    }
+
+    /**
+     * Drop changes the sync server has stored
+     * A change rewritten since it was sent stays queued, so the newer write
+     * goes out with the next sync.
+     * @param {Array} sent - Changes as returned by getChanges()
+     * @returns {Promise<void>}
+     */
+    async acknowledgeChanges(sent) {
+        await this.runTransaction('changes', 'readwrite', async ({ changes }) => {
+            for (const change of sent) {
+                const key = [change.store, change.id];
+                const current = await promisifyRequest(changes.get(key));
+                if (current && JSON.stringify(current) === JSON.stringify(change)) {
+                    changes.delete(key);
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply changes made on other devices, without queueing them again
+     * When a change to the same record is still queued here, resolve decides
+     * which to keep: if it returns the remote change the queued one is
+     * dropped, otherwise its result is stored and stays queued.
+     * @param {Array} remoteChanges - Changes pulled from the sync server
+     * @param {Function} resolve - Called with (queued, remote); returns the change to keep
+     * @returns {Promise<Array>} The changes applied
+     */
+    async applyRemoteChanges(remoteChanges, resolve = (queued, remote) => remote) {
+        const incoming = remoteChanges.filter(change => SYNCED_STORES.includes(change.store));
+        if (incoming.length === 0) return [];
+
+        return this.runTransaction([...SYNCED_STORES, ...SYNC_QUEUE_STORES], 'readwrite', async stores => {
+            const applied = [];
+            for (const remote of incoming) {
+                const key = [remote.store, remote.id];
+                const queued = await promisifyRequest(stores.changes.get(key));
+                const change = queued ? resolve(queued, remote) : remote;
+
+                if (change === remote) {
+                    if (queued) stores.changes.delete(key);
+                } else {
+                    stores.changes.put(change);
+                }
+
+                if (change.deleted) {
+                    stores[change.store].delete(change.id);
+                } else {
+                    stores[change.store].put(change.record);
+                }
+                applied.push(change);
+            }
+            return applied;
+        });
     }
 
     /**
@@ -278,9 +818,9 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async saveSetting(key, value) {
-        const transaction = this.db.transaction(['settings'], 'readwrite');
-        const store = transaction.objectStore('settings');
-        await store.put({ key, value });
+        await this.runTransaction('settings', 'readwrite', ({ settings }) => {
+            settings.put({ key, value });
+        });
     }
 
     /**
@@ -289,94 +829,238 @@ export class QNEETStorage {
      * @returns {Promise<any>} Setting value or undefined if not found
      */
     async getSetting(key) {
-        const transaction = this.db.transaction(['settings'], 'readonly');
-        const store = transaction.objectStore('settings');
-        const result = await store.get(key);
-        return result ? result.value : undefined;
+        return this.runTransaction('settings', 'readonly', async ({ settings }) => {
+            const result = await promisifyRequest(settings.get(key));
+            return result ? result.value : undefined;
+        });
+    }
+
+    /**
+     * Replace the full-text index of one document
+     * @param {Object} doc - { resourceId, version } plus any metadata to keep with it
+     * @param {Array<Object>} pages - Pages as { page, text, terms } from extractDocumentText
+     * @returns {Promise<void>}
+     */
+    async saveFulltextDocument(doc, pages) {
+        await this.runTransaction(FULLTEXT_STORES, 'readwrite', async stores => {
+            const { resourceId } = doc;
+
+            // Drop whatever an earlier version of the document left behind
+            const previous = await promisifyRequest(stores.fulltextDocs.get(resourceId));
+            if (previous) {
+                await removePostings(stores.fulltextTerms, resourceId, previous.terms);
+            }
+            const oldPageKeys = await promisifyRequest(stores.fulltextPages.index('resourceId').getAllKeys(resourceId));
+            oldPageKeys.forEach(key => stores.fulltextPages.delete(key));
+
+            // Collect page counts per term across the document
+            const termPages = new Map();
+            pages.forEach(({ page, text, terms }) => {
+                stores.fulltextPages.put({ resourceId, page, text });
+                Object.entries(terms).forEach(([term, count]) => {
+                    if (!termPages.has(term)) termPages.set(term, {});
+                    termPages.get(term)[page] = count;
+                });
+            });
+
+            for (const [term, pageCounts] of termPages) {
+                const record = await promisifyRequest(stores.fulltextTerms.get(term)) || { term, postings: {} };
+                record.postings[resourceId] = pageCounts;
+                stores.fulltextTerms.put(record);
+            }
+
+            stores.fulltextDocs.put({
+                ...doc,
+                pageCount: pages.length,
+                terms: Array.from(termPages.keys()),
+                indexedAt: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Remove a document from the full-text index
+     * @param {number} resourceId - Resource ID
+     * @returns {Promise<void>}
+     */
+    async deleteFulltextDocument(resourceId) {
+        await this.runTransaction(FULLTEXT_STORES, 'readwrite', async stores => {
+            const previous = await promisifyRequest(stores.fulltextDocs.get(resourceId));
+            if (!previous) return;
+
+            await removePostings(stores.fulltextTerms, resourceId, previous.terms);
+            const pageKeys = await promisifyRequest(stores.fulltextPages.index('resourceId').getAllKeys(resourceId));
+            pageKeys.forEach(key => stores.fulltextPages.delete(key));
+            stores.fulltextDocs.delete(resourceId);
+        });
+    }
+
+    /**
+     * Get the index records of every indexed document
+     * @returns {Promise<Array>} Array of { resourceId, version, pageCount, terms, indexedAt }
+     */
+    async getFulltextDocuments() {
+        return this.runTransaction('fulltextDocs', 'readonly', ({ fulltextDocs }) => promisifyRequest(fulltextDocs.getAll()));
+    }
+
+    /**
+     * Look up the postings of index terms
+     * @param {string} term - Term from tokenize()
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.prefix - Match every term starting with term
+     * @returns {Promise<Object>} Postings as { resourceId: { page: count } }, merged across terms
+     */
+    async getFulltextPostings(term, options = {}) {
+        const range = options.prefix ? IDBKeyRange.bound(term, `${term}\uffff`) : IDBKeyRange.only(term);
+        const records = await this.runTransaction('fulltextTerms', 'readonly', ({ fulltextTerms }) => promisifyRequest(fulltextTerms.getAll(range)));
+
+        const postings = {};
+        records.forEach(record => {
+            Object.entries(record.postings).forEach(([resourceId, pages]) => {
+                postings[resourceId] = postings[resourceId] || {};
+                Object.entries(pages).forEach(([page, count]) => {
+                    postings[resourceId][page] = (postings[resourceId][page] || 0) + count;
+                });
+            });
+        });
+        return postings;
+    }
+
+    /**
+     * Get the stored text of an indexed page
+     * @param {number} resourceId - Resource ID
+     * @param {number} page - Page number
+     * @returns {Promise<string|null>} Page text or null if the page is not indexed
+     */
+    async getFulltextPage(resourceId, page) {
+        return this.runTransaction('fulltextPages', 'readonly', async ({ fulltextPages }) => {
+            const result = await promisifyRequest(fulltextPages.get([resourceId, page]));
+            return result ? result.text : null;
+        });
     }
 
     /**
      * Export all data for backup
+     * Reads every store in one transaction so the snapshot is consistent.
      * @returns {Promise<Object>} Object containing all data
      */
     async exportData() {
-        const data = {};
-        
-        // Export resources
-        data.resources = await this.getAllResources();
-        
-        // Export favorites
-        data.favorites = await this.getFavorites();
-        
-        // Export notes
-        data.notes = await this.getAllNotes();
-        
-        // Export downloads
-        data.downloads = await this.getDownloads();
-        
-        // Export settings
-        const transaction = this.db.transaction(['settings'], 'readonly');
-        const store = transaction.objectStore('settings');
-        data.settings = await store.getAll();
-        
-        return data;
+        return this.runTransaction(STORE_NAMES, 'readonly', async stores => {
+            const [resources, favorites, notes, downloads, annotations, progress, history, settings] = await Promise.all([
+                promisifyRequest(stores.resources.getAll()),
+                promisifyRequest(stores.favorites.getAll()),
+                promisifyRequest(stores.notes.getAll()),
+                promisifyRequest(stores.downloads.getAll()),
+                promisifyRequest(stores.annotations.getAll()),
+                promisifyRequest(stores.progress.getAll()),
+                promisifyRequest(stores.history.getAll()),
+                promisifyRequest(stores.settings.getAll())
+            ]);
+
+            return {
+                resources,
+                favorites: favorites.map(fav => fav.id),
+                notes: groupNotes(notes),
+                downloads,
+                annotations,
+                progress,
+                history,
+                settings: settings.filter(setting => !isDeviceSetting(setting))
+            };
+        });
     }
 
     /**
      * Import data from backup
+     * Only the stores present in the backup are touched. In 'replace' mode they are
+     * cleared first; in 'merge' mode records are upserted and, for notes with the
+     * same ID, the newer version wins. Either way the import is all-or-nothing.
+     * Favorites, notes and progress it writes or clears are queued for sync in
+     * the same transaction. This device's own settings, such as its sync state,
+     * are never replaced.
      * @param {Object} data - Data to import
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'replace' (default) or 'merge'
      * @returns {Promise<void>}
      */
-    async importData(data) {
-        // Clear existing data
-        await this.clearAllData();
-        
-        // Import resources
-        if (data.resources) {
-            const transaction = this.db.transaction(['resources'], 'readwrite');
-            const store = transaction.objectStore('resources');
-            for (const resource of data.resources) {
-                await store.add(resource);
+    async importData(data, options = {}) {
+        const merge = options.mode === 'merge';
+        const storeNames = IMPORT_STORES.filter(name => data[name] && (name === 'notes' || Array.isArray(data[name])));
+        if (storeNames.length === 0) return;
+
+        const syncedNames = storeNames.filter(name => SYNCED_STORES.includes(name));
+        const transactionStores = syncedNames.length > 0 ? [...storeNames, ...SYNC_QUEUE_STORES] : storeNames;
+
+        await this.runTransaction(transactionStores, 'readwrite', async stores => {
+            const time = new Date().toISOString();
+            const existingNotes = new Map();
+            const queuedNotes = new Map();
+            if (stores.notes) {
+                const [allNotes, queued] = await Promise.all([
+                    promisifyRequest(stores.notes.getAll()),
+                    promisifyRequest(stores.changes.getAll())
+                ]);
+                allNotes.forEach(note => existingNotes.set(note.id, note));
+                queued.filter(change => change.store === 'notes').forEach(change => queuedNotes.set(change.id, change));
             }
-        }
-        
-        // Import favorites
-        if (data.favorites) {
-            const transaction = this.db.transaction(['favorites'], 'readwrite');
-            const store = transaction.objectStore('favorites');
-            for (const favorite of data.favorites) {
-                await store.add({ id: favorite, date: new Date().toISOString() });
+
+            // Kept through a replace, and never taken from another device's backup
+            const deviceSettings = [];
+            if (stores.settings && !merge) {
+                const saved = await Promise.all(DEVICE_SETTING_KEYS.map(key => promisifyRequest(stores.settings.get(key))));
+                deviceSettings.push(...saved.filter(Boolean));
             }
-        }
-        
-        // Import notes
-        if (data.notes) {
-            const transaction = this.db.transaction(['notes'], 'readwrite');
-            const store = transaction.objectStore('notes');
-            for (const resourceId in data.notes) {
-                for (const note of data.notes[resourceId]) {
-                    await store.add(note);
+
+            // Synced records a replace clears; those the backup does not restore are queued as deletes
+            const clearedKeys = {};
+            if (!merge) {
+                for (const name of syncedNames) {
+                    clearedKeys[name] = new Set(await promisifyRequest(stores[name].getAllKeys()));
                 }
             }
-        }
-        
-        // Import downloads
-        if (data.downloads) {
-            const transaction = this.db.transaction(['downloads'], 'readwrite');
-            const store = transaction.objectStore('downloads');
-            for (const download of data.downloads) {
-                await store.add(download);
-            }
-        }
-        
-        // Import settings
-        if (data.settings) {
-            const transaction = this.db.transaction(['settings'], 'readwrite');
-            const store = transaction.objectStore('settings');
-            for (const setting of data.settings) {
-                await store.add(setting);
-            }
-        }
+            const queue = (name, id, record, fields = null) => {
+                if (clearedKeys[name]) clearedKeys[name].delete(id);
+                // A note restored exactly as it is has nothing to sync
+                if (fields && Object.keys(fields).length === 0) return;
+                queueChange(stores.changes, name, id, record, fields, time);
+            };
+
+            storeNames.forEach(name => {
+                const store = stores[name];
+
+                if (!merge) {
+                    store.clear();
+                }
+
+                if (name === 'favorites') {
+                    data.favorites.forEach(favorite => {
+                        const record = { id: favorite, date: time };
+                        store.put(record);
+                        queue(name, favorite, record);
+                    });
+                } else if (name === 'notes') {
+                    Object.values(data.notes).flat().forEach(note => {
+                        const existing = existingNotes.get(note.id);
+                        if (!merge || !existing || noteTimestamp(note) >= noteTimestamp(existing)) {
+                            store.put(note);
+                            queue(name, note.id, note, changedNoteFields(existing, note, queuedNotes.get(note.id), time));
+                        }
+                    });
+                } else if (name === 'settings') {
+                    data.settings.filter(setting => !isDeviceSetting(setting)).forEach(setting => store.put(setting));
+                    deviceSettings.forEach(setting => store.put(setting));
+                } else {
+                    data[name].forEach(record => {
+                        store.put(record);
+                        if (name === 'progress') queue(name, record.resourceId, record);
+                    });
+                }
+            });
+
+            Object.entries(clearedKeys).forEach(([name, keys]) => {
+                keys.forEach(id => queueChange(stores.changes, name, id, null, null, time));
+            });
+        });
     }
 
     /**
@@ -384,13 +1068,10 @@ export class QNEETStorage {
      * @returns {Promise<void>}
      */
     async clearAllData() {
-        const stores = ['resources', 'favorites', 'notes', 'downloads', 'settings'];
-        
-        for (const storeName of stores) {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            await store.clear();
-        }
+        const storeNames = [...STORE_NAMES, ...FULLTEXT_STORES, ...FILE_STORES, ...SYNC_QUEUE_STORES];
+        await this.runTransaction(storeNames, 'readwrite', stores => {
+            storeNames.forEach(name => stores[name].clear());
+        });
     }
 
     /**
@@ -405,4 +1086,4 @@ export class QNEETStorage {
 }
 
 // Export the class as default
-export default QNEETStorage;
\ No newline at end of file
+export default QNEETStorage;
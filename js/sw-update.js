@@ -0,0 +1,106 @@
+// js/sw-update.js
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - Version such as '1.2.0'
+ * @param {string} b - Version to compare with
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a || '').split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b || '').split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Get the release notes of every version newer than the running one
+ * @param {Object} metadata - Catalog metadata with a releaseNotes array of { version, date, notes }
+ * @param {string} currentVersion - Version of the running app
+ * @returns {Array} Release entries, newest first
+ */
+export function releaseNotesSince(metadata, currentVersion) {
+    const releases = metadata && Array.isArray(metadata.releaseNotes) ? metadata.releaseNotes : [];
+
+    return releases
+        .filter(release => release && release.version && compareVersions(release.version, currentVersion) > 0)
+        .map(release => ({ ...release, notes: Array.isArray(release.notes) ? release.notes : [] }))
+        .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Service Worker Updater Class
+ * Watches a registration for a new worker that has installed and is waiting,
+ * and only activates it when asked, then reloads once it has taken control.
+ * A first install (no controller yet) is not an update and is never reported.
+ */
+export class ServiceWorkerUpdater {
+    /**
+     * @param {ServiceWorkerContainer} container - navigator.serviceWorker
+     * @param {Object} options - Options
+     * @param {Function} options.onUpdate - Called with the waiting worker
+     * @param {Function} options.reload - Reloads the page, for tests
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.reload = options.reload || (() => window.location.reload());
+        this.accepted = false;
+        this.reported = new Set();
+
+        this.container.addEventListener('controllerchange', () => {
+            // Only reload for an update the user agreed to, and only once
+            if (!this.accepted) return;
+            this.accepted = false;
+            this.reload();
+        });
+    }
+
+    /**
+     * Watch a registration for waiting workers
+     * @param {ServiceWorkerRegistration} registration - Registration to watch
+     */
+    watch(registration) {
+        if (registration.waiting) {
+            this.report(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    this.report(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Report a waiting worker once, if it replaces a running one
+     * @param {ServiceWorker} worker - Installed worker
+     */
+    report(worker) {
+        if (!this.container.controller || this.reported.has(worker)) return;
+
+        this.reported.add(worker);
+        this.onUpdate(worker);
+    }
+
+    /**
+     * Activate a waiting worker; the page reloads once it takes control
+     * @param {ServiceWorker} worker - Waiting worker
+     */
+    apply(worker) {
+        this.accepted = true;
+        worker.postMessage({ action: 'skipWaiting' });
+    }
+}
+
+// Export the class as default
+export default ServiceWorkerUpdater;
@@ -0,0 +1,362 @@
+// js/sync.js
+
+/**
+ * Sync helpers for QNEET
+ * Keeps favorites, notes and reading progress in step across a student's
+ * devices. Every local write queues a change (see QNEETStorage); the sync
+ * engine pulls what other devices changed, resolves conflicts with queued
+ * local changes, and pushes the queue through a pluggable transport.
+ *
+ * A change is { store, id, deleted, record, updatedAt, fields, deviceId }:
+ *   store     - 'favorites', 'notes' or 'progress'
+ *   id        - Key of the record in that store
+ *   deleted   - True when the record was removed; record is then null
+ *   record    - The record as stored in IndexedDB
+ *   updatedAt - When the change was made (ISO string)
+ *   fields    - Notes only: when each changed field was last written
+ *   deviceId  - Device that made the change, added when it is pushed
+ *
+ * Conflicts are settled last-writer-wins by updatedAt, with the device ID
+ * breaking ties so every device and the server pick the same winner. Notes
+ * edited on two devices are merged field by field instead, so edits to
+ * different fields of the same note both survive.
+ *
+ * A transport is any object with
+ *   pull(cursor) -> Promise<{ changes, cursor }>  changes since the cursor
+ *   push(changes) -> Promise<{ cursor }>          store changes on the server
+ * HttpTransport talks to server/sync-server.js and anything that speaks its API.
+ */
+
+// Stores whose records are synced; keep in sync with SYNCED_STORES in storage.js
+export const SYNC_STORES = ['favorites', 'notes', 'progress'];
+
+// Settings key of the endpoint, device ID and pull cursor; device-local, so
+// backups skip it (DEVICE_SETTING_KEYS in storage.js)
+const SYNC_SETTING_KEY = 'sync';
+
+// Key path of each synced store, to check that a record matches its change
+const KEY_PATHS = { favorites: 'id', notes: 'id', progress: 'resourceId' };
+
+/**
+ * Read a timestamp
+ * @param {string} value - ISO date string
+ * @returns {number} Milliseconds since the epoch, or 0 if missing or invalid
+ */
+function toTime(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Order two changes by device ID, so ties resolve the same way everywhere
+ * @param {Object} a - Change
+ * @param {Object} b - Change
+ * @returns {number} Positive if a wins the tie
+ */
+function compareDevices(a, b) {
+    const deviceA = String(a.deviceId || '');
+    const deviceB = String(b.deviceId || '');
+    if (deviceA === deviceB) return 0;
+    return deviceA > deviceB ? 1 : -1;
+}
+
+/**
+ * Order two changes to the same record, last writer first
+ * @param {Object} a - Change
+ * @param {Object} b - Change
+ * @returns {number} Positive if a is newer, negative if b is, 0 if identical
+ */
+export function compareChanges(a, b) {
+    return toTime(a.updatedAt) - toTime(b.updatedAt) || compareDevices(a, b);
+}
+
+/**
+ * Get when a note field was last written by a change
+ * Changes without field times count every field as written at updatedAt;
+ * with field times, fields missing from them were not touched.
+ * @param {Object} change - Note change
+ * @param {string} field - Field name
+ * @returns {number} Milliseconds since the epoch
+ */
+function fieldTime(change, field) {
+    return change.fields ? toTime(change.fields[field]) : toTime(change.updatedAt);
+}
+
+/**
+ * Merge two versions of a note field by field
+ * Each field takes the value written last; the result carries the time of
+ * every field so merging again, here or on the server, gives the same note.
+ * A merge belongs to no single device, so it has no deviceId and is never
+ * mistaken for a device's own change coming back.
+ * @param {Object} local - Note change made on this device
+ * @param {Object} remote - Note change from the server
+ * @returns {Object} local or remote if one wins every field, otherwise a merged change
+ */
+export function mergeNotes(local, remote) {
+    const fields = new Set([...Object.keys(local.record), ...Object.keys(remote.record)]);
+    const record = {};
+    const times = {};
+    let differsFromLocal = false;
+    let differsFromRemote = false;
+
+    fields.forEach(field => {
+        const inLocal = field in local.record;
+        const inRemote = field in remote.record;
+        const useLocal = !inRemote ||
+            (inLocal && (fieldTime(local, field) - fieldTime(remote, field) || compareDevices(local, remote)) > 0);
+        const source = useLocal ? local : remote;
+
+        record[field] = source.record[field];
+        const time = source.fields ? source.fields[field] : source.updatedAt;
+        if (time) times[field] = time;
+
+        const value = JSON.stringify(record[field]);
+        if (!inLocal || value !== JSON.stringify(local.record[field])) differsFromLocal = true;
+        if (!inRemote || value !== JSON.stringify(remote.record[field])) differsFromRemote = true;
+    });
+
+    if (!differsFromRemote) return remote;
+    if (!differsFromLocal) return local;
+
+    const newer = compareChanges(local, remote) > 0 ? local : remote;
+    return {
+        store: local.store,
+        id: local.id,
+        deleted: false,
+        record,
+        updatedAt: newer.updatedAt,
+        fields: times,
+        deviceId: null
+    };
+}
+
+/**
+ * Settle two changes to the same record
+ * @param {Object|null} local - Change queued on this device (or stored on the server)
+ * @param {Object|null} remote - Change from another device
+ * @returns {Object} The change to keep: local, remote, or a merge of two notes
+ */
+export function resolveChange(local, remote) {
+    if (!local) return remote;
+    if (!remote) return local;
+
+    if (local.store === 'notes' && !local.deleted && !remote.deleted) {
+        return mergeNotes(local, remote);
+    }
+    return compareChanges(local, remote) >= 0 ? local : remote;
+}
+
+/**
+ * Check that a change received over the network is well formed
+ * @param {*} change - Change to check
+ * @returns {string|null} Problem description, or null if the change is valid
+ */
+export function validateChange(change) {
+    if (typeof change !== 'object' || change === null) return 'change must be an object';
+    if (!SYNC_STORES.includes(change.store)) return `unknown store ${change.store}`;
+    if (typeof change.id !== 'number' && (typeof change.id !== 'string' || change.id === '')) return 'change needs an id';
+    if (!toTime(change.updatedAt)) return 'change needs an updatedAt date';
+    if (change.deleted) return null;
+
+    if (typeof change.record !== 'object' || change.record === null) return 'change needs a record';
+    if (change.record[KEY_PATHS[change.store]] !== change.id) return 'record key does not match the change id';
+    return null;
+}
+
+/**
+ * Create a random ID for this device
+ * @returns {string} Device ID
+ */
+function createDeviceId() {
+    if (globalThis.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * HTTP Transport Class
+ * Exchanges changes with a sync server over JSON:
+ *   GET  {endpoint}/changes?since={cursor} -> { changes, cursor }
+ *   POST {endpoint}/changes { changes }    -> { accepted, cursor }
+ * The service worker pushes with the same request; keep the two in step.
+ */
+export class HttpTransport {
+    /**
+     * @param {string} endpoint - Base URL of the sync server
+     * @param {Object} options - Options
+     * @param {Function} options.fetch - fetch implementation, for tests
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = String(endpoint).replace(/\/+$/, '');
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Get the changes made since a cursor
+     * @param {number} cursor - Cursor from the last pull, 0 for everything
+     * @returns {Promise<Object>} { changes, cursor }
+     */
+    async pull(cursor = 0) {
+        return this.request(`${this.endpoint}/changes?since=${encodeURIComponent(cursor)}`);
+    }
+
+    /**
+     * Send changes to the server
+     * @param {Array} changes - Changes with their deviceId
+     * @returns {Promise<Object>} { accepted, cursor }
+     */
+    async push(changes) {
+        return this.request(`${this.endpoint}/changes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        });
+    }
+
+    /**
+     * Send a request and read the JSON reply
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Object>} Parsed reply
+     */
+    async request(url, init = {}) {
+        // Sync replies must never come from a cache
+        const response = await this.fetch(url, { ...init, cache: 'no-store' });
+        if (!response.ok) {
+            throw Object.assign(new Error(`Sync server responded ${response.status}`), { code: 'sync-server', status: response.status });
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Sync Engine Class
+ * Pulls changes from other devices, resolves them against changes queued on
+ * this device, then pushes the queue. Only one sync runs at a time; asking
+ * again while one runs returns the running sync.
+ */
+export class SyncEngine {
+    /**
+     * @param {QNEETStorage} storage - Initialized storage instance
+     * @param {Object} options - Options
+     * @param {Object} options.transport - Transport to use instead of one built from the endpoint
+     * @param {Function} options.createTransport - Builds a transport for an endpoint URL
+     * @param {Function} options.onChange - Called with the applied changes after a pull changed local data
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.createTransport = options.createTransport || (endpoint => new HttpTransport(endpoint));
+        this.onChange = options.onChange || (() => {});
+        this.transport = options.transport || null;
+        this.state = { endpoint: null, deviceId: null, cursor: 0, lastSyncedAt: null };
+        this.running = null;
+    }
+
+    /**
+     * Load the sync settings, creating a device ID on first use
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const saved = await this.storage.getSetting(SYNC_SETTING_KEY) || {};
+        this.state = { endpoint: null, deviceId: null, cursor: 0, lastSyncedAt: null, ...saved };
+
+        if (!this.state.deviceId) {
+            this.state.deviceId = createDeviceId();
+            await this.save();
+        }
+        if (this.state.endpoint) {
+            this.transport = this.createTransport(this.state.endpoint);
+        }
+    }
+
+    /**
+     * Store the sync settings
+     * The service worker reads the endpoint and device ID from here.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await this.storage.saveSetting(SYNC_SETTING_KEY, this.state);
+    }
+
+    /**
+     * Check if a sync backend is set up
+     * @returns {boolean} True if sync() will reach a server
+     */
+    get enabled() {
+        return !!this.transport;
+    }
+
+    /**
+     * Set or clear the sync server
+     * A new server starts from an empty cursor, so everything is pulled again.
+     * @param {string|null} endpoint - Base URL of the server, or null to stop syncing
+     * @returns {Promise<void>}
+     */
+    async configure(endpoint) {
+        this.state.endpoint = endpoint || null;
+        this.state.cursor = 0;
+        this.state.lastSyncedAt = null;
+        this.transport = endpoint ? this.createTransport(endpoint) : null;
+        await this.save();
+    }
+
+    /**
+     * Count the local changes waiting to be pushed
+     * @returns {Promise<number>} Queued changes
+     */
+    async pendingCount() {
+        return (await this.storage.getChanges()).length;
+    }
+
+    /**
+     * Pull, resolve and push changes
+     * @returns {Promise<Object|null>} { pulled, pushed } counts, or null when sync is off
+     */
+    sync() {
+        if (!this.enabled) return Promise.resolve(null);
+
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Run one sync
+     * The pull cursor only moves once the push succeeded, so a failed sync
+     * is simply repeated next time. The next pull returns this device's own
+     * pushed changes too; they are already applied here and are skipped.
+     * @returns {Promise<Object>} { pulled, pushed } counts
+     */
+    async run() {
+        const { deviceId } = this.state;
+
+        const pulled = await this.transport.pull(this.state.cursor);
+        const remoteChanges = (Array.isArray(pulled.changes) ? pulled.changes : [])
+            .filter(change => change.deviceId !== deviceId);
+        const applied = await this.storage.applyRemoteChanges(remoteChanges, (local, remote) => {
+            return resolveChange({ ...local, deviceId }, remote);
+        });
+
+        const pending = await this.storage.getChanges();
+        if (pending.length > 0) {
+            await this.transport.push(pending.map(change => ({ ...change, deviceId })));
+            await this.storage.acknowledgeChanges(pending);
+        }
+
+        this.state.cursor = pulled.cursor || this.state.cursor;
+        this.state.lastSyncedAt = new Date().toISOString();
+        await this.save();
+
+        if (applied.length > 0) {
+            this.onChange(applied);
+        }
+        return { pulled: applied.length, pushed: pending.length };
+    }
+}
+
+// Export the class as default
+export default SyncEngine;
@@ -0,0 +1,156 @@
+// js/synonyms.js
+
+const DEFAULT_SYNONYMS_URL = 'data/synonyms.json';
+
+/**
+ * Split text into lower-case words, treating punctuation as spaces
+ * so "H.C. Verma" and "h c verma" read the same.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+export function splitWords(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Synonym Dictionary Class
+ * Maps NEET shorthand, acronyms, book nicknames and Hinglish spellings to each
+ * other. Data comes from data/synonyms.json:
+ *
+ *   { "groups": [["shm", "simple harmonic motion"], ...],
+ *     "patterns": [{ "match": "^(2[0-9])$", "expand": "20$1" }] }
+ *
+ * Every term in a group stands for every other; a pattern adds its expansion
+ * as an alternative for single words it matches.
+ */
+export class SynonymDictionary {
+    /**
+     * @param {Object} data - Parsed synonyms.json
+     */
+    constructor(data = {}) {
+        this.groups = [];
+        this.lookup = new Map();
+        this.maxWords = 1;
+        this.patterns = [];
+
+        (data.groups || []).forEach(group => this.addGroup(group));
+        (data.patterns || []).forEach(pattern => {
+            try {
+                this.patterns.push({ regex: new RegExp(pattern.match, 'i'), expand: pattern.expand });
+            } catch (error) {
+                console.warn(`Ignoring invalid synonym pattern ${pattern.match}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Load a dictionary from JSON
+     * @param {string} url - Location of the synonyms file
+     * @returns {Promise<SynonymDictionary>} The dictionary, or an empty one if it cannot be loaded
+     */
+    static async load(url = DEFAULT_SYNONYMS_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status}`);
+            }
+            return new SynonymDictionary(await response.json());
+        } catch (error) {
+            console.warn('Search synonyms unavailable:', error);
+            return new SynonymDictionary();
+        }
+    }
+
+    /**
+     * Add a group of equivalent terms
+     * A term already in another group joins the groups together.
+     * @param {Array<string>} terms - Equivalent terms
+     */
+    addGroup(terms) {
+        const keys = terms.map(term => splitWords(term).join(' ')).filter(Boolean);
+        if (keys.length === 0) return;
+
+        const existing = [...new Set(keys.map(key => this.lookup.get(key)).filter(Boolean))];
+        const group = existing[0] || [];
+        if (existing.length === 0) this.groups.push(group);
+
+        // Fold any other group that shares a term into this one
+        existing.slice(1).forEach(other => {
+            keys.push(...other);
+            this.groups.splice(this.groups.indexOf(other), 1);
+        });
+
+        keys.forEach(key => {
+            if (!group.includes(key)) group.push(key);
+            this.lookup.set(key, group);
+            this.maxWords = Math.max(this.maxWords, key.split(' ').length);
+        });
+    }
+
+    /**
+     * Split words into dictionary terms, longest match first
+     * @param {Array<string>} words - Words from splitWords
+     * @returns {Array<Object>} Units as { text, group } where group is null for unknown words
+     */
+    segment(words) {
+        const units = [];
+
+        for (let i = 0; i < words.length;) {
+            let matched = null;
+            for (let length = Math.min(this.maxWords, words.length - i); length > 0 && !matched; length--) {
+                const text = words.slice(i, i + length).join(' ');
+                if (this.lookup.has(text)) {
+                    matched = { text, group: this.lookup.get(text), length };
+                }
+            }
+
+            if (matched) {
+                units.push({ text: matched.text, group: matched.group });
+                i += matched.length;
+            } else {
+                units.push({ text: words[i], group: null });
+                i++;
+            }
+        }
+
+        return units;
+    }
+
+    /**
+     * Expand free text into alternatives to search for
+     * @param {string} text - Free text from a query
+     * @returns {Array<Array<string>>} One list of alternatives per term; a result
+     *     should match at least one alternative of every term
+     */
+    expandQuery(text) {
+        return this.segment(splitWords(text)).map(unit => {
+            const alternatives = new Set(unit.group ? [unit.text, ...unit.group] : [unit.text]);
+            this.patterns.forEach(({ regex, expand }) => {
+                if (regex.test(unit.text)) {
+                    alternatives.add(unit.text.replace(regex, expand));
+                }
+            });
+            return Array.from(alternatives);
+        });
+    }
+
+    /**
+     * Find the terms a text is also known by, for indexing
+     * @param {string} text - Resource text
+     * @returns {Array<string>} Every term of every group the text mentions
+     */
+    aliasesFor(text) {
+        const aliases = new Set();
+        this.segment(splitWords(text)).forEach(unit => {
+            if (unit.group) unit.group.forEach(term => aliases.add(term));
+        });
+        return Array.from(aliases);
+    }
+}
+
+// Export the class as default
+export default SynonymDictionary;
@@ -1,59 +1,266 @@
 // js/utils.js
 
+import { parseQuery, matchesConstraints, normalizeValue } from './search-query.js';
+import { SynonymDictionary } from './synonyms.js';
+
+// Resource fields counted by getFacets
+const FACET_FIELDS = ['subject', 'type', 'category'];
+
+// Fields free text is matched against; aliases come from the synonym dictionary
+const SEARCH_KEYS = ['title', 'description', 'tags', 'subject', 'aliases'];
+
+/**
+ * Quote a value for use in a query when it contains spaces
+ * @param {string} value - Value to quote
+ * @returns {string} The value, wrapped in double quotes if needed
+ */
+function quoteValue(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+}
+
 /**
  * Search Engine Class
  * Implements fuzzy search functionality for QNEET resources
+ * Queries may mix free text with the operators described in search-query.js.
+ * Each word of the free text must match; a synonym dictionary widens every
+ * word to its known alternatives and tags resources with the terms they mention.
  */
 export class SearchEngine {
-    constructor(resources) {
+    /**
+     * @param {Array} resources - Resources to search
+     * @param {Array} categories - Catalog categories, used to name category suggestions
+     * @param {Object} options - Options
+     * @param {SynonymDictionary} options.synonyms - Dictionary applied to queries and resources
+     */
+    constructor(resources, categories, options = {}) {
         this.resources = resources || [];
+        this.categories = categories || [];
+        this.synonyms = options.synonyms || new SynonymDictionary();
+        this.documents = this.buildDocuments();
+        this.suggestions = this.buildSuggestions();
         this.fuse = null;
+        this.suggestionFuse = null;
         
         // Initialize Fuse.js if available
         if (typeof Fuse !== 'undefined') {
-            this.fuse = new Fuse(this.resources, {
-                keys: ['title', 'description', 'tags', 'subject'],
+            this.fuse = new Fuse(this.documents, {
+                keys: SEARCH_KEYS,
                 threshold: 0.3,
+                ignoreLocation: true,
                 includeScore: true,
                 includeMatches: true
             });
+            this.suggestionFuse = new Fuse(this.suggestions, {
+                keys: ['label'],
+                threshold: 0.3,
+                ignoreLocation: true,
+                minMatchCharLength: 2,
+                includeMatches: true
+            });
         }
     }
 
     /**
      * Perform search on resources
-     * @param {string} query - Search query
-     * @returns {Array} Array of matching resources
+     * @param {string} query - Search query, e.g. 'enzymes subject:biology pages:<30'
+     * @param {Object} options - Constraints applied on top of the query
+     * @param {string} options.category - Only resources in this category
+     * @param {Function} options.filter - Only resources this predicate accepts
+     * @returns {Array} Array of matching resources, best matches first
+     */
+    search(query, options = {}) {
+        const parsed = parseQuery(query);
+        if (options.category) {
+            parsed.filters.push({ field: 'category', op: '=', value: normalizeValue(options.category), negate: false });
+        }
+
+        return this.matchText(parsed.text).filter(resource =>
+            matchesConstraints(resource, parsed) &&
+            (!options.filter || options.filter(resource))
+        );
+    }
+
+    /**
+     * Match free text against the resources
+     * @param {string} text - Free text from the query
+     * @returns {Array} Matching resources; every resource when there is no text
      */
-    search(query) {
-        if (!query || query.trim() === '') {
+    matchText(text) {
+        // One list of alternatives per word or known multi-word term
+        const terms = this.synonyms.expandQuery(text);
+        if (terms.length === 0) {
             return this.resources;
         }
         
         // If Fuse.js is available, use it for fuzzy search
         if (this.fuse) {
-            const results = this.fuse.search(query);
-            return results.map(result => result.item);
+            const results = this.fuse.search({
+                $and: terms.map(alternatives => ({
+                    $or: alternatives.flatMap(alternative => SEARCH_KEYS.map(key => ({ [key]: alternative })))
+                }))
+            });
+            return results.map(result => result.item.resource);
         }
         
-        // Fallback to simple search
-        const lowerQuery = query.toLowerCase();
-        return this.resources.filter(resource => 
-            resource.title.toLowerCase().includes(lowerQuery) ||
-            resource.description.toLowerCase().includes(lowerQuery) ||
-            resource.subject.toLowerCase().includes(lowerQuery) ||
-            resource.tags.some(tag => tag.toLowerCase().includes(lowerQuery))
-        );
+        // Fallback to simple search: every term must appear somewhere
+        return this.documents
+            .filter(record => {
+                const fields = SEARCH_KEYS.flatMap(key => record[key] || [])
+                    .map(field => String(field).toLowerCase());
+                return terms.every(alternatives =>
+                    alternatives.some(alternative => fields.some(field => field.includes(alternative)))
+                );
+            })
+            .map(record => record.resource);
+    }
+
+    /**
+     * Build the records that are indexed for free text search
+     * Adds the dictionary terms each resource mentions as its aliases.
+     * @returns {Array} Records with the SEARCH_KEYS fields and the original resource
+     */
+    buildDocuments() {
+        return this.resources.map(resource => {
+            // Each field on its own, so a term never spans two fields
+            const fields = [
+                resource.title,
+                resource.description,
+                resource.subject,
+                resource.type,
+                ...(resource.tags || []),
+                ...(resource.chapters || [])
+            ];
+            const aliases = new Set(fields.flatMap(field => this.synonyms.aliasesFor(field)));
+            
+            return {
+                title: resource.title,
+                description: resource.description,
+                tags: resource.tags || [],
+                subject: resource.subject,
+                aliases: Array.from(aliases),
+                resource
+            };
+        });
+    }
+
+    /**
+     * Count the values of the facet fields in a result set
+     * @param {Array} results - Resources returned by search()
+     * @returns {Object} { subject, type, category }, each an array of { value, count }
+     *     sorted by count and then by value
+     */
+    getFacets(results) {
+        const facets = {};
+
+        FACET_FIELDS.forEach(field => {
+            const counts = new Map();
+            results.forEach(resource => {
+                if (resource[field]) {
+                    counts.set(resource[field], (counts.get(resource[field]) || 0) + 1);
+                }
+            });
+            facets[field] = Array.from(counts, ([value, count]) => ({ value, count }))
+                .sort((a, b) => (b.count - a.count) || String(a.value).localeCompare(String(b.value)));
+        });
+
+        return facets;
+    }
+
+    /**
+     * Build the entries offered as search suggestions
+     * Titles open the resource; tags, chapters and categories become queries.
+     * @returns {Array} Entries as { kind, label, query, resourceId }
+     */
+    buildSuggestions() {
+        const entries = [];
+        const seen = new Set();
+        const add = entry => {
+            const key = `${entry.kind}:${entry.label.toLowerCase()}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                entries.push(entry);
+            }
+        };
+
+        this.resources.forEach(resource => {
+            add({ kind: 'title', label: resource.title, query: `"${resource.title}"`, resourceId: resource.id });
+        });
+        this.resources.forEach(resource => {
+            (resource.tags || []).forEach(tag => add({ kind: 'tag', label: tag, query: `tag:${quoteValue(tag)}` }));
+            (resource.chapters || []).forEach(chapter => add({ kind: 'chapter', label: chapter, query: `"${chapter}"` }));
+        });
+
+        // Name categories from the catalog when it is known, else by their id
+        const categoryIds = new Set(this.resources.map(resource => resource.category).filter(Boolean));
+        categoryIds.forEach(id => {
+            const category = this.categories.find(c => c.id === id);
+            add({ kind: 'category', label: category ? category.name : id, query: `category:${id}` });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Suggest titles, tags, chapters and categories for partly typed text
+     * @param {string} text - Text typed so far
+     * @param {Object} options - Suggestion options
+     * @param {number} options.limit - Maximum number of suggestions
+     * @returns {Array} Suggestions as { kind, label, query, resourceId, ranges } where
+     *     ranges are inclusive [start, end] character ranges of label to highlight
+     */
+    suggest(text, options = {}) {
+        const limit = options.limit || 8;
+        const needle = (text || '').trim();
+        if (needle.length < 2) return [];
+
+        if (this.suggestionFuse) {
+            return this.suggestionFuse.search(needle, { limit }).map(result => ({
+                ...result.item,
+                ranges: result.matches.flatMap(match => match.indices)
+            }));
+        }
+
+        // Fallback: substring matches, earliest match first
+        const lowerNeedle = needle.toLowerCase();
+        return this.suggestions
+            .map(entry => ({ entry, index: entry.label.toLowerCase().indexOf(lowerNeedle) }))
+            .filter(({ index }) => index !== -1)
+            .sort((a, b) => (a.index - b.index) || (a.entry.label.length - b.entry.label.length))
+            .slice(0, limit)
+            .map(({ entry, index }) => ({ ...entry, ranges: [[index, index + needle.length - 1]] }));
     }
 
     /**
      * Update resources for searching
      * @param {Array} resources - New resources array
+     * @param {Array} categories - New catalog categories, if they changed
      */
-    updateResources(resources) {
+    updateResources(resources, categories) {
         this.resources = resources;
+        if (categories) {
+            this.categories = categories;
+        }
+        this.reindex();
+    }
+
+    /**
+     * Replace the synonym dictionary
+     * @param {SynonymDictionary} synonyms - Dictionary applied to queries and resources
+     */
+    setSynonyms(synonyms) {
+        this.synonyms = synonyms;
+        this.reindex();
+    }
+
+    /**
+     * Rebuild the indexed records and suggestions
+     */
+    reindex() {
+        this.documents = this.buildDocuments();
+        this.suggestions = this.buildSuggestions();
         if (this.fuse) {
-            this.fuse.setCollection(resources);
+            this.fuse.setCollection(this.documents);
+            this.suggestionFuse.setCollection(this.suggestions);
         }
     }
 }
@@ -355,19 +562,6 @@ export class AccessibilityUtils {
     }
 }
 
-/**
- * Export all utilities as named exports
- */
-export {
-    SearchEngine,
-    DateUtils,
-    FileUtils,
-    UIUtils,
-    ValidationUtils,
-    DataUtils,
-    AccessibilityUtils
-};
-
 // Export default object with all utilities
 export default {
     SearchEngine,
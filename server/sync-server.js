@@ -0,0 +1,241 @@
+// server/sync-server.js
+
+/**
+ * Reference sync server for QNEET
+ * A small stand-in for a real sync backend, for trying sync locally and for
+ * tests. It keeps the latest change to every record, numbered in the order
+ * they were stored, and settles conflicts with the same rules as the app
+ * (resolveChange in js/sync.js), so devices and server always agree.
+ *
+ *   GET  /changes?since=<cursor>  -> { changes, cursor }
+ *   POST /changes { changes }     -> { accepted, cursor }
+ *
+ * Run with: npm run sync-server -- [--port 8787] [--data sync-data.json]
+ * Without --data, everything is kept in memory and lost on exit. There is no
+ * authentication: do not expose it beyond your own machine.
+ */
+
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { resolveChange, validateChange } from '../js/sync.js';
+
+const DEFAULT_PORT = 8787;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Sync Store Class
+ * Latest change per record, with a cursor that grows on every stored change
+ */
+export class SyncStore {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.file - JSON file to keep the data in, if any
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.records = new Map();
+        this.cursor = 0;
+    }
+
+    /**
+     * Load the data file, if there is one
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.file) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        this.cursor = saved.cursor || 0;
+        (saved.records || []).forEach(entry => this.records.set(this.key(entry.change), entry));
+    }
+
+    /**
+     * Write the data file, if there is one
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.file) return;
+        await writeFile(this.file, JSON.stringify({ cursor: this.cursor, records: [...this.records.values()] }));
+    }
+
+    /**
+     * Build the map key of a record
+     * @param {Object} change - Change to the record
+     * @returns {string} Key unique per store and record ID
+     */
+    key(change) {
+        return JSON.stringify([change.store, change.id]);
+    }
+
+    /**
+     * Get the changes stored after a cursor, oldest first
+     * @param {number} since - Cursor from an earlier pull
+     * @returns {Object} { changes, cursor }
+     */
+    changesSince(since = 0) {
+        const changes = [...this.records.values()]
+            .filter(entry => entry.seq > since)
+            .sort((a, b) => a.seq - b.seq)
+            .map(entry => entry.change);
+        return { changes, cursor: this.cursor };
+    }
+
+    /**
+     * Store pushed changes, resolving each against the stored one
+     * @param {Array} changes - Valid changes
+     * @returns {Promise<Object>} { accepted, cursor }
+     */
+    async apply(changes) {
+        let accepted = 0;
+        changes.forEach(change => {
+            const key = this.key(change);
+            const stored = this.records.get(key);
+            const resolved = resolveChange(stored ? stored.change : null, change);
+
+            // Only a change to the stored state moves the cursor
+            if (stored && JSON.stringify(resolved) === JSON.stringify(stored.change)) return;
+            this.cursor++;
+            this.records.set(key, { seq: this.cursor, change: resolved });
+            accepted++;
+        });
+
+        if (accepted > 0) {
+            await this.save();
+        }
+        return { accepted, cursor: this.cursor };
+    }
+}
+
+/**
+ * Send a JSON reply
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Reply body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} Parsed body
+ */
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the sync HTTP server
+ * @param {SyncStore} store - Loaded store
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createSyncServer(store = new SyncStore()) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        if (url.pathname !== '/changes') {
+            sendJSON(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            if (req.method === 'GET') {
+                const since = Number(url.searchParams.get('since') || 0);
+                if (!Number.isInteger(since) || since < 0) {
+                    sendJSON(res, 400, { error: 'since must be a cursor from an earlier pull' });
+                    return;
+                }
+                sendJSON(res, 200, store.changesSince(since));
+            } else if (req.method === 'POST') {
+                const body = await readJSON(req);
+                if (!body || !Array.isArray(body.changes)) {
+                    sendJSON(res, 400, { error: 'Expected { changes: [...] }' });
+                    return;
+                }
+
+                const problems = body.changes.map(validateChange);
+                const index = problems.findIndex(Boolean);
+                if (index !== -1) {
+                    sendJSON(res, 400, { error: `Change ${index}: ${problems[index]}` });
+                    return;
+                }
+                sendJSON(res, 200, await store.apply(body.changes));
+            } else {
+                sendJSON(res, 405, { error: 'Method not allowed' });
+            }
+        } catch (error) {
+            console.error('Sync request failed:', error);
+            sendJSON(res, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+        }
+    });
+}
+
+/**
+ * Read --port and --data from the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { port, file }
+ */
+function parseArgs(args) {
+    const options = { port: DEFAULT_PORT, file: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--data') options.file = args[++i];
+    }
+    return options;
+}
+
+// Run as a script: node server/sync-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { port, file } = parseArgs(process.argv.slice(2));
+    const store = new SyncStore({ file });
+    await store.load();
+
+    createSyncServer(store).listen(port, () => {
+        console.log(`QNEET sync server listening on http://localhost:${port}${file ? ` (data in ${file})` : ''}`);
+    });
+}
@@ -1,9 +1,44 @@
 // sw.js
 
-// Cache version - increment when updating assets
-const CACHE_VERSION = 'qneet-v1.2.0';
+// Cache version - increment to re-fetch the whole app shell (code also refreshes in the background)
+const CACHE_VERSION = 'qneet-v1.4.0';
 const CACHE_NAME = `qneet-cache-${CACHE_VERSION}`;
 
+// PDFs opened in the reader; kept across versions and trimmed by the offline library
+const PDF_CACHE_NAME = 'qneet-pdfs';
+
+// Libraries from CDNs; their URLs are versioned, so the cache is kept across versions
+const CDN_CACHE_NAME = 'qneet-cdn';
+
+// Caches that outlive CACHE_VERSION
+const RUNTIME_CACHES = [PDF_CACHE_NAME, CDN_CACHE_NAME];
+
+// How long catalog requests wait for the network before using the cached copy
+const NETWORK_TIMEOUT = 3000;
+
+// Database and settings key written by js/storage.js and js/sync.js, read for background sync
+const DB_NAME = 'QNEETDatabase';
+const SYNC_SETTING_KEY = 'sync';
+
+// Hosts serving PDF.js, Fuse, Lucide, Notyf and the other libraries the app loads
+const CDN_HOSTS = [
+  'cdnjs.cloudflare.com',
+  'cdn.jsdelivr.net',
+  'unpkg.com'
+];
+
+// Every CDN library the app loads, fetched during install so they work offline;
+// keep the versions in step with the page and with js/pdf-viewer.js
+const CDN_ASSETS = [
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js',
+  'https://cdn.jsdelivr.net/npm/fuse.js@7.0.0/dist/fuse.min.js',
+  'https://unpkg.com/lucide@0.263.0/dist/umd/lucide.min.js',
+  'https://cdn.jsdelivr.net/npm/notyf@3.10.0/notyf.min.js',
+  'https://cdn.jsdelivr.net/npm/notyf@3.10.0/notyf.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
 // Static assets to cache during installation
 const STATIC_ASSETS = [
   '/',
@@ -12,13 +47,31 @@ const STATIC_ASSETS = [
   '/css/dark-theme.css',
   '/js/main.js',
   '/js/pdf-viewer.js',
+  '/js/pdf-reader.js',
+  '/js/pdf-text.js',
+  '/js/annotations.js',
   '/js/storage.js',
   '/js/utils.js',
+  '/js/search-query.js',
+  '/js/search-suggestions.js',
+  '/js/synonyms.js',
+  '/js/resource-grid.js',
+  '/js/router.js',
+  '/js/category-view.js',
+  '/js/dashboard.js',
+  '/js/download-manager.js',
+  '/js/offline-library.js',
+  '/js/sw-update.js',
+  '/js/sync.js',
+  '/js/catalog.js',
+  '/js/backup.js',
+  '/js/fulltext.js',
+  '/js/fulltext-worker.js',
   '/data/resources.json',
   '/data/categories.json',
+  '/data/synonyms.json',
   '/manifest.json',
-  '/assets/icons/icon-192.png',
-  '/assets/icons/icon-512.png',
+  '/assets/images/logo.png',
   // Add other static assets here
 ];
 
@@ -27,26 +80,44 @@ const DYNAMIC_ASSETS = [
   // Add dynamic URLs that should always come from network
 ];
 
+// PDFs are cached apart from the app shell so they can be evicted one by one
+function isPdfRequest(url) {
+  return url.origin === location.origin && url.pathname.toLowerCase().endsWith('.pdf');
+}
+
 // Install event - cache static assets
 self.addEventListener('install', event => {
   console.log('[Service Worker] Install event');
   
-  event.waitUntil(
+  // The shell and the CDN libraries are cached independently, so one failing
+  // does not leave the other uncached
+  event.waitUntil(Promise.all([
     caches.open(CACHE_NAME)
       .then(cache => {
         console.log('[Service Worker] Caching static assets');
         return cache.addAll(STATIC_ASSETS);
       })
-      .then(() => {
-        console.log('[Service Worker] Skip waiting');
-        return self.skipWaiting();
-      })
       .catch(error => {
         console.error('[Service Worker] Failed to cache static assets:', error);
-      })
-  );
+      }),
+    precacheCdnAssets()
+  ]));
+  // No skipWaiting here: open pages keep the old worker until the user
+  // accepts the update prompt, which sends the skipWaiting message
 });
 
+// Fetch the CDN libraries the app needs offline; each failure is only logged, so install goes on
+function precacheCdnAssets() {
+  return caches.open(CDN_CACHE_NAME).then(cache => Promise.all(
+    CDN_ASSETS.map(url => cache.match(url).then(cachedResponse => {
+      if (cachedResponse) return;
+      return fetch(url, { mode: 'cors' })
+        .then(response => response.ok ? cache.put(url, response) : undefined)
+        .catch(error => console.warn('[Service Worker] Failed to cache', url, error));
+    }))
+  ));
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
   console.log('[Service Worker] Activate event');
@@ -56,12 +127,19 @@ self.addEventListener('activate', event => {
       return Promise.all(
         cacheNames.map(cacheName => {
           // Delete old caches that don't match current version
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && !RUNTIME_CACHES.includes(cacheName)) {
             console.log('[Service Worker] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
       );
+    }).then(() => {
+      // Earlier versions cached PDFs with the app shell
+      return caches.open(CACHE_NAME).then(cache => cache.keys().then(requests => Promise.all(
+        requests
+          .filter(request => isPdfRequest(new URL(request.url)))
+          .map(request => cache.delete(request))
+      )));
     }).then(() => {
       console.log('[Service Worker] Claiming clients');
       return self.clients.claim();
@@ -69,7 +147,7 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - implement caching strategies
+// Fetch event - pick a caching strategy by route
 self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
@@ -79,49 +157,180 @@ self.addEventListener('fetch', event => {
     return;
   }
   
+  // Requests that must bypass caches, such as sync pulls and downloads
+  if (request.cache === 'no-store') {
+    return;
+  }
+  
   // Skip caching for dynamic assets
   if (DYNAMIC_ASSETS.some(asset => url.pathname.includes(asset))) {
     return;
   }
   
-  // Handle requests to same origin
-  if (url.origin === location.origin) {
-    event.respondWith(
-      caches.match(request)
-        .then(cachedResponse => {
-          // Return cached response if available
-          if (cachedResponse) {
-            console.log('[Service Worker] Serving cached response for:', request.url);
-            return cachedResponse;
-          }
-          
-          // If not in cache, fetch from network
-          console.log('[Service Worker] Fetching from network:', request.url);
-          return fetch(request)
-            .then(networkResponse => {
-              // Cache the response for future requests
-              if (networkResponse && networkResponse.status === 200 && networkResponse.type === 'basic') {
-                const responseToCache = networkResponse.clone();
-                caches.open(CACHE_NAME)
-                  .then(cache => {
-                    console.log('[Service Worker] Caching new response for:', request.url);
-                    cache.put(request, responseToCache);
-                  });
-              }
-              return networkResponse;
-            })
-            .catch(error => {
-              console.error('[Service Worker] Network fetch failed:', error);
-              // Fallback for HTML documents
-              if (request.headers.get('Accept').includes('text/html')) {
-                return caches.match('/index.html');
-              }
-            });
-        })
-    );
+  const route = ROUTES.find(candidate => candidate.match(url, request));
+  if (route) {
+    event.respondWith(route.handle(event));
   }
 });
 
+// Network-first: fresh data when the network answers in time, the cached copy otherwise
+async function networkFirst(request, cacheName, timeout = NETWORK_TIMEOUT) {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+  // When the cache answers first, a later network failure has no one to report to
+  network.catch(() => {});
+  
+  try {
+    return await Promise.race([
+      network,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), timeout))
+    ]);
+  } catch (error) {
+    const cachedResponse = await cache.match(request, { ignoreSearch: true });
+    if (cachedResponse) {
+      console.log('[Service Worker] Network slow or offline, serving cached:', request.url);
+      return cachedResponse;
+    }
+    // Nothing cached: a slow answer beats none
+    return network;
+  }
+}
+
+// Stale-while-revalidate: answer from the cache at once and refresh it in the background
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(request);
+  
+  const network = fetch(request).then(response => {
+    if (response.ok && response.type === 'basic') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+  
+  if (cachedResponse) {
+    event.waitUntil(network.catch(() => {}));
+    return cachedResponse;
+  }
+  
+  try {
+    return await network;
+  } catch (error) {
+    console.error('[Service Worker] Network fetch failed:', error);
+    // Fallback for HTML documents
+    if (request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html')) {
+      return caches.match('/index.html');
+    }
+    throw error;
+  }
+}
+
+// Cache-first: for files that never change at the same URL, such as versioned CDN libraries
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(request);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+  
+  const networkResponse = await fetch(request);
+  // Scripts loaded without CORS come back opaque; they still work from the cache
+  if (networkResponse.ok || networkResponse.type === 'opaque') {
+    cache.put(request, networkResponse.clone());
+  }
+  return networkResponse;
+}
+
+// Cache-first for PDFs, answering range requests from the cached file
+async function pdfCacheFirst(request) {
+  const cache = await caches.open(PDF_CACHE_NAME);
+  const cachedResponse = await cache.match(request.url);
+  if (cachedResponse) {
+    return request.headers.has('range') ? rangeResponse(request, cachedResponse) : cachedResponse;
+  }
+  
+  // Partial responses cannot be cached, and downloads are stored in IndexedDB by the page
+  if (request.headers.has('range') || request.cache === 'no-store') {
+    return fetch(request);
+  }
+  
+  const networkResponse = await fetch(request);
+  if (networkResponse.status === 200 && networkResponse.type === 'basic') {
+    cache.put(request, networkResponse.clone());
+  }
+  return networkResponse;
+}
+
+// Build a 206 response for the byte range a request asks for
+async function rangeResponse(request, response) {
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return new Response(blob, { status: 200, headers: response.headers });
+  }
+  
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+  }
+  
+  if (start >= blob.size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` }
+    });
+  }
+  
+  const part = blob.slice(start, end + 1);
+  return new Response(part, {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'application/pdf',
+      'Content-Length': String(part.size),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Caching strategy per route; the first match wins
+const ROUTES = [
+  {
+    // PDFs: cache-first with range support, in their own evictable cache
+    match: url => isPdfRequest(url),
+    handle: event => pdfCacheFirst(event.request)
+  },
+  {
+    // Catalog JSON: network-first so new resources show up without a new CACHE_VERSION
+    match: url => url.origin === location.origin && url.pathname.startsWith('/data/') && url.pathname.endsWith('.json'),
+    handle: event => networkFirst(event.request, CACHE_NAME)
+  },
+  {
+    // CDN libraries: cache-first, their URLs are versioned
+    match: url => CDN_HOSTS.includes(url.hostname),
+    handle: event => cacheFirst(event.request, CDN_CACHE_NAME)
+  },
+  {
+    // App code and pages: stale-while-revalidate so updates arrive on the next load
+    match: url => url.origin === location.origin,
+    handle: event => staleWhileRevalidate(event, CACHE_NAME)
+  }
+];
+
 // Handle push notifications (if implemented)
 self.addEventListener('push', event => {
   console.log('[Service Worker] Push received');
@@ -129,8 +338,8 @@ self.addEventListener('push', event => {
   let title = 'QNEET Update';
   let options = {
     body: 'New resources are available!',
-    icon: '/assets/icons/icon-192.png',
-    badge: '/assets/icons/icon-192.png'
+    icon: '/assets/images/logo.png',
+    badge: '/assets/images/logo.png'
   };
   
   if (event.data) {
@@ -168,37 +377,98 @@ self.addEventListener('notificationclick', event => {
   );
 });
 
-// Handle background sync (if implemented)
+// Handle background sync: pages register it after changing user data offline
 self.addEventListener('sync', event => {
   if (event.tag === 'sync-resources') {
     console.log('[Service Worker] Background sync for resources');
     event.waitUntil(
-      // Implement sync logic here
       syncResources()
     );
   }
 });
 
-// Function to sync resources (example implementation)
+// Push queued user data changes, then refresh the catalog
 async function syncResources() {
+  const [pushed] = await Promise.allSettled([pushQueuedChanges(), updateResources()]);
+  
+  // Open pages pull what other devices changed
+  const clientList = await self.clients.matchAll({ type: 'window' });
+  clientList.forEach(client => client.postMessage({
+    action: 'syncComplete',
+    pushed: pushed.status === 'fulfilled' ? pushed.value : 0
+  }));
+  
+  // A rejected sync is retried by the browser, e.g. once back online
+  if (pushed.status === 'rejected') {
+    console.error('[Service Worker] Sync failed:', pushed.reason);
+    throw pushed.reason;
+  }
+}
+
+// Wrap an IDBRequest in a Promise
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Open the app database as the page left it, or resolve null if it does not exist yet
+function openDatabase() {
+  return new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME);
+    // Only the page creates and migrates the schema
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+}
+
+// Send the changes queued in IndexedDB to the sync server, as HttpTransport.push does
+async function pushQueuedChanges() {
+  const db = await openDatabase();
+  if (!db) return 0;
+  
   try {
-    // This would typically sync user data with a backend
-    console.log('[Service Worker] Syncing resources...');
+    if (!db.objectStoreNames.contains('changes')) return 0;
     
-    // Example: Update resource data
-    const response = await fetch('/data/resources.json');
-    const resources = await response.json();
+    const setting = await idbRequest(db.transaction('settings').objectStore('settings').get(SYNC_SETTING_KEY));
+    const config = setting && setting.value;
+    if (!config || !config.endpoint) return 0;
     
-    // In a real app, you would process and store these resources
-    console.log('[Service Worker] Resources synced:', resources.length);
+    const queued = await idbRequest(db.transaction('changes').objectStore('changes').getAll());
+    if (queued.length === 0) return 0;
     
-    // Show notification
-    self.registration.showNotification('QNEET', {
-      body: 'Resources updated successfully!',
-      icon: '/assets/icons/icon-192.png'
+    const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}/changes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ changes: queued.map(change => ({ ...change, deviceId: config.deviceId })) }),
+      cache: 'no-store'
     });
-  } catch (error) {
-    console.error('[Service Worker] Sync failed:', error);
+    if (!response.ok) {
+      throw new Error(`Sync server responded ${response.status}`);
+    }
+    
+    // Keep changes rewritten while the request was out; they go with the next sync
+    const transaction = db.transaction('changes', 'readwrite');
+    const store = transaction.objectStore('changes');
+    for (const change of queued) {
+      const key = [change.store, change.id];
+      const current = await idbRequest(store.get(key));
+      if (current && JSON.stringify(current) === JSON.stringify(change)) {
+        store.delete(key);
+      }
+    }
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    
+    console.log('[Service Worker] Pushed queued changes:', queued.length);
+    return queued.length;
+  } finally {
+    db.close();
   }
 }
 
@@ -217,19 +487,56 @@ async function updateResources() {
   try {
     console.log('[Service Worker] Checking for resource updates...');
     
-    // In a real implementation, this would check for new resources
-    // and update the cache accordingly
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match('/data/resources.json');
+    const previous = cachedResponse ? await cachedResponse.json() : null;
     
-    // Example notification
-    self.registration.showNotification('QNEET', {
-      body: 'Resource library is up to date!',
-      icon: '/assets/icons/icon-192.png'
-    });
+    const response = await fetch('/data/resources.json', { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Catalog request failed: ${response.status}`);
+    }
+    const latest = await response.clone().json();
+    await cache.put('/data/resources.json', response);
+    
+    if (!previous || isSameCatalogVersion(previous.metadata, latest.metadata)) {
+      console.log('[Service Worker] Resource library is up to date');
+      return;
+    }
+    
+    // Let open pages apply the diff and refresh their "What's new" list
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage({ action: 'catalogUpdated' }));
+    
+    const knownIds = new Set(previous.resources.map(resource => resource.id));
+    const added = latest.resources.filter(resource => !knownIds.has(resource.id));
+    if (added.length === 0) {
+      return;
+    }
+    
+    const titles = added.map(resource => resource.title);
+    const body = titles.length > 3
+      ? `${titles.slice(0, 3).join(', ')} and ${titles.length - 3} more`
+      : titles.join(', ');
+    
+    await self.registration.showNotification(
+      `${added.length} new resource${added.length > 1 ? 's' : ''} on QNEET`,
+      {
+        body,
+        tag: 'new-resources',
+        icon: '/assets/images/logo.png'
+      }
+    );
   } catch (error) {
     console.error('[Service Worker] Periodic update failed:', error);
   }
 }
 
+// Compare catalog metadata by version and last update time
+function isSameCatalogVersion(a, b) {
+  if (!a || !b) return false;
+  return a.version === b.version && a.lastUpdated === b.lastUpdated;
+}
+
 // Handle messages from client
 self.addEventListener('message', event => {
   console.log('[Service Worker] Message received:', event.data);
@@ -239,40 +546,28 @@ self.addEventListener('message', event => {
   }
 });
 
-// Handle fetch errors for external resources
-self.addEventListener('fetch', event => {
-  // Handle CORS errors for external resources
-  if (event.request.url.includes('external-domain.com')) {
-    event.respondWith(
-      fetch(event.request)
-        .catch(() => {
-          // Return a fallback response
-          return new Response('External resource unavailable', {
-            status: 503,
-            statusText: 'Service Unavailable',
-            headers: new Headers({
-              'Content-Type': 'text/plain'
-            })
-          });
-        })
-    );
-  }
-});
-
 // Handle cache cleanup when storage is low
+// Old caches are always removed; `evict` lists PDF URLs the offline library chose to drop.
 self.addEventListener('message', event => {
   if (event.data && event.data.action === 'cleanupCache') {
-    caches.keys().then(cacheNames => {
+    const evict = Array.isArray(event.data.evict) ? event.data.evict : [];
+    
+    event.waitUntil(caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && !RUNTIME_CACHES.includes(cacheName)) {
             return caches.delete(cacheName);
           }
         })
       );
-    }).then(() => {
-      event.source.postMessage({ action: 'cleanupComplete' });
-    });
+    }).then(() => caches.open(PDF_CACHE_NAME))
+      .then(cache => Promise.all(evict.map(url => cache.delete(url))))
+      .then(results => {
+        const reply = { action: 'cleanupComplete', evicted: evict.filter((url, i) => results[i]) };
+        // Reply on the channel the page sent, if any
+        const target = event.ports && event.ports[0] ? event.ports[0] : event.source;
+        target.postMessage(reply);
+      }));
   }
 });
 
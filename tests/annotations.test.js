@@ -0,0 +1,37 @@
+// tests/annotations.test.js
+
+import './helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnnotationManager } from '../js/annotations.js';
+
+// Just enough of a PDFViewer for the manager to attach its toolbar
+function createViewer() {
+    return {
+        container: document.createElement('div'),
+        controls: document.createElement('div'),
+        scale: 1,
+        currentPage: 1
+    };
+}
+
+describe('AnnotationManager', () => {
+    describe('renderSidebar', () => {
+        it('shows comments and selected text as text, not markup', () => {
+            const sidebar = document.createElement('div');
+            const manager = new AnnotationManager(createViewer(), null, 1, { sidebar });
+            manager.annotations = [
+                { id: 1, page: 2, type: 'note', comment: '<img src=x onerror="alert(1)">', rects: [{ x: 0, y: 0 }] },
+                { id: 2, page: 1, type: 'highlight', text: '<b>bold</b>', rects: [] }
+            ];
+
+            manager.renderSidebar();
+
+            assert.equal(sidebar.querySelector('img'), null);
+            assert.equal(sidebar.querySelector('b'), null);
+            const texts = [...sidebar.querySelectorAll('.annotation-text')].map(p => p.textContent);
+            assert.deepEqual(texts, ['"<b>bold</b>"', '<img src=x onerror="alert(1)">']);
+            assert.deepEqual([...sidebar.querySelectorAll('.annotation-item')].map(item => item.dataset.id), ['2', '1']);
+        });
+    });
+});
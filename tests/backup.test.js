@@ -0,0 +1,150 @@
+// tests/backup.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import {
+    BACKUP_FORMAT_VERSION, createBackup, decryptBackup, encryptBackup, migrateBackup, readBackup, verifyChecksum
+} from '../js/backup.js';
+
+describe('backup', () => {
+    let storage;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('round-trips a backup made with the Auto theme', async () => {
+        await storage.addFavorite(3);
+        const backup = await createBackup(storage, {
+            appVersion: '1.4.0',
+            preferences: { theme: 'auto', fontSize: 'medium' }
+        });
+
+        const { backup: restored, errors } = await readBackup(JSON.stringify(backup));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(restored.preferences, { theme: 'auto', fontSize: 'medium' });
+        assert.deepEqual(restored.data.favorites, [3]);
+    });
+
+    it('rejects an unknown theme', async () => {
+        const backup = await createBackup(storage, { preferences: { theme: 'neon' } });
+
+        const { backup: restored, errors } = await readBackup(JSON.stringify(backup));
+
+        assert.equal(restored, null);
+        assert.match(errors[0], /theme must be one of light, dark, auto/);
+    });
+});
+
+describe('migrateBackup', () => {
+    it('moves a version 1 backup into the current format', () => {
+        const legacy = { favorites: [1, 2], notes: { 1: [] }, downloads: [], theme: 'dark', fontSize: 'large' };
+
+        const backup = migrateBackup(legacy);
+
+        assert.equal(backup.formatVersion, BACKUP_FORMAT_VERSION);
+        assert.deepEqual(backup.data, { favorites: [1, 2], notes: { 1: [] }, downloads: [] });
+        assert.deepEqual(backup.preferences, { theme: 'dark', fontSize: 'large' });
+        assert.equal(backup.checksum, null);
+    });
+
+    it('refuses a backup from a newer app', () => {
+        assert.throws(
+            () => migrateBackup({ format: 'qneet-backup', formatVersion: BACKUP_FORMAT_VERSION + 1, data: {} }),
+            /newer than this app supports/
+        );
+    });
+});
+
+describe('verifyChecksum', () => {
+    let storage;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('rejects a backup edited after it was made', async () => {
+        await storage.addFavorite(3);
+        const backup = await createBackup(storage);
+        backup.data.favorites.push(4);
+
+        assert.equal(await verifyChecksum(backup), false);
+        const { backup: restored, errors } = await readBackup(JSON.stringify(backup));
+        assert.equal(restored, null);
+        assert.match(errors[0], /Checksum does not match/);
+    });
+
+    it('accepts a migrated backup that predates checksums', async () => {
+        assert.equal(await verifyChecksum(migrateBackup({ favorites: [1] })), true);
+    });
+});
+
+describe('encrypted backups', () => {
+    let storage;
+    let backup;
+    let envelope;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+        await storage.addFavorite(3);
+        backup = await createBackup(storage, { preferences: { theme: 'dark' } });
+        envelope = await encryptBackup(backup, 'correct horse');
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('round-trips with the right passphrase', async () => {
+        assert.equal(JSON.stringify(envelope).includes('"favorites"'), false);
+
+        const { backup: restored, errors } = await readBackup(JSON.stringify(envelope), { passphrase: 'correct horse' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(restored, backup);
+    });
+
+    it('asks for a passphrase before decrypting', async () => {
+        const result = await readBackup(JSON.stringify(envelope));
+
+        assert.deepEqual(result, { backup: null, errors: [], needsPassphrase: true });
+    });
+
+    it('reports a wrong passphrase', async () => {
+        await assert.rejects(decryptBackup(envelope, 'wrong'), error => error.code === 'decrypt-failed');
+
+        const result = await readBackup(JSON.stringify(envelope), { passphrase: 'wrong' });
+        assert.equal(result.backup, null);
+        assert.equal(result.needsPassphrase, true);
+        assert.match(result.errors[0], /Wrong passphrase/);
+    });
+
+    it('reports a damaged envelope as corrupted', async () => {
+        const damaged = { ...envelope, cipher: { ...envelope.cipher, iv: '%%%' } };
+
+        await assert.rejects(decryptBackup(damaged, 'correct horse'), error => error.code === 'corrupted');
+        await assert.rejects(decryptBackup({ ...envelope, kdf: undefined }, 'correct horse'), error => error.code === 'corrupted');
+
+        const result = await readBackup(JSON.stringify(damaged), { passphrase: 'correct horse' });
+        assert.equal(result.backup, null);
+        assert.equal(result.needsPassphrase, false);
+        assert.match(result.errors[0], /corrupted/);
+    });
+});
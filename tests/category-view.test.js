@@ -0,0 +1,102 @@
+// tests/category-view.test.js
+
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CategoryView, countByCategory } from '../js/category-view.js';
+import { CatalogLoader } from '../js/catalog.js';
+
+const categoryData = JSON.parse(readFileSync(new URL('../data/categories.json', import.meta.url)));
+
+const resourceData = {
+    resources: [
+        { id: 1, title: 'Cell Cycle Notes', category: 'short-notes', subject: 'Biology', date: '2023-01-01', filePath: 'pdfs/file.pdf' },
+        { id: 2, title: 'HC Verma', category: 'books', subject: 'Physics', date: '2023-01-02', filePath: 'pdfs/file.pdf' },
+        { id: 3, title: 'Organic Notes', category: 'short-notes', subject: 'Chemistry', date: '2023-01-03', filePath: 'pdfs/file.pdf' },
+        { id: 4, title: 'Loose File', category: 'nowhere', subject: 'Physics', date: '2023-01-04', filePath: 'pdfs/file.pdf' }
+    ]
+};
+
+const catalog = new CatalogLoader(null).parseCatalog(resourceData, categoryData);
+
+describe('countByCategory', () => {
+    it('counts loaded resources instead of the stored counts', () => {
+        const counts = countByCategory(catalog.resources, catalog.categories);
+        assert.equal(counts['short-notes'], 2);
+        assert.equal(counts.books, 1);
+        assert.equal(counts.other, 1);
+        assert.equal(counts.pyqs, 0);
+        assert.equal(counts.dashboard, 4);
+    });
+});
+
+describe('featured collections', () => {
+    it('resolves thumbnails and drops unknown categories', () => {
+        const parsed = new CatalogLoader(null).parseCatalog(resourceData, {
+            ...categoryData,
+            featured: [...categoryData.featured, { categoryId: 'missing', title: 'Gone' }, { categoryId: 'books' }]
+        });
+
+        assert.equal(parsed.featured.length, 3);
+        assert.equal(parsed.featured[0].thumbnail, 'assets/images/thumbnails/physics-30-days.jpg');
+    });
+});
+
+describe('CategoryView', () => {
+    let nav;
+    let dashboard;
+    let view;
+    let selected;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<nav id="category-nav"></nav><div id="dashboard-view"></div>';
+        nav = document.getElementById('category-nav');
+        dashboard = document.getElementById('dashboard-view');
+        selected = [];
+        view = new CategoryView({ nav, dashboard }, { onSelect: id => selected.push(id) });
+        view.render(catalog);
+    });
+
+    it('renders a nav link per category in order with live counts', () => {
+        const links = [...nav.querySelectorAll('.nav-link')];
+        assert.deepEqual(links.map(link => link.dataset.category), catalog.categories.map(c => c.id));
+        assert.equal(links[0].getAttribute('href'), '#/');
+        assert.equal(nav.querySelector('[data-category="short-notes"]').getAttribute('href'), '#/category/short-notes');
+        assert.equal(nav.querySelector('[data-category="short-notes"] .nav-link-count').textContent, '2');
+    });
+
+    it('renders cards only for featured categories', () => {
+        const cards = [...dashboard.querySelectorAll('.category-card')];
+        const expected = catalog.categories.filter(c => c.featured).map(c => c.id);
+        assert.deepEqual(cards.map(card => card.dataset.category), expected);
+        assert.equal(cards[0].querySelector('.category-count').textContent, '2 resources');
+    });
+
+    it('selects categories from links, cards and the carousel', () => {
+        nav.querySelector('[data-category="pyqs"]').click();
+        dashboard.querySelector('.category-card[data-category="books"]').click();
+        dashboard.querySelector('.featured-item[data-category="question-banks"]').click();
+        assert.deepEqual(selected, ['pyqs', 'books', 'question-banks']);
+    });
+
+    it('shows the dashboard sections only while browsing the dashboard', () => {
+        view.setActive('dashboard');
+        assert.equal(view.carousel.classList.contains('hidden'), false);
+        assert.equal(view.cards.classList.contains('hidden'), false);
+        assert.equal(view.header.classList.contains('hidden'), true);
+
+        view.setActive('dashboard', { browsing: false });
+        assert.equal(view.carousel.classList.contains('hidden'), true);
+        assert.equal(view.cards.classList.contains('hidden'), true);
+    });
+
+    it('shows a header on category pages and marks the link active', () => {
+        view.setActive('books');
+
+        assert.equal(view.cards.classList.contains('hidden'), true);
+        assert.equal(view.header.classList.contains('hidden'), false);
+        assert.equal(view.header.querySelector('.category-title').textContent, 'Best Books (PDFs)');
+        assert.equal(nav.querySelector('[aria-current="page"]').dataset.category, 'books');
+    });
+});
@@ -0,0 +1,89 @@
+// tests/dashboard.test.js
+
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dashboard, recommendResources, recentNotes } from '../js/dashboard.js';
+
+const resources = [
+    { id: 1, title: 'Cell Cycle', subject: 'Biology', type: 'Notes', tags: ['cell', 'ncert'], downloads: 10, gradient: 'from-green-400 to-emerald-600' },
+    { id: 2, title: 'Genetics', subject: 'Biology', type: 'Notes', tags: ['genetics'], downloads: 20, gradient: 'from-green-400 to-emerald-600' },
+    { id: 3, title: 'Cell Structure', subject: 'Biology', type: 'PYQ', tags: ['cell'], downloads: 5, gradient: 'from-green-400 to-emerald-600' },
+    { id: 4, title: 'Optics', subject: 'Physics', type: 'Notes', tags: ['optics'], downloads: 900, gradient: 'from-blue-400 to-indigo-600' },
+    { id: 5, title: 'Thermodynamics', subject: 'Chemistry', type: 'Notes', tags: ['ncert'], downloads: 50, gradient: 'from-orange-400 to-amber-600' }
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('recommendResources', () => {
+    it('suggests the most downloaded resources without any activity', () => {
+        assert.deepEqual(ids(recommendResources(resources, {}, { limit: 2 })), [4, 5]);
+    });
+
+    it('ranks by the subjects and tags of favorites and views', () => {
+        const recommended = recommendResources(resources, { favorites: [1], history: [] });
+        // Same subject and tag first, then same subject, then a shared tag
+        assert.deepEqual(ids(recommended), [3, 2, 5]);
+    });
+
+    it('leaves out what the student already favorited or viewed', () => {
+        const recommended = recommendResources(resources, {
+            favorites: [1],
+            history: [{ resourceId: 3, views: 4 }],
+            progress: { 3: { percent: 80 } }
+        });
+        assert.deepEqual(ids(recommended), [2, 5]);
+    });
+});
+
+describe('recentNotes', () => {
+    it('returns the newest notes across resources', () => {
+        const notes = {
+            1: [{ id: 1, resourceId: 1, content: 'a', updatedAt: '2024-01-01T00:00:00Z' }],
+            2: [
+                { id: 2, resourceId: 2, content: 'b', updatedAt: '2024-03-01T00:00:00Z' },
+                { id: 3, resourceId: 2, content: 'c', updatedAt: '2024-02-01T00:00:00Z' }
+            ]
+        };
+        assert.deepEqual(recentNotes(notes, 2).map(note => note.content), ['b', 'c']);
+    });
+});
+
+describe('Dashboard', () => {
+    let container;
+    let opened;
+    let dashboard;
+
+    const titles = () => [...container.querySelectorAll('.dashboard-section-title')].map(el => el.textContent);
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="personal-dashboard"></div>';
+        container = document.getElementById('personal-dashboard');
+        opened = [];
+        dashboard = new Dashboard(container, { onOpen: id => opened.push(id) });
+    });
+
+    it('shows only recommendations for a new student', () => {
+        dashboard.render({ resources, history: [], favorites: [], notes: {}, progress: {} });
+        assert.deepEqual(titles(), ['Recommended for you']);
+    });
+
+    it('renders every section from the student activity', () => {
+        dashboard.render({
+            resources,
+            history: [{ resourceId: 2, views: 1 }, { resourceId: 99, views: 1 }],
+            favorites: [1],
+            notes: { 2: [{ id: 7, resourceId: 2, content: 'Mendel', date: '1/2/2024' }] },
+            progress: { 2: { resourceId: 2, page: 12, totalPages: 40, percent: 30 } }
+        });
+
+        assert.deepEqual(titles(), ['Continue reading', 'Recent notes', 'Favorites', 'Recommended for you']);
+
+        const reading = container.querySelector('.dashboard-section .dashboard-item');
+        assert.equal(reading.dataset.id, '2');
+        assert.equal(reading.querySelector('.dashboard-item-detail').textContent, 'Page 12 of 40');
+
+        reading.click();
+        assert.deepEqual(opened, [2]);
+    });
+});
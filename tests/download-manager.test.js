@@ -0,0 +1,207 @@
+// tests/download-manager.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import { DownloadManager } from '../js/download-manager.js';
+
+const bytes = new Uint8Array(Array.from({ length: 40 }, (_, i) => i));
+const sha256 = createHash('sha256').update(bytes).digest('hex');
+const resource = { id: 7, title: 'Cell Cycle', filePath: 'assets/pdfs/cell-cycle.pdf', sizeBytes: 40, sha256 };
+
+/**
+ * Fake server for one file, sent in small chunks
+ * onChunk is called with the offset after each chunk, to pause or cancel mid-stream.
+ */
+function createServer(data, options = {}) {
+    const server = {
+        requests: [],
+        onChunk: null,
+        fetch: async (url, init = {}) => {
+            const range = init.headers && init.headers.Range;
+            server.requests.push({ url, range });
+            if (init.signal && init.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+            if (options.status) return new Response('', { status: options.status });
+
+            const start = range && options.ranges !== false ? Number(/bytes=(\d+)-/.exec(range)[1]) : 0;
+            let offset = start;
+            const body = new ReadableStream({
+                start(controller) {
+                    if (init.signal) {
+                        init.signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+                    }
+                },
+                pull(controller) {
+                    if (offset >= data.length) {
+                        controller.close();
+                        return;
+                    }
+                    controller.enqueue(data.slice(offset, offset + 8));
+                    offset = Math.min(data.length, offset + 8);
+                    if (server.onChunk) server.onChunk(offset);
+                }
+            });
+
+            const headers = { 'Content-Type': 'application/pdf', 'Content-Length': String(data.length - start) };
+            if (start > 0) headers['Content-Range'] = `bytes ${start}-${data.length - 1}/${data.length}`;
+            return new Response(body, { status: start > 0 ? 206 : 200, headers });
+        }
+    };
+    return server;
+}
+
+const readFile = async file => new Uint8Array(await file.blob.arrayBuffer());
+
+describe('DownloadManager', () => {
+    let storage;
+    let server;
+    let manager;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+        server = createServer(bytes);
+        manager = new DownloadManager(storage, { fetch: server.fetch });
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('downloads, verifies and stores a file', async () => {
+        const changes = [];
+        manager.onChange = download => changes.push(download.status);
+
+        const download = await manager.start(resource);
+
+        assert.equal(download.status, 'completed');
+        assert.equal(download.received, 40);
+        assert.equal(download.total, 40);
+        assert.equal(download.verified, true);
+        assert.deepEqual(await readFile(await manager.getFile(7)), bytes);
+        assert.equal(changes[0], 'downloading');
+        assert.equal(changes.at(-1), 'completed');
+        assert.equal((await storage.getDownloads())[0].status, 'completed');
+    });
+
+    it('does not download a stored file again', async () => {
+        await manager.start(resource);
+        await manager.start(resource);
+        assert.equal(server.requests.length, 1);
+    });
+
+    it('pauses and resumes with a Range request', async () => {
+        server.onChunk = offset => {
+            if (offset === 16) manager.pause(manager.findByResource(7).id);
+        };
+
+        const paused = await manager.start(resource);
+        assert.equal(paused.status, 'paused');
+        assert.ok(paused.received > 0 && paused.received < 40);
+        assert.equal(await manager.getFile(7), null);
+        const received = paused.received;
+
+        server.onChunk = null;
+        const resumed = await manager.resume(paused.id);
+
+        assert.equal(server.requests[1].range, `bytes=${received}-`);
+        assert.equal(resumed.status, 'completed');
+        assert.deepEqual(await readFile(await manager.getFile(7)), bytes);
+    });
+
+    it('resumes after a reload from the stored partial data', async () => {
+        server.onChunk = offset => {
+            if (offset === 16) manager.pause(manager.findByResource(7).id);
+        };
+        const paused = await manager.start(resource);
+        const received = paused.received;
+        assert.ok(received > 0);
+
+        server.onChunk = null;
+        const reloaded = new DownloadManager(storage, { fetch: server.fetch });
+        await reloaded.load();
+        const resumed = await reloaded.resume(paused.id);
+
+        assert.equal(server.requests[1].range, `bytes=${received}-`);
+        assert.deepEqual(await readFile(await reloaded.getFile(7)), bytes);
+        assert.equal(resumed.status, 'completed');
+    });
+
+    it('starts over when the server ignores the range', async () => {
+        server = createServer(bytes, { ranges: false });
+        manager.fetch = server.fetch;
+        server.onChunk = offset => {
+            if (offset === 16) manager.pause(manager.findByResource(7).id);
+        };
+        const paused = await manager.start(resource);
+
+        server.onChunk = null;
+        await manager.resume(paused.id);
+
+        assert.deepEqual(await readFile(await manager.getFile(7)), bytes);
+    });
+
+    it('cancels a running download and drops its data', async () => {
+        server.onChunk = offset => {
+            if (offset === 8) manager.cancel(manager.findByResource(7).id);
+        };
+
+        const download = await manager.start(resource);
+
+        assert.equal(download.status, 'canceled');
+        assert.deepEqual(manager.downloads, []);
+        assert.deepEqual(await storage.getDownloads(), []);
+        assert.equal(await storage.getFile(7), null);
+    });
+
+    it('fails on a checksum mismatch and retries from scratch', async () => {
+        const download = await manager.start({ ...resource, sha256: '0'.repeat(64) });
+
+        assert.equal(download.status, 'failed');
+        assert.match(download.error, /checksum/);
+        assert.equal(await storage.getFile(7), null);
+
+        const retried = await manager.resume(download.id, resource);
+        assert.equal(server.requests[1].range, undefined);
+        assert.equal(retried.status, 'completed');
+    });
+
+    it('saves a file without a catalog hash as unverified', async () => {
+        const { sha256: _, ...unhashed } = resource;
+        const download = await manager.start(unhashed);
+
+        assert.equal(download.status, 'completed');
+        assert.equal(download.verified, false);
+        assert.ok(await storage.getFile(7));
+    });
+
+    it('reports HTTP errors as failures', async () => {
+        manager.fetch = createServer(bytes, { status: 404 }).fetch;
+        const download = await manager.start(resource);
+
+        assert.equal(download.status, 'failed');
+        assert.match(download.error, /404/);
+    });
+
+    it('loads interrupted and legacy records as resumable', async () => {
+        await storage.addDownload({ id: 1, resourceId: 7, title: 'Cell Cycle', url: resource.filePath, status: 'downloading', received: 8, total: 40 });
+        await storage.addDownload({ id: 2, resourceId: 8, title: 'Genetics', progress: 100 });
+
+        const [interrupted, legacy] = await manager.load();
+
+        assert.equal(interrupted.status, 'paused');
+        assert.equal(legacy.status, 'failed');
+        assert.equal(legacy.progress, undefined);
+    });
+
+    it('removes completed downloads from the list but keeps the file', async () => {
+        await manager.start(resource);
+        await manager.clearCompleted();
+
+        assert.deepEqual(manager.downloads, []);
+        assert.ok(await manager.getFile(7));
+    });
+});
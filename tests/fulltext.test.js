@@ -0,0 +1,115 @@
+// tests/fulltext.test.js
+
+import './helpers/dom.js';
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import { FullTextSearch } from '../js/fulltext.js';
+import { tokenize, extractDocumentText } from '../js/pdf-text.js';
+
+const page = (num, text) => {
+    const terms = {};
+    tokenize(text).forEach(term => {
+        terms[term] = (terms[term] || 0) + 1;
+    });
+    return { page: num, text, terms };
+};
+
+describe('tokenize', () => {
+    it('lower-cases and splits on anything but letters and digits', () => {
+        assert.deepEqual(tokenize('Hardy-Weinberg  equilibrium (p + 2pq)'), ['hardy', 'weinberg', 'equilibrium', '2pq']);
+    });
+
+    it('keeps non-Latin letters', () => {
+        assert.deepEqual(tokenize('कोशिका Cell'), ['कोशिका', 'cell']);
+    });
+});
+
+describe('extractDocumentText', () => {
+    it('reads every page of a PDF', async () => {
+        const data = new Uint8Array(await readFile(new URL('./fixtures/three-pages.pdf', import.meta.url)));
+        const pdfDoc = await pdfjsLib.getDocument({ data, verbosity: 0 }).promise;
+        const seen = [];
+
+        const pages = await extractDocumentText(pdfDoc, (pageNum, numPages) => seen.push(`${pageNum}/${numPages}`));
+        await pdfDoc.destroy();
+
+        assert.deepEqual(seen, ['1/3', '2/3', '3/3']);
+        assert.equal(pages[1].page, 2);
+        assert.match(pages[1].text, /Page 2 of 3/);
+        assert.deepEqual(pages[1].terms, { page: 1, of: 1 });
+    });
+});
+
+describe('FullTextSearch', () => {
+    let storage;
+    let search;
+
+    before(() => {
+        globalThis.IDBKeyRange = IDBKeyRange;
+    });
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+        search = new FullTextSearch(storage);
+
+        await storage.saveFulltextDocument({ resourceId: 1, version: 'a' }, [
+            page(1, 'Introduction to genetics'),
+            page(2, 'The Hardy-Weinberg principle states that allele frequencies stay constant. Hardy and Weinberg...')
+        ]);
+        await storage.saveFulltextDocument({ resourceId: 2, version: 'a' }, [
+            page(1, 'Weinberg appears alone here, and so does Hardy.')
+        ]);
+    });
+
+    afterEach(() => {
+        search.destroy();
+        storage.close();
+    });
+
+    it('finds the resource and page with a snippet', async () => {
+        const results = await search.search('Hardy-Weinberg');
+
+        assert.equal(results[0].resourceId, 1);
+        assert.equal(results[0].page, 2);
+        assert.equal(results[0].exact, true);
+        assert.match(results[0].snippet, /Hardy-Weinberg principle/);
+    });
+
+    it('ranks exact phrases above pages that only contain every word', async () => {
+        const results = await search.search('hardy weinberg');
+
+        assert.deepEqual(results.map(r => [r.resourceId, r.page]), [[1, 2], [2, 1]]);
+        assert.equal(results[1].exact, false);
+    });
+
+    it('matches the last word as a prefix', async () => {
+        const results = await search.search('genet');
+        assert.deepEqual(results.map(r => [r.resourceId, r.page]), [[1, 1]]);
+    });
+
+    it('returns nothing for empty or unknown queries', async () => {
+        assert.deepEqual(await search.search('  '), []);
+        assert.deepEqual(await search.search('photosynthesis'), []);
+    });
+
+    it('replaces a document when it is indexed again', async () => {
+        await storage.saveFulltextDocument({ resourceId: 1, version: 'b' }, [page(1, 'Photosynthesis')]);
+
+        assert.deepEqual((await search.search('hardy')).map(r => r.resourceId), [2]);
+        assert.equal((await search.search('photosynthesis'))[0].resourceId, 1);
+    });
+
+    it('drops documents that left the catalog', async () => {
+        // Neither resource has a PDF, so nothing is queued for the worker
+        const queued = await search.indexResources([{ id: 2, filePath: '' }]);
+
+        assert.equal(queued, 0);
+        assert.deepEqual((await storage.getFulltextDocuments()).map(doc => doc.resourceId), [2]);
+        assert.deepEqual(await search.search('genetics'), []);
+    });
+});
@@ -0,0 +1,117 @@
+// tests/helpers/dom.js
+
+/**
+ * DOM shim for running browser modules under Node
+ * Installs jsdom's window as the globals the app expects, plus the browser
+ * libraries the app loads from CDNs (PDF.js, Lucide) resolved from node_modules.
+ * Import this before any module under js/.
+ */
+
+import { createRequire } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+const require = createRequire(import.meta.url);
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true
+});
+const { window } = dom;
+
+['window', 'document', 'navigator', 'HTMLElement', 'HTMLCanvasElement', 'Node',
+    'CustomEvent', 'Event', 'KeyboardEvent', 'MouseEvent', 'getComputedStyle',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'localStorage', 'history'].forEach(name => {
+    // Replace Node's own Event classes too: jsdom only dispatches its own events
+    Object.defineProperty(globalThis, name, {
+        value: name === 'window' ? window : window[name],
+        configurable: true,
+        writable: true
+    });
+});
+
+/**
+ * Minimal 2D affine matrix; PDF.js only needs it to exist and multiply
+ */
+class DOMMatrix {
+    constructor(init = [1, 0, 0, 1, 0, 0]) {
+        [this.a, this.b, this.c, this.d, this.e, this.f] = init;
+    }
+
+    multiplySelf(other) {
+        const { a, b, c, d, e, f } = this;
+        this.a = a * other.a + c * other.b;
+        this.b = b * other.a + d * other.b;
+        this.c = a * other.c + c * other.d;
+        this.d = b * other.c + d * other.d;
+        this.e = a * other.e + c * other.f + e;
+        this.f = b * other.e + d * other.f + f;
+        return this;
+    }
+
+    invertSelf() {
+        const { a, b, c, d, e, f } = this;
+        const det = a * d - b * c;
+        this.a = d / det;
+        this.b = -b / det;
+        this.c = -c / det;
+        this.d = a / det;
+        this.e = (c * f - d * e) / det;
+        this.f = (b * e - a * f) / det;
+        return this;
+    }
+}
+
+globalThis.DOMMatrix = DOMMatrix;
+globalThis.Path2D = class Path2D {
+    addPath() {}
+};
+
+/**
+ * Build a 2D context that accepts every drawing call and draws nothing
+ * jsdom has no canvas implementation, and tests only care about layout and state.
+ * @param {HTMLCanvasElement} canvas - Canvas the context belongs to
+ * @returns {Object} Fake CanvasRenderingContext2D
+ */
+function createFakeContext(canvas) {
+    let transform = new DOMMatrix();
+    const known = {
+        canvas,
+        getTransform: () => new DOMMatrix([transform.a, transform.b, transform.c, transform.d, transform.e, transform.f]),
+        setTransform: (a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) => {
+            transform = typeof a === 'object' ? new DOMMatrix([a.a, a.b, a.c, a.d, a.e, a.f]) : new DOMMatrix([a, b, c, d, e, f]);
+        },
+        transform: (a, b, c, d, e, f) => {
+            transform.multiplySelf(new DOMMatrix([a, b, c, d, e, f]));
+        },
+        measureText: text => ({ width: String(text).length * 10 }),
+        createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        isPointInPath: () => false
+    };
+
+    return new Proxy(known, {
+        get(target, property) {
+            if (property in target) return target[property];
+            // Every other method is a no-op
+            return () => {};
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+window.HTMLCanvasElement.prototype.getContext = function getContext() {
+    if (!this._fakeContext) {
+        this._fakeContext = createFakeContext(this);
+    }
+    return this._fakeContext;
+};
+
+// Libraries the app loads as globals from CDNs
+globalThis.pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+globalThis.pdfjsLib.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
+globalThis.lucide = { createIcons() {} };
+
+export { dom, window };
@@ -0,0 +1,160 @@
+// tests/offline-library.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import { OfflineLibrary, PDF_CACHE_NAME, selectEvictions } from '../js/offline-library.js';
+
+const resources = [1, 2, 3, 4].map(id => ({ id, title: `Resource ${id}`, filePath: `assets/pdfs/resource-${id}.pdf` }));
+
+// Minimal CacheStorage holding one cache of PDFs
+function createCaches() {
+    const entries = new Map();
+    const cache = {
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        match: async request => entries.get(request.url || request),
+        delete: async url => entries.delete(url)
+    };
+    return {
+        entries,
+        put: (path, bytes) => entries.set(`http://localhost${path}`, new Response(new Uint8Array(bytes))),
+        open: async name => {
+            assert.equal(name, PDF_CACHE_NAME);
+            return cache;
+        }
+    };
+}
+
+const item = (resourceId, bytes, extra = {}) => ({ resourceId, bytes, pinned: false, lastOpenedAt: null, ...extra });
+
+describe('selectEvictions', () => {
+    it('picks unpinned items, never opened and least recently opened first', () => {
+        const items = [
+            item(1, 100, { lastOpenedAt: '2024-03-01T00:00:00Z' }),
+            item(2, 100, { lastOpenedAt: '2024-01-01T00:00:00Z' }),
+            item(3, 100, { pinned: true }),
+            item(4, 100)
+        ];
+
+        assert.deepEqual(selectEvictions(items, 150).map(i => i.resourceId), [4, 2]);
+        assert.deepEqual(selectEvictions(items, 1000).map(i => i.resourceId), [4, 2, 1]);
+        assert.deepEqual(selectEvictions(items, 0), []);
+    });
+});
+
+describe('OfflineLibrary', () => {
+    let storage;
+    let caches;
+    let estimate;
+    let library;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+
+        caches = createCaches();
+        estimate = { usage: 0, quota: 0 };
+        library = new OfflineLibrary(storage, {
+            caches,
+            serviceWorker: null,
+            storageManager: {
+                estimate: async () => estimate,
+                persisted: async () => true
+            }
+        });
+        await library.load();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    const saveFile = (resourceId, bytes) => storage.saveFile({
+        resourceId, blob: new Blob([new Uint8Array(bytes)]), size: bytes, complete: true
+    });
+
+    it('breaks usage down by resource across downloads and the PDF cache', async () => {
+        await saveFile(1, 300);
+        await storage.saveFile({ resourceId: 2, blob: new Blob(['x']), size: 1, complete: false });
+        caches.put('/assets/pdfs/resource-3.pdf', 500);
+        caches.put('/assets/pdfs/resource-1.pdf', 50);
+        estimate = { usage: 2000, quota: 10000 };
+
+        const usage = await library.getUsage(resources);
+
+        assert.deepEqual(usage.items.map(i => [i.resourceId, i.bytes]), [[3, 500], [1, 350]]);
+        assert.equal(usage.items[1].downloadBytes, 300);
+        assert.equal(usage.libraryBytes, 850);
+        assert.equal(usage.otherBytes, 1150);
+        assert.equal(usage.quota, 10000);
+    });
+
+    it('keeps pins and open times across loads', async () => {
+        await library.pin(2);
+        await library.markOpened(3);
+
+        const reloaded = new OfflineLibrary(storage, { caches, serviceWorker: null, storageManager: null });
+        await reloaded.load();
+
+        assert.equal(reloaded.isPinned(2), true);
+        assert.ok(reloaded.opened[3]);
+    });
+
+    it('does nothing while usage is under the high-water mark', async () => {
+        caches.put('/assets/pdfs/resource-1.pdf', 500);
+        estimate = { usage: 700, quota: 1000 };
+
+        assert.deepEqual(await library.ensureSpace(resources), []);
+        assert.equal(caches.entries.size, 1);
+    });
+
+    it('evicts least recently opened unpinned PDFs when space runs short', async () => {
+        await saveFile(1, 200);
+        caches.put('/assets/pdfs/resource-2.pdf', 200);
+        caches.put('/assets/pdfs/resource-3.pdf', 200);
+        caches.put('/assets/pdfs/resource-4.pdf', 200);
+        await library.pin(4);
+        await library.markOpened(2);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await library.markOpened(1);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await library.markOpened(3);
+
+        // 900 of 1000 used; evicting down to 600 needs 300 bytes
+        estimate = { usage: 900, quota: 1000 };
+        const evicted = await library.ensureSpace(resources);
+
+        assert.deepEqual(evicted.map(i => i.resourceId), [2, 1]);
+        assert.equal(await storage.getFile(1), null);
+        assert.deepEqual([...caches.entries.keys()].sort(), [
+            'http://localhost/assets/pdfs/resource-3.pdf',
+            'http://localhost/assets/pdfs/resource-4.pdf'
+        ]);
+    });
+
+    it('counts the space a download is about to use', async () => {
+        caches.put('/assets/pdfs/resource-1.pdf', 100);
+        estimate = { usage: 500, quota: 1000 };
+
+        const evicted = await library.ensureSpace(resources, 400);
+        assert.deepEqual(evicted.map(i => i.resourceId), [1]);
+    });
+
+    it('asks the service worker to drop cached PDFs when it controls the page', async () => {
+        const messages = [];
+        library.serviceWorker = {
+            controller: {
+                postMessage: (message, [port]) => {
+                    messages.push(message);
+                    port.postMessage({ action: 'cleanupComplete', evicted: message.evict });
+                }
+            }
+        };
+
+        await library.removeCached(['http://localhost/assets/pdfs/resource-1.pdf']);
+
+        assert.deepEqual(messages, [{ action: 'cleanupCache', evict: ['http://localhost/assets/pdfs/resource-1.pdf'] }]);
+    });
+});
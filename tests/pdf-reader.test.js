@@ -0,0 +1,64 @@
+// tests/pdf-reader.test.js
+
+import './helpers/dom.js';
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname } from 'node:path';
+import { PDFReader } from '../js/pdf-reader.js';
+
+const require = createRequire(import.meta.url);
+const standardFontDataUrl = `${dirname(require.resolve('pdfjs-dist/package.json'))}/standard_fonts/`;
+
+// Just enough storage for the reader and its annotations
+function createStorage() {
+    return {
+        getProgress: async () => null,
+        saveProgress: async () => {},
+        getAnnotations: async () => []
+    };
+}
+
+describe('PDFReader', () => {
+    let fixture;
+    let reader;
+
+    // Loads a fresh copy each time: PDF.js transfers the buffer to its worker
+    const resource = id => ({
+        id,
+        title: `Resource ${id}`,
+        filePath: { data: new Uint8Array(fixture), standardFontDataUrl, verbosity: 0 }
+    });
+
+    before(async () => {
+        fixture = await readFile(new URL('./fixtures/three-pages.pdf', import.meta.url));
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        reader = new PDFReader(createStorage());
+    });
+
+    afterEach(() => {
+        reader.close();
+    });
+
+    it('keeps only the latest viewer when opened twice in a row', async () => {
+        await Promise.all([reader.open(resource(1)), reader.open(resource(2))]);
+
+        assert.equal(reader.resource.id, 2);
+        assert.equal(reader.title.textContent, 'Resource 2');
+        assert.equal(document.querySelectorAll('.pdf-annotation-tools').length, 1);
+        assert.equal(reader.viewer.pdfDoc.numPages, 3);
+    });
+
+    it('stays closed when closed while still opening', async () => {
+        const opening = reader.open(resource(1));
+        reader.close();
+        await opening;
+
+        assert.equal(reader.isOpen(), false);
+        assert.equal(reader.viewer, null);
+    });
+});
@@ -0,0 +1,101 @@
+// tests/pdf-viewer.test.js
+
+import './helpers/dom.js';
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname } from 'node:path';
+import { PDFViewer } from '../js/pdf-viewer.js';
+
+const require = createRequire(import.meta.url);
+const standardFontDataUrl = `${dirname(require.resolve('pdfjs-dist/package.json'))}/standard_fonts/`;
+
+describe('PDFViewer', () => {
+    let fixture;
+    let viewer;
+
+    // Loads a fresh copy each time: PDF.js transfers the buffer to its worker
+    const source = () => ({ data: new Uint8Array(fixture), standardFontDataUrl, verbosity: 0 });
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    before(async () => {
+        fixture = await readFile(new URL('./fixtures/three-pages.pdf', import.meta.url));
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="viewer" class="pdf-viewer"></div>';
+        viewer = new PDFViewer('viewer', { mode: 'single' });
+        await viewer.loadPDF(source());
+    });
+
+    afterEach(() => {
+        viewer.destroy();
+    });
+
+    it('opens on the first page', () => {
+        assert.equal(viewer.pdfDoc.numPages, 3);
+        assert.equal(viewer.currentPage, 1);
+        assert.equal(viewer.pageElement.dataset.pageNumber, '1');
+        assert.equal(viewer.prevButton.disabled, true);
+        assert.equal(viewer.nextButton.disabled, false);
+    });
+
+    it('does not go before the first page', () => {
+        viewer.previousPage();
+        assert.equal(viewer.currentPage, 1);
+    });
+
+    it('does not go past the last page', async () => {
+        viewer.nextPage();
+        viewer.nextPage();
+        viewer.nextPage();
+        await settle();
+
+        assert.equal(viewer.currentPage, 3);
+        assert.equal(viewer.nextButton.disabled, true);
+        assert.equal(viewer.prevButton.disabled, false);
+        assert.equal(viewer.pageElement.dataset.pageNumber, '3');
+    });
+
+    it('ignores out-of-range page numbers', () => {
+        viewer.goToPage(0);
+        assert.equal(viewer.currentPage, 1);
+        viewer.goToPage(4);
+        assert.equal(viewer.currentPage, 1);
+    });
+
+    it('goes to a page in range', async () => {
+        viewer.goToPage(2);
+        await settle();
+
+        assert.equal(viewer.currentPage, 2);
+        assert.equal(viewer.pageElement.dataset.pageNumber, '2');
+        assert.equal(viewer.pageInfo.textContent.includes('2'), true);
+    });
+
+    it('announces page changes', () => {
+        const pages = [];
+        viewer.container.addEventListener('pagechange', e => pages.push(e.detail.pageNum));
+
+        viewer.nextPage();
+        viewer.previousPage();
+        viewer.previousPage();
+
+        assert.deepEqual(pages, [2, 1]);
+    });
+
+    it('clamps a restored position to the document', async () => {
+        await viewer.loadPDF(source(), { page: 9, scale: 1 });
+
+        assert.equal(viewer.currentPage, 3);
+        assert.equal(viewer.scale, 1);
+    });
+
+    it('does not navigate without a document', () => {
+        viewer.closeDocument();
+        viewer.nextPage();
+        viewer.goToPage(2);
+        assert.equal(viewer.currentPage, 1);
+    });
+});
@@ -0,0 +1,100 @@
+// tests/resource-grid.test.js
+
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceGrid, sortResources } from '../js/resource-grid.js';
+
+const resources = [
+    { id: 1, title: 'Optics', date: '2023-03-01', downloads: 500, rating: 4.2, pages: 40 },
+    { id: 2, title: 'Biomolecules', date: '2023-05-10', downloads: 1200, rating: 4.8, pages: 12 },
+    { id: 3, title: 'Genetics', date: '2022-11-20', downloads: 800, rating: 4.8 },
+    { id: 4, title: 'Atoms', date: '2023-01-15', downloads: 50, rating: 3.9, pages: 25 }
+];
+
+const ids = list => list.map(r => r.id);
+
+describe('sortResources', () => {
+    it('keeps the incoming order for relevance and unknown keys', () => {
+        assert.deepEqual(ids(sortResources(resources, 'relevance')), [1, 2, 3, 4]);
+        assert.deepEqual(ids(sortResources(resources, 'bogus')), [1, 2, 3, 4]);
+    });
+
+    it('sorts by each field', () => {
+        assert.deepEqual(ids(sortResources(resources, 'newest')), [2, 1, 4, 3]);
+        assert.deepEqual(ids(sortResources(resources, 'downloads')), [2, 3, 1, 4]);
+        assert.deepEqual(ids(sortResources(resources, 'title')), [4, 2, 3, 1]);
+    });
+
+    it('keeps ties in relevance order and puts missing pages last', () => {
+        assert.deepEqual(ids(sortResources(resources, 'rating')), [2, 3, 1, 4]);
+        assert.deepEqual(ids(sortResources(resources, 'pages')), [2, 4, 1, 3]);
+    });
+
+    it('does not change the input', () => {
+        sortResources(resources, 'title');
+        assert.deepEqual(ids(resources), [1, 2, 3, 4]);
+    });
+});
+
+describe('ResourceGrid', () => {
+    let container;
+    let grid;
+
+    const many = count => Array.from({ length: count }, (_, i) => ({ id: i + 1, title: `Resource ${i + 1}` }));
+    const cards = () => container.querySelectorAll('.card').length;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="resource-grid"></div>';
+        container = document.getElementById('resource-grid');
+        grid = new ResourceGrid(container, {
+            pageSize: 10,
+            renderCard: resource => {
+                const card = document.createElement('div');
+                card.className = 'card';
+                card.textContent = resource.title;
+                return card;
+            }
+        });
+    });
+
+    it('renders the first batch and offers the rest', () => {
+        grid.setItems(many(25));
+
+        assert.equal(cards(), 10);
+        assert.equal(grid.loadMoreButton.classList.contains('hidden'), false);
+        assert.equal(grid.loadMoreButton.textContent, 'Load more (15 left)');
+    });
+
+    it('loads the next batches on demand', () => {
+        grid.setItems(many(25));
+        grid.loadMoreButton.click();
+        grid.renderMore();
+        grid.renderMore();
+
+        assert.equal(cards(), 25);
+        assert.equal(grid.hasMore(), false);
+        assert.equal(grid.loadMoreButton.classList.contains('hidden'), true);
+    });
+
+    it('starts over when the items change', () => {
+        grid.setItems(many(25));
+        grid.renderMore();
+        grid.setItems(many(3));
+
+        assert.equal(cards(), 3);
+        assert.equal(grid.loadMoreButton.classList.contains('hidden'), true);
+    });
+
+    it('shows a message when there is nothing to render', () => {
+        grid.setItems([], { emptyMessage: 'Nothing here' });
+
+        assert.equal(cards(), 0);
+        assert.equal(container.textContent, 'Nothing here');
+    });
+
+    it('removes its button when destroyed', () => {
+        grid.destroy();
+        assert.equal(document.querySelector('.load-more'), null);
+    });
+});
@@ -0,0 +1,119 @@
+// tests/router.test.js
+
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from '../js/router.js';
+
+// hashchange is dispatched asynchronously
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('Router', () => {
+    let router;
+    let calls;
+
+    beforeEach(() => {
+        history.replaceState(null, '', '#/');
+        calls = [];
+        router = new Router({ notFound: (path, query) => calls.push(['notFound', path, query.toString()]) })
+            .on('/', () => calls.push(['home']))
+            .on('/category/:id', ({ id }) => calls.push(['category', id]))
+            .on('/resource/:id/page/:page', ({ id, page }) => calls.push(['page', id, page]))
+            .on('/search', (params, query) => calls.push(['search', query.get('q')]));
+    });
+
+    afterEach(() => {
+        router.stop();
+    });
+
+    describe('parse and format', () => {
+        it('reads paths with and without a leading slash', () => {
+            assert.equal(Router.parse('#/bookmarks').path, '/bookmarks');
+            assert.equal(Router.parse('#bookmarks').path, '/bookmarks');
+            assert.equal(Router.parse('').path, '/');
+            assert.equal(Router.parse('#/category/pyqs/').path, '/category/pyqs');
+        });
+
+        it('reads and writes query values', () => {
+            assert.equal(Router.parse('#/search?q=cell%20cycle').query.get('q'), 'cell cycle');
+            assert.equal(Router.format('/search', { q: 'type:PYQ "NEET 2022"', category: null }),
+                '#/search?q=type%3APYQ+%22NEET+2022%22');
+            assert.equal(Router.format('/'), '#/');
+        });
+
+        it('keeps a second ? as part of the query', () => {
+            const { path, query } = Router.parse('#/search?q=what is mitosis?&sort=rating');
+            assert.equal(path, '/search');
+            assert.equal(query.get('q'), 'what is mitosis?');
+            assert.equal(query.get('sort'), 'rating');
+        });
+    });
+
+    describe('match', () => {
+        it('extracts decoded parameters', () => {
+            const match = router.match('#/category/short%20notes');
+            assert.deepEqual(match.params, { id: 'short notes' });
+            assert.deepEqual(router.match('#/resource/12/page/34').params, { id: '12', page: '34' });
+        });
+
+        it('returns null for unknown paths', () => {
+            assert.equal(router.match('#/resource/12/page'), null);
+            assert.equal(router.match('#/nowhere'), null);
+        });
+
+        it('returns null for malformed escapes', () => {
+            assert.equal(router.match('#/category/%E0'), null);
+        });
+    });
+
+    describe('navigation', () => {
+        it('handles the current hash on start', () => {
+            history.replaceState(null, '', '#/resource/12/page/34');
+            router.start();
+            assert.deepEqual(calls, [['page', '12', '34']]);
+            assert.equal(router.currentPath, '/resource/12/page/34');
+        });
+
+        it('reports unknown paths, including legacy hashes', () => {
+            history.replaceState(null, '', '#pyqs');
+            router.start();
+            assert.deepEqual(calls, [['notFound', '/pyqs', '']]);
+        });
+
+        it('reports links with malformed escapes as unknown', () => {
+            history.replaceState(null, '', '#/category/%E0');
+            router.start();
+            assert.deepEqual(calls, [['notFound', '/category/%E0', '']]);
+        });
+
+        it('runs handlers on navigate and on Back', async () => {
+            router.start();
+            router.navigate('/category/pyqs');
+            await settle();
+            router.navigate('/search', { query: { q: 'enzymes' } });
+            await settle();
+
+            history.back();
+            await settle();
+
+            assert.deepEqual(calls, [['home'], ['category', 'pyqs'], ['search', 'enzymes'], ['category', 'pyqs']]);
+        });
+
+        it('handles a navigate to the current address again', () => {
+            router.start();
+            router.navigate('/');
+            assert.deepEqual(calls, [['home'], ['home']]);
+        });
+
+        it('updates the address without handling when silent', async () => {
+            router.start();
+            router.navigate('/resource/3/page/2', { silent: true });
+            router.navigate('/resource/3/page/5', { silent: true, replace: true });
+            await settle();
+
+            assert.equal(window.location.hash, '#/resource/3/page/5');
+            assert.equal(router.currentPath, '/resource/3/page/5');
+            assert.deepEqual(calls, [['home']]);
+        });
+    });
+});
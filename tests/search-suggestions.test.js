@@ -0,0 +1,163 @@
+// tests/search-suggestions.test.js
+
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import { SearchHistory, SearchSuggestions } from '../js/search-suggestions.js';
+
+const suggestions = [
+    { kind: 'title', label: 'Enzyme Kinetics', query: '"Enzyme Kinetics"', resourceId: 1, ranges: [[0, 5]] },
+    { kind: 'tag', label: 'enzymes', query: 'tag:enzymes', ranges: [[0, 5]] }
+];
+
+describe('SearchHistory', () => {
+    let storage;
+    let history;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+        history = new SearchHistory(storage);
+        await history.load();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('keeps recent searches newest first without duplicates', async () => {
+        await history.addRecent('enzymes');
+        await history.addRecent('  optics ');
+        await history.addRecent('enzymes');
+        await history.addRecent('');
+
+        assert.deepEqual(history.recent, ['enzymes', 'optics']);
+        assert.deepEqual(await storage.getSetting('recentSearches'), ['enzymes', 'optics']);
+    });
+
+    it('keeps at most ten recent searches', async () => {
+        for (let i = 0; i < 12; i++) {
+            await history.addRecent(`query ${i}`);
+        }
+        assert.equal(history.recent.length, 10);
+        assert.equal(history.recent[0], 'query 11');
+    });
+
+    it('saves and removes pinned searches across loads', async () => {
+        await history.save('type:pyq year:2022');
+        await history.save('type:pyq year:2022');
+
+        const reloaded = new SearchHistory(storage);
+        await reloaded.load();
+        assert.deepEqual(reloaded.saved, ['type:pyq year:2022']);
+        assert.equal(reloaded.isSaved('type:pyq year:2022'), true);
+
+        await reloaded.unsave('type:pyq year:2022');
+        assert.deepEqual(await storage.getSetting('savedSearches'), []);
+    });
+});
+
+describe('SearchSuggestions', () => {
+    let input;
+    let history;
+    let searched;
+    let selected;
+    let dropdown;
+
+    const key = name => input.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true }));
+    const options = () => [...document.querySelectorAll('#search-bar-suggestions [role="option"]')];
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div><input id="search-bar"></div>';
+        input = document.getElementById('search-bar');
+        searched = [];
+        selected = [];
+
+        // In-memory stand-in with the same interface as SearchHistory
+        history = {
+            recent: ['optics'],
+            saved: ['type:pyq'],
+            isSaved: query => history.saved.includes(query),
+            addRecent: async query => { history.recent.unshift(query); },
+            save: async query => { history.saved.push(query); },
+            unsave: async query => { history.saved = history.saved.filter(q => q !== query); }
+        };
+
+        dropdown = new SearchSuggestions(input, {
+            history,
+            suggest: () => suggestions,
+            onSearch: query => searched.push(query),
+            onSelect: suggestion => selected.push(suggestion)
+        });
+    });
+
+    it('shows saved and recent searches for an empty input', () => {
+        dropdown.render();
+
+        assert.deepEqual(options().map(o => [o.dataset.kind, o.querySelector('.suggestion-label').textContent]), [
+            ['saved', 'type:pyq'],
+            ['recent', 'optics']
+        ]);
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+    });
+
+    it('highlights the matched part of each suggestion', () => {
+        input.value = 'enzyme';
+        dropdown.render();
+
+        const label = options()[0].querySelector('.suggestion-label');
+        assert.equal(label.querySelector('mark').textContent, 'Enzyme');
+        assert.equal(label.textContent, 'Enzyme Kinetics');
+        assert.equal(options().at(-1).dataset.kind, 'pin');
+    });
+
+    it('moves through suggestions with the arrow keys and picks with Enter', async () => {
+        input.value = 'enzyme';
+        dropdown.render();
+
+        key('ArrowDown');
+        key('ArrowDown');
+        assert.equal(input.getAttribute('aria-activedescendant'), options()[1].id);
+        assert.equal(options()[1].getAttribute('aria-selected'), 'true');
+
+        key('ArrowUp');
+        key('ArrowUp');
+        assert.equal(dropdown.activeIndex, options().length - 1);
+
+        key('ArrowDown');
+        key('Enter');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assert.equal(selected[0].label, 'Enzyme Kinetics');
+        assert.equal(document.getElementById('search-bar-suggestions').classList.contains('hidden'), true);
+        // Opening a title is not a search
+        assert.deepEqual(history.recent, ['optics']);
+    });
+
+    it('runs the typed query on Enter and remembers it', async () => {
+        input.value = 'photosynthesis';
+        key('Enter');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assert.deepEqual(searched, ['photosynthesis']);
+        assert.equal(history.recent[0], 'photosynthesis');
+    });
+
+    it('pins the typed query', async () => {
+        input.value = 'enzymes';
+        dropdown.render();
+        await dropdown.choose(dropdown.items.at(-1));
+
+        assert.deepEqual(history.saved, ['type:pyq', 'enzymes']);
+        assert.equal(options().some(o => o.dataset.kind === 'pin'), false);
+    });
+
+    it('closes on Escape', () => {
+        dropdown.render();
+        key('Escape');
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+    });
+});
@@ -0,0 +1,203 @@
+// tests/search.test.js
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fuse from 'fuse.js';
+import { SearchEngine } from '../js/utils.js';
+import { parseQuery } from '../js/search-query.js';
+
+const resources = [
+    { id: 1, title: 'Cell Biology Notes', description: 'Structure of the cell', subject: 'Biology', tags: ['cell', 'organelles'] },
+    { id: 2, title: 'Organic Chemistry', description: 'Reaction mechanisms', subject: 'Chemistry', tags: ['organic'] },
+    { id: 3, title: 'Laws of Motion', description: 'Newton and friction', subject: 'Physics', tags: ['mechanics'] }
+];
+
+const catalog = [
+    { id: 1, title: 'Enzyme Kinetics', description: 'Michaelis Menten made simple', subject: 'Biology', type: 'Note', category: 'short-notes', tags: ['enzymes', 'NEET 2023'], date: '2023-05-01', pages: 12, rating: 4.8 },
+    { id: 2, title: 'Biology PYQ 2022', description: 'Solved paper with enzymes questions', subject: 'Biology', type: 'PYQ', category: 'pyqs', tags: ['NEET 2022'], date: '2023-01-10', pages: 40, rating: 4.6 },
+    { id: 3, title: 'Chemistry PYQ 2022', description: 'Solved paper', subject: 'Chemistry', type: 'PYQ', category: 'pyqs', tags: ['NEET 2022'], date: '2023-01-12', pages: 36, rating: 4.2 },
+    { id: 4, title: 'Organic Reactions', description: 'Named reactions chart', subject: 'Chemistry', type: 'Question Bank', category: 'question-banks', tags: ['organic'], date: '2021-08-20', pages: 25, rating: 4.9 }
+];
+
+const ids = results => results.map(r => r.id).sort((a, b) => a - b);
+
+describe('parseQuery', () => {
+    it('separates operators, phrases, exclusions and free text', () => {
+        const parsed = parseQuery('enzymes subject:Biology tag:"NEET 2022" pages:<30 "made simple" -paper');
+
+        assert.deepEqual(parsed.terms, ['enzymes']);
+        assert.deepEqual(parsed.phrases, ['made simple']);
+        assert.deepEqual(parsed.excludes, ['paper']);
+        assert.equal(parsed.text, 'enzymes made simple');
+        assert.deepEqual(parsed.filters, [
+            { field: 'subject', op: '=', value: 'biology', negate: false },
+            { field: 'tag', op: '=', value: 'neet 2022', negate: false },
+            { field: 'pages', op: '<', value: 30, negate: false }
+        ]);
+    });
+
+    it('parses comparison operators and negated filters', () => {
+        assert.deepEqual(parseQuery('rating:>=4.5 -type:pyq').filters, [
+            { field: 'rating', op: '>=', value: 4.5, negate: false },
+            { field: 'type', op: '=', value: 'pyq', negate: true }
+        ]);
+    });
+
+    it('keeps unknown fields and unusable numbers out of the filters', () => {
+        const parsed = parseQuery('time:10:30 pages:many');
+        assert.deepEqual(parsed.filters, []);
+        assert.deepEqual(parsed.terms, ['time:10:30']);
+    });
+});
+
+describe('SearchEngine', () => {
+    afterEach(() => {
+        delete globalThis.Fuse;
+    });
+
+    describe('without Fuse.js', () => {
+        it('returns every resource for an empty query', () => {
+            const engine = new SearchEngine(resources);
+            assert.equal(engine.fuse, null);
+            assert.deepEqual(engine.search(''), resources);
+            assert.deepEqual(engine.search('   '), resources);
+        });
+
+        it('matches title, description, subject and tags case-insensitively', () => {
+            const engine = new SearchEngine(resources);
+            assert.deepEqual(engine.search('CELL').map(r => r.id), [1]);
+            assert.deepEqual(engine.search('mechanisms').map(r => r.id), [2]);
+            assert.deepEqual(engine.search('physics').map(r => r.id), [3]);
+            assert.deepEqual(engine.search('organ').map(r => r.id), [1, 2]);
+        });
+
+        it('returns nothing for unknown words', () => {
+            const engine = new SearchEngine(resources);
+            assert.deepEqual(engine.search('genetics'), []);
+        });
+
+        it('searches the updated collection', () => {
+            const engine = new SearchEngine([]);
+            engine.updateResources(resources);
+            assert.deepEqual(engine.search('motion').map(r => r.id), [3]);
+        });
+    });
+
+    describe('structured queries', () => {
+        it('filters by text fields case-insensitively', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('subject:chemistry')), [3, 4]);
+            assert.deepEqual(ids(engine.search('type:pyq')), [2, 3]);
+            assert.deepEqual(ids(engine.search('type:"question bank"')), [4]);
+            assert.deepEqual(ids(engine.search('tag:"NEET 2022"')), [2, 3]);
+        });
+
+        it('compares numbers', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('pages:<30')), [1, 4]);
+            assert.deepEqual(ids(engine.search('rating:>4.5')), [1, 2, 4]);
+            assert.deepEqual(ids(engine.search('pages:>=36 rating:<=4.2')), [3]);
+        });
+
+        it('matches a year in the date or the tags', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('year:2022')), [2, 3]);
+            assert.deepEqual(ids(engine.search('year:2021')), [4]);
+        });
+
+        it('applies phrases and exclusions', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('"solved paper"')), [2, 3]);
+            assert.deepEqual(ids(engine.search('"solved paper" -chemistry')), [2]);
+            assert.deepEqual(ids(engine.search('-subject:biology')), [3, 4]);
+        });
+
+        it('combines free text with operators', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('enzymes type:pyq')), [2]);
+        });
+
+        it('keeps the category and filter constraints while searching', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('', { category: 'pyqs' })), [2, 3]);
+            assert.deepEqual(ids(engine.search('solved', { category: 'pyqs', filter: r => r.subject === 'Biology' })), [2]);
+        });
+
+        it('counts facets of the results', () => {
+            const engine = new SearchEngine(catalog);
+            const facets = engine.getFacets(engine.search('year:2022'));
+
+            assert.deepEqual(facets.subject, [{ value: 'Biology', count: 1 }, { value: 'Chemistry', count: 1 }]);
+            assert.deepEqual(facets.type, [{ value: 'PYQ', count: 2 }]);
+            assert.deepEqual(facets.category, [{ value: 'pyqs', count: 2 }]);
+        });
+
+        it('works the same with Fuse.js', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(ids(engine.search('enzymes type:pyq')), [2]);
+            assert.deepEqual(ids(engine.search('subject:chemistry pages:<30')), [4]);
+        });
+    });
+
+    describe('suggest', () => {
+        const categories = [{ id: 'pyqs', name: 'Previous Year Questions' }];
+
+        it('offers titles, tags and named categories with highlight ranges', () => {
+            const engine = new SearchEngine(catalog, categories);
+
+            const [title] = engine.suggest('kinetics');
+            assert.deepEqual(title, {
+                kind: 'title', label: 'Enzyme Kinetics', query: '"Enzyme Kinetics"', resourceId: 1, ranges: [[7, 14]]
+            });
+            assert.deepEqual(engine.suggest('neet 2022').map(s => s.query), ['tag:"NEET 2022"']);
+            assert.deepEqual(engine.suggest('previous').map(s => s.query), ['category:pyqs']);
+        });
+
+        it('offers chapters when resources list them', () => {
+            const engine = new SearchEngine([{ ...catalog[0], chapters: ['Biomolecules'] }]);
+            assert.deepEqual(engine.suggest('biomol').map(s => s.kind), ['chapter']);
+        });
+
+        it('needs at least two characters', () => {
+            const engine = new SearchEngine(catalog);
+            assert.deepEqual(engine.suggest('e'), []);
+        });
+
+        it('uses Fuse match indices when Fuse is loaded', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine(catalog, categories);
+            const title = engine.suggest('Enzyme').find(s => s.kind === 'title');
+
+            assert.equal(title.label, 'Enzyme Kinetics');
+            assert.deepEqual(title.ranges, [[0, 5]]);
+        });
+    });
+
+    describe('with Fuse.js', () => {
+        it('uses Fuse when it is loaded', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine(resources);
+            assert.ok(engine.fuse);
+        });
+
+        it('tolerates typos', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine(resources);
+            assert.equal(engine.search('Chemestry')[0].id, 2);
+        });
+
+        it('returns every resource for an empty query', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine(resources);
+            assert.deepEqual(engine.search(''), resources);
+        });
+
+        it('searches the updated collection', () => {
+            globalThis.Fuse = Fuse;
+            const engine = new SearchEngine([]);
+            engine.updateResources(resources);
+            assert.equal(engine.search('newton')[0].id, 3);
+        });
+    });
+});
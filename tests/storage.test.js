@@ -0,0 +1,344 @@
+// tests/storage.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+
+const resource = (id, extra = {}) => ({ id, title: `Resource ${id}`, category: 'biology', subject: 'Biology', ...extra });
+const note = (id, resourceId, extra = {}) => ({ id, resourceId, content: `Note ${id}`, date: '2024-01-01', ...extra });
+
+describe('QNEETStorage', () => {
+    let storage;
+
+    beforeEach(async () => {
+        // A fresh factory gives every test an empty database
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    describe('init', () => {
+        it('creates every object store at the latest version', () => {
+            assert.equal(storage.db.version, storage.version);
+            assert.deepEqual([...storage.db.objectStoreNames].sort(), [
+                'annotations', 'changes', 'downloads', 'favorites', 'files', 'fulltextDocs', 'fulltextPages', 'fulltextTerms',
+                'history', 'notes', 'progress', 'resources', 'settings'
+            ]);
+        });
+
+        it('keeps existing data when upgrading from version 1', async () => {
+            storage.close();
+            globalThis.indexedDB = new IDBFactory();
+
+            // Build a version 1 database the way the first release did
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.open('QNEETDatabase', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('resources', { keyPath: 'id' });
+                    db.createObjectStore('favorites', { keyPath: 'id' });
+                    db.createObjectStore('notes', { keyPath: 'id' }).createIndex('resourceId', 'resourceId');
+                    db.createObjectStore('downloads', { keyPath: 'id' });
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                    request.transaction.objectStore('notes').add(note(1, 7));
+                };
+                request.onsuccess = () => {
+                    request.result.close();
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            storage = new QNEETStorage();
+            await storage.init();
+
+            assert.ok(storage.db.objectStoreNames.contains('annotations'));
+            assert.ok(storage.db.objectStoreNames.contains('progress'));
+            assert.deepEqual(await storage.getAllNotes(), { 7: [note(1, 7)] });
+        });
+
+        it('keys favorites stored under string IDs by number', async () => {
+            storage.close();
+            globalThis.indexedDB = new IDBFactory();
+
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.open('QNEETDatabase', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('resources', { keyPath: 'id' });
+                    db.createObjectStore('favorites', { keyPath: 'id' });
+                    db.createObjectStore('notes', { keyPath: 'id' }).createIndex('resourceId', 'resourceId');
+                    db.createObjectStore('downloads', { keyPath: 'id' });
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                    request.transaction.objectStore('favorites').add({ id: '12', date: '2024-01-01' });
+                    request.transaction.objectStore('favorites').add({ id: 3, date: '2024-01-02' });
+                };
+                request.onsuccess = () => {
+                    request.result.close();
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            storage = new QNEETStorage();
+            await storage.init();
+
+            assert.deepEqual(await storage.getFavorites(), [3, 12]);
+            assert.equal(await storage.isFavorite(12), true);
+        });
+    });
+
+    describe('runTransaction', () => {
+        it('returns the result of the work', async () => {
+            await storage.putResources([resource(1)]);
+            const count = await storage.runTransaction('resources', 'readonly', ({ resources }) => new Promise(resolve => {
+                resources.count().onsuccess = event => resolve(event.target.result);
+            }));
+            assert.equal(count, 1);
+        });
+
+        it('rolls back every store when the work throws', async () => {
+            await assert.rejects(
+                storage.runTransaction(['favorites', 'notes'], 'readwrite', ({ favorites, notes }) => {
+                    favorites.put({ id: 1 });
+                    notes.put(note(1, 1));
+                    throw new Error('boom');
+                }),
+                /boom/
+            );
+            assert.deepEqual(await storage.getFavorites(), []);
+            assert.deepEqual(await storage.getAllNotes(), {});
+        });
+
+        it('rejects when a request fails', async () => {
+            await storage.addFavorite(1);
+            await assert.rejects(storage.addFavorite(1), { name: 'ConstraintError' });
+        });
+    });
+
+    describe('resources', () => {
+        it('adds, gets, updates and lists resources', async () => {
+            await storage.addResource(resource(1));
+            await storage.putResources([resource(2), resource(3)]);
+            await storage.updateResource(resource(1, { title: 'Renamed' }));
+
+            assert.equal((await storage.getResource(1)).title, 'Renamed');
+            assert.equal(await storage.getResource(99), null);
+            assert.deepEqual((await storage.getAllResources()).map(r => r.id), [1, 2, 3]);
+        });
+
+        it('deletes only the resource by default', async () => {
+            await storage.addResource(resource(1));
+            await storage.addFavorite(1);
+            await storage.addNote(note(10, 1));
+
+            await storage.deleteResource(1);
+
+            assert.equal(await storage.getResource(1), null);
+            assert.deepEqual(await storage.getFavorites(), [1]);
+            assert.equal((await storage.getNotes(1)).length, 1);
+        });
+
+        it('deletes user data with the resource when cascading', async () => {
+            await storage.putResources([resource(1), resource(2)]);
+            await storage.addFavorite(1);
+            await storage.addFavorite(2);
+            await storage.addNote(note(10, 1));
+            await storage.addNote(note(11, 2));
+            await storage.addAnnotation({ id: 20, resourceId: 1, page: 1 });
+            await storage.saveProgress({ resourceId: 1, page: 2 });
+
+            await storage.deleteResource(1, { cascade: true });
+
+            assert.equal(await storage.getResource(1), null);
+            assert.deepEqual(await storage.getFavorites(), [2]);
+            assert.deepEqual(Object.keys(await storage.getAllNotes()), ['2']);
+            assert.deepEqual(await storage.getAnnotations(1), []);
+            assert.equal(await storage.getProgress(1), null);
+        });
+    });
+
+    describe('favorites', () => {
+        it('adds, checks and removes favorites', async () => {
+            await storage.addFavorite(1);
+            await storage.addFavorite(2);
+
+            assert.deepEqual(await storage.getFavorites(), [1, 2]);
+            assert.equal(await storage.isFavorite(1), true);
+
+            await storage.removeFavorite(1);
+
+            assert.equal(await storage.isFavorite(1), false);
+            assert.deepEqual(await storage.getFavorites(), [2]);
+        });
+    });
+
+    describe('notes', () => {
+        it('adds, groups, updates and deletes notes', async () => {
+            await storage.addNote(note(1, 5));
+            await storage.addNote(note(2, 5));
+            await storage.addNote(note(3, 6));
+
+            assert.deepEqual((await storage.getNotes(5)).map(n => n.id), [1, 2]);
+            assert.deepEqual(Object.keys(await storage.getAllNotes()), ['5', '6']);
+
+            await storage.updateNote(note(1, 5, { content: 'Edited' }));
+            await storage.deleteNote(2);
+
+            assert.deepEqual(await storage.getNotes(5), [note(1, 5, { content: 'Edited' })]);
+        });
+    });
+
+    describe('downloads', () => {
+        it('adds, updates and deletes downloads', async () => {
+            await storage.addDownload({ id: 1, resourceId: 5, progress: 0 });
+            await storage.updateDownload({ id: 1, resourceId: 5, progress: 100 });
+
+            assert.deepEqual(await storage.getDownloads(), [{ id: 1, resourceId: 5, progress: 100 }]);
+
+            await storage.deleteDownload(1);
+
+            assert.deepEqual(await storage.getDownloads(), []);
+        });
+    });
+
+    describe('annotations', () => {
+        it('adds, filters, updates and deletes annotations', async () => {
+            await storage.addAnnotation({ id: 1, resourceId: 5, page: 1, type: 'highlight' });
+            await storage.addAnnotation({ id: 2, resourceId: 6, page: 1, type: 'note' });
+            await storage.updateAnnotation({ id: 1, resourceId: 5, page: 1, type: 'underline' });
+
+            assert.deepEqual(await storage.getAnnotations(5), [{ id: 1, resourceId: 5, page: 1, type: 'underline' }]);
+            assert.equal((await storage.getAllAnnotations()).length, 2);
+
+            await storage.deleteAnnotation(1);
+
+            assert.deepEqual(await storage.getAnnotations(5), []);
+        });
+    });
+
+    describe('reading progress', () => {
+        it('saves and reads progress per resource', async () => {
+            await storage.saveProgress({ resourceId: 5, page: 3, viewedPages: [1, 2, 3] });
+            await storage.saveProgress({ resourceId: 5, page: 4, viewedPages: [1, 2, 3, 4] });
+
+            assert.equal((await storage.getProgress(5)).page, 4);
+            assert.equal(await storage.getProgress(6), null);
+            assert.equal((await storage.getAllProgress()).length, 1);
+        });
+    });
+
+    describe('view history', () => {
+        // Views in the same millisecond would tie on viewedAt
+        const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+        it('keeps one entry per resource, most recent first', async () => {
+            await storage.recordView(1);
+            await tick();
+            await storage.recordView(2);
+            await tick();
+            const entry = await storage.recordView(1);
+
+            assert.equal(entry.views, 2);
+            assert.deepEqual((await storage.getHistory()).map(item => item.resourceId), [1, 2]);
+            assert.deepEqual((await storage.getHistory(1)).map(item => item.resourceId), [1]);
+        });
+
+        it('is cleared with the rest of the data', async () => {
+            await storage.recordView(1);
+            await storage.clearAllData();
+            assert.deepEqual(await storage.getHistory(), []);
+        });
+    });
+
+    describe('settings', () => {
+        it('saves and reads settings', async () => {
+            await storage.saveSetting('catalog', { version: '1.0.0' });
+
+            assert.deepEqual(await storage.getSetting('catalog'), { version: '1.0.0' });
+            assert.equal(await storage.getSetting('missing'), undefined);
+        });
+    });
+
+    describe('exportData / importData', () => {
+        async function seed() {
+            await storage.putResources([resource(1), resource(2)]);
+            await storage.addFavorite(2);
+            await storage.addNote(note(10, 1));
+            await storage.addDownload({ id: 30, resourceId: 1, progress: 100 });
+            await storage.addAnnotation({ id: 40, resourceId: 1, page: 1 });
+            await storage.saveProgress({ resourceId: 1, page: 2 });
+            await storage.saveSetting('theme', 'dark');
+        }
+
+        it('exports every store', async () => {
+            await seed();
+            const data = await storage.exportData();
+
+            assert.equal(data.resources.length, 2);
+            assert.deepEqual(data.favorites, [2]);
+            assert.deepEqual(data.notes, { 1: [note(10, 1)] });
+            assert.equal(data.downloads.length, 1);
+            assert.equal(data.annotations.length, 1);
+            assert.equal(data.progress.length, 1);
+            assert.deepEqual(data.settings, [{ key: 'theme', value: 'dark' }]);
+        });
+
+        it('round-trips through clearAllData and a replace import', async () => {
+            await seed();
+            const data = await storage.exportData();
+
+            await storage.clearAllData();
+            assert.deepEqual(await storage.exportData(), {
+                resources: [], favorites: [], notes: {}, downloads: [], annotations: [], progress: [], history: [], settings: []
+            });
+
+            await storage.importData(data);
+
+            const restored = await storage.exportData();
+            assert.deepEqual(restored.resources, data.resources);
+            assert.deepEqual(restored.favorites, data.favorites);
+            assert.deepEqual(restored.notes, data.notes);
+            assert.deepEqual(restored.downloads, data.downloads);
+            assert.deepEqual(restored.annotations, data.annotations);
+            assert.deepEqual(restored.progress, data.progress);
+            assert.deepEqual(restored.settings, data.settings);
+        });
+
+        it('replaces only the stores present in the backup', async () => {
+            await seed();
+
+            await storage.importData({ favorites: [1] });
+
+            assert.deepEqual(await storage.getFavorites(), [1]);
+            assert.equal((await storage.getAllResources()).length, 2);
+            assert.equal((await storage.getNotes(1)).length, 1);
+        });
+
+        it('merges without duplicate key errors and keeps the newer note', async () => {
+            await storage.addFavorite(1);
+            await storage.addNote(note(10, 1, { content: 'Old', updatedAt: '2024-01-01T00:00:00.000Z' }));
+            await storage.addNote(note(11, 1, { content: 'Local edit', updatedAt: '2024-03-01T00:00:00.000Z' }));
+
+            await storage.importData({
+                favorites: [1, 2],
+                notes: {
+                    1: [
+                        note(10, 1, { content: 'New', updatedAt: '2024-02-01T00:00:00.000Z' }),
+                        note(11, 1, { content: 'Stale', updatedAt: '2024-02-01T00:00:00.000Z' }),
+                        note(12, 1)
+                    ]
+                }
+            }, { mode: 'merge' });
+
+            assert.deepEqual(await storage.getFavorites(), [1, 2]);
+            const contents = (await storage.getNotes(1)).map(n => n.content);
+            assert.deepEqual(contents, ['New', 'Local edit', 'Note 12']);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+// tests/sw-update.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { ServiceWorkerUpdater, compareVersions, releaseNotesSince } from '../js/sw-update.js';
+
+// Fake service worker that records the messages posted to it
+function createWorker(state = 'installing') {
+    const worker = new EventTarget();
+    worker.state = state;
+    worker.messages = [];
+    worker.postMessage = message => worker.messages.push(message);
+    worker.install = () => {
+        worker.state = 'installed';
+        worker.dispatchEvent(new Event('statechange'));
+    };
+    return worker;
+}
+
+// Fake navigator.serviceWorker; a page served by a worker has a controller
+function createContainer(controlled = true) {
+    const container = new EventTarget();
+    container.controller = controlled ? createWorker('activated') : null;
+    return container;
+}
+
+function createRegistration(waiting = null) {
+    const registration = new EventTarget();
+    registration.waiting = waiting;
+    registration.installing = null;
+    registration.found = worker => {
+        registration.installing = worker;
+        registration.dispatchEvent(new Event('updatefound'));
+    };
+    return registration;
+}
+
+describe('compareVersions', () => {
+    it('compares each part numerically', () => {
+        assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+        assert.ok(compareVersions('1.2.0', '1.3.0') < 0);
+        assert.equal(compareVersions('1.3', '1.3.0'), 0);
+    });
+});
+
+describe('releaseNotesSince', () => {
+    const metadata = {
+        releaseNotes: [
+            { version: '1.2.0', notes: ['Old'] },
+            { version: '1.3.0', notes: ['Newer'] },
+            { version: '1.4.0', notes: ['Newest'] }
+        ]
+    };
+
+    it('returns the releases after the current version, newest first', () => {
+        assert.deepEqual(releaseNotesSince(metadata, '1.2.0').map(release => release.version), ['1.4.0', '1.3.0']);
+    });
+
+    it('returns nothing without release notes', () => {
+        assert.deepEqual(releaseNotesSince({}, '1.0.0'), []);
+        assert.deepEqual(releaseNotesSince(null, '1.0.0'), []);
+    });
+});
+
+describe('app version', () => {
+    const read = path => readFile(new URL(`../${path}`, import.meta.url), 'utf8');
+
+    it('is the same in the app, the service worker and package.json', async () => {
+        const [pkg, main, sw] = await Promise.all(['package.json', 'js/main.js', 'sw.js'].map(read));
+        const version = JSON.parse(pkg).version;
+
+        assert.equal(main.match(/const APP_VERSION = '([^']+)'/)[1], version);
+        assert.equal(sw.match(/const CACHE_VERSION = 'qneet-v([^']+)'/)[1], version);
+    });
+});
+
+describe('ServiceWorkerUpdater', () => {
+    it('reports a worker that is already waiting', () => {
+        const waiting = createWorker('installed');
+        const updates = [];
+        const updater = new ServiceWorkerUpdater(createContainer(), { onUpdate: worker => updates.push(worker) });
+
+        updater.watch(createRegistration(waiting));
+
+        assert.deepEqual(updates, [waiting]);
+    });
+
+    it('reports a new worker once it has installed', () => {
+        const registration = createRegistration();
+        const updates = [];
+        const updater = new ServiceWorkerUpdater(createContainer(), { onUpdate: worker => updates.push(worker) });
+        updater.watch(registration);
+
+        const worker = createWorker();
+        registration.found(worker);
+        assert.equal(updates.length, 0);
+
+        worker.install();
+        worker.install();
+        assert.deepEqual(updates, [worker]);
+    });
+
+    it('does not report the first install', () => {
+        const updates = [];
+        const updater = new ServiceWorkerUpdater(createContainer(false), { onUpdate: worker => updates.push(worker) });
+
+        updater.watch(createRegistration(createWorker('installed')));
+
+        assert.equal(updates.length, 0);
+    });
+
+    it('activates the worker and reloads only after the user accepts', () => {
+        const container = createContainer();
+        let reloads = 0;
+        const updater = new ServiceWorkerUpdater(container, { reload: () => reloads++ });
+        const worker = createWorker('installed');
+
+        // Another tab accepted the update: this page keeps running
+        container.dispatchEvent(new Event('controllerchange'));
+        assert.equal(reloads, 0);
+
+        updater.apply(worker);
+        assert.deepEqual(worker.messages, [{ action: 'skipWaiting' }]);
+
+        container.dispatchEvent(new Event('controllerchange'));
+        container.dispatchEvent(new Event('controllerchange'));
+        assert.equal(reloads, 1);
+    });
+});
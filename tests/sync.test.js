@@ -0,0 +1,417 @@
+// tests/sync.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { QNEETStorage } from '../js/storage.js';
+import { SyncEngine, HttpTransport, resolveChange, validateChange } from '../js/sync.js';
+import { SyncStore, createSyncServer } from '../server/sync-server.js';
+
+const note = (id, extra = {}) => ({ id, resourceId: 5, content: `Note ${id}`, date: '2024-01-01', ...extra });
+
+const change = (store, id, record, updatedAt, extra = {}) => ({
+    store, id, deleted: !record, record, updatedAt, ...extra
+});
+
+// Transport that calls a SyncStore directly, like the HTTP server does
+function createTransport(store) {
+    return {
+        pull: async cursor => store.changesSince(cursor),
+        push: async changes => store.apply(changes)
+    };
+}
+
+// A device: its own database, wired to a shared server store
+async function createDevice(server, deviceId) {
+    globalThis.indexedDB = new IDBFactory();
+    const storage = new QNEETStorage();
+    await storage.init();
+    await storage.saveSetting('sync', { deviceId });
+
+    const engine = new SyncEngine(storage, { createTransport: () => createTransport(server) });
+    await engine.load();
+    await engine.configure('http://sync.test');
+    return { storage, engine };
+}
+
+describe('resolveChange', () => {
+    it('keeps the last writer', () => {
+        const older = change('favorites', 1, { id: 1 }, '2024-01-01T00:00:00.000Z');
+        const newer = change('favorites', 1, null, '2024-01-02T00:00:00.000Z');
+
+        assert.equal(resolveChange(older, newer), newer);
+        assert.equal(resolveChange(newer, older), newer);
+    });
+
+    it('breaks ties by device ID the same way on both sides', () => {
+        const a = change('progress', 5, { resourceId: 5, page: 2 }, '2024-01-01T00:00:00.000Z', { deviceId: 'a' });
+        const b = change('progress', 5, { resourceId: 5, page: 3 }, '2024-01-01T00:00:00.000Z', { deviceId: 'b' });
+
+        assert.equal(resolveChange(a, b), b);
+        assert.equal(resolveChange(b, a), b);
+    });
+
+    it('merges note edits field by field', () => {
+        const base = note(1, { content: 'Old', page: 1 });
+        const local = change('notes', 1, { ...base, content: 'Edited here' }, '2024-01-02T00:00:00.000Z', {
+            fields: { content: '2024-01-02T00:00:00.000Z' }
+        });
+        const remote = change('notes', 1, { ...base, page: 7 }, '2024-01-01T00:00:00.000Z', {
+            fields: { page: '2024-01-01T00:00:00.000Z' }
+        });
+
+        const merged = resolveChange(local, remote);
+
+        assert.deepEqual(merged.record, { ...base, content: 'Edited here', page: 7 });
+        assert.equal(merged.updatedAt, '2024-01-02T00:00:00.000Z');
+        // Merging again, in either order, changes nothing
+        assert.deepEqual(resolveChange(merged, remote).record, merged.record);
+        assert.deepEqual(resolveChange(remote, merged).record, merged.record);
+    });
+
+    it('lets a newer delete win over a note edit', () => {
+        const edit = change('notes', 1, note(1), '2024-01-01T00:00:00.000Z', { fields: { content: '2024-01-01T00:00:00.000Z' } });
+        const removal = change('notes', 1, null, '2024-01-02T00:00:00.000Z');
+
+        assert.equal(resolveChange(edit, removal), removal);
+    });
+});
+
+describe('validateChange', () => {
+    it('accepts changes and deletes', () => {
+        assert.equal(validateChange(change('notes', 1, note(1), '2024-01-01T00:00:00.000Z')), null);
+        assert.equal(validateChange(change('favorites', 3, null, '2024-01-01T00:00:00.000Z')), null);
+    });
+
+    it('rejects unknown stores and mismatched keys', () => {
+        assert.match(validateChange(change('settings', 'theme', { key: 'theme' }, '2024-01-01T00:00:00.000Z')), /unknown store/);
+        assert.match(validateChange(change('progress', 5, { resourceId: 6 }, '2024-01-01T00:00:00.000Z')), /does not match/);
+        assert.match(validateChange(change('favorites', 1, { id: 1 }, 'yesterday')), /updatedAt/);
+    });
+});
+
+describe('change tracking', () => {
+    let storage;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        storage = new QNEETStorage();
+        await storage.init();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('queues one change per record, keeping the latest', async () => {
+        await storage.addFavorite(1);
+        await storage.removeFavorite(1);
+        await storage.saveProgress({ resourceId: 5, page: 2 });
+        await storage.saveProgress({ resourceId: 5, page: 3 });
+
+        const changes = await storage.getChanges();
+
+        assert.deepEqual(changes.map(item => [item.store, item.id, item.deleted]), [
+            ['favorites', 1, true],
+            ['progress', 5, false]
+        ]);
+        assert.equal(changes[1].record.page, 3);
+    });
+
+    it('stamps only the note fields an update changed', async () => {
+        await storage.addNote(note(1));
+        await storage.acknowledgeChanges(await storage.getChanges());
+
+        await storage.updateNote(note(1, { content: 'Edited' }));
+
+        const [queued] = await storage.getChanges();
+        assert.deepEqual(Object.keys(queued.fields), ['content']);
+        assert.deepEqual(await storage.getNotes(5), [note(1, { content: 'Edited' })]);
+    });
+
+    it('keeps a change rewritten after it was sent', async () => {
+        await storage.saveProgress({ resourceId: 5, page: 2 });
+        const sent = await storage.getChanges();
+        await storage.saveProgress({ resourceId: 5, page: 9 });
+
+        await storage.acknowledgeChanges(sent);
+
+        const [queued] = await storage.getChanges();
+        assert.equal(queued.record.page, 9);
+    });
+
+    it('applies remote changes without queueing them', async () => {
+        await storage.applyRemoteChanges([
+            change('favorites', 4, { id: 4, date: '2024-01-01T00:00:00.000Z' }, '2024-01-01T00:00:00.000Z'),
+            change('notes', 1, note(1), '2024-01-01T00:00:00.000Z'),
+            change('settings', 'theme', { key: 'theme', value: 'dark' }, '2024-01-01T00:00:00.000Z')
+        ]);
+
+        assert.deepEqual(await storage.getFavorites(), [4]);
+        assert.equal((await storage.getNotes(5)).length, 1);
+        assert.equal(await storage.getSetting('theme'), undefined);
+        assert.deepEqual(await storage.getChanges(), []);
+    });
+
+    it('queues what a replace import writes and drops', async () => {
+        await storage.addFavorite(1);
+        await storage.addNote(note(1));
+        await storage.acknowledgeChanges(await storage.getChanges());
+
+        await storage.importData({ favorites: [2], notes: { 5: [note(1), note(2)] }, progress: [{ resourceId: 5, page: 4 }] });
+
+        const changes = await storage.getChanges();
+        assert.deepEqual(changes.map(item => [item.store, item.id, item.deleted]), [
+            ['favorites', 1, true],
+            ['favorites', 2, false],
+            ['notes', 2, false],
+            ['progress', 5, false]
+        ]);
+    });
+
+    it('queues only the notes a merge import changed', async () => {
+        await storage.addNote(note(1, { updatedAt: '2024-01-01T00:00:00.000Z' }));
+        await storage.acknowledgeChanges(await storage.getChanges());
+
+        await storage.importData({
+            notes: { 5: [note(1, { content: 'Newer', updatedAt: '2024-02-01T00:00:00.000Z' })] }
+        }, { mode: 'merge' });
+
+        const [queued] = await storage.getChanges();
+        assert.equal(queued.record.content, 'Newer');
+        assert.deepEqual(Object.keys(queued.fields).sort(), ['content', 'updatedAt']);
+    });
+
+    it('queues deletes for the synced records a cascading delete removes', async () => {
+        await storage.addResource({ id: 5, title: 'Cell Cycle' });
+        await storage.addFavorite(5);
+        await storage.addNote(note(1));
+        await storage.saveProgress({ resourceId: 5, page: 2 });
+        await storage.addFavorite(6);
+        await storage.acknowledgeChanges(await storage.getChanges());
+
+        await storage.deleteResource(5, { cascade: true });
+
+        const changes = await storage.getChanges();
+        assert.deepEqual(changes.map(item => [item.store, item.id, item.deleted]), [
+            ['favorites', 5, true],
+            ['notes', 1, true],
+            ['progress', 5, true]
+        ]);
+    });
+
+    it('keeps the sync state of this device out of backups and restores', async () => {
+        const state = { endpoint: 'http://sync.test', deviceId: 'phone', cursor: 4, lastSyncedAt: null };
+        await storage.saveSetting('sync', state);
+        await storage.saveSetting('theme', 'dark');
+
+        const backup = await storage.exportData();
+        assert.deepEqual(backup.settings.map(setting => setting.key), ['theme']);
+
+        await storage.importData({ settings: [{ key: 'sync', value: { deviceId: 'laptop' } }] });
+        assert.deepEqual(await storage.getSetting('sync'), state);
+        assert.equal(await storage.getSetting('theme'), undefined);
+    });
+
+    it('clears the queue with the rest of the data', async () => {
+        await storage.addFavorite(1);
+        await storage.clearAllData();
+
+        assert.deepEqual(await storage.getChanges(), []);
+    });
+});
+
+describe('SyncEngine', () => {
+    const devices = [];
+    let server;
+
+    beforeEach(() => {
+        server = new SyncStore();
+    });
+
+    afterEach(() => {
+        devices.splice(0).forEach(device => device.storage.close());
+    });
+
+    async function device(deviceId) {
+        const created = await createDevice(server, deviceId);
+        devices.push(created);
+        return created;
+    }
+
+    it('does nothing until a server is configured', async () => {
+        globalThis.indexedDB = new IDBFactory();
+        const storage = new QNEETStorage();
+        await storage.init();
+        const engine = new SyncEngine(storage);
+        await engine.load();
+
+        assert.equal(engine.enabled, false);
+        assert.equal(await engine.sync(), null);
+        assert.ok(engine.state.deviceId);
+        storage.close();
+    });
+
+    it('carries favorites, notes and progress to another device', async () => {
+        const phone = await device('phone');
+        const laptop = await device('laptop');
+
+        await phone.storage.addFavorite(3);
+        await phone.storage.addNote(note(1));
+        await phone.storage.saveProgress({ resourceId: 5, page: 12 });
+        assert.deepEqual(await phone.engine.sync(), { pulled: 0, pushed: 3 });
+        assert.equal(await phone.engine.pendingCount(), 0);
+
+        const changed = [];
+        laptop.engine.onChange = applied => changed.push(...applied);
+        await laptop.engine.sync();
+
+        assert.deepEqual(await laptop.storage.getFavorites(), [3]);
+        assert.deepEqual(await laptop.storage.getNotes(5), [note(1)]);
+        assert.equal((await laptop.storage.getProgress(5)).page, 12);
+        assert.equal(changed.length, 3);
+        assert.equal(await laptop.engine.pendingCount(), 0);
+    });
+
+    it('skips its own changes when they come back from the server', async () => {
+        const phone = await device('phone');
+        const changed = [];
+        phone.engine.onChange = applied => changed.push(...applied);
+
+        await phone.storage.addFavorite(3);
+        await phone.engine.sync();
+        // A newer local edit must not be undone by the echo of the older one
+        await phone.storage.removeFavorite(3);
+        phone.engine.state.cursor = 0;
+
+        assert.deepEqual(await phone.engine.sync(), { pulled: 0, pushed: 1 });
+        assert.deepEqual(changed, []);
+        assert.deepEqual(await phone.storage.getFavorites(), []);
+    });
+
+    it('propagates deletes', async () => {
+        const phone = await device('phone');
+        const laptop = await device('laptop');
+
+        await phone.storage.addFavorite(3);
+        await phone.engine.sync();
+        await laptop.engine.sync();
+
+        // Same-millisecond writes tie and go to the higher device ID
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await laptop.storage.removeFavorite(3);
+        await laptop.engine.sync();
+        await phone.engine.sync();
+
+        assert.deepEqual(await phone.storage.getFavorites(), []);
+    });
+
+    it('merges notes edited offline on two devices', async () => {
+        const phone = await device('phone');
+        const laptop = await device('laptop');
+
+        await phone.storage.addNote(note(1, { content: 'Draft', color: 'yellow' }));
+        await phone.engine.sync();
+        await laptop.engine.sync();
+
+        // Both devices edit a different field while offline
+        await phone.storage.updateNote(note(1, { content: 'Final answer', color: 'yellow' }));
+        await laptop.storage.updateNote(note(1, { content: 'Draft', color: 'green' }));
+
+        await phone.engine.sync();
+        await laptop.engine.sync();
+        await phone.engine.sync();
+
+        const expected = [note(1, { content: 'Final answer', color: 'green' })];
+        assert.deepEqual(await phone.storage.getNotes(5), expected);
+        assert.deepEqual(await laptop.storage.getNotes(5), expected);
+    });
+
+    it('keeps the later of two conflicting progress saves', async () => {
+        const phone = await device('phone');
+        const laptop = await device('laptop');
+
+        await phone.storage.saveProgress({ resourceId: 5, page: 4 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await laptop.storage.saveProgress({ resourceId: 5, page: 20 });
+
+        await laptop.engine.sync();
+        await phone.engine.sync();
+
+        assert.equal((await phone.storage.getProgress(5)).page, 20);
+        assert.equal((await laptop.storage.getProgress(5)).page, 20);
+    });
+
+    it('keeps syncing both ways after restoring a backup from another device', async () => {
+        const phone = await device('phone');
+        const laptop = await device('laptop');
+
+        await phone.storage.addFavorite(3);
+        await phone.engine.sync();
+        await laptop.storage.importData(await phone.storage.exportData(), { mode: 'merge' });
+        await laptop.engine.load();
+
+        assert.equal(laptop.engine.state.deviceId, 'laptop');
+        await laptop.storage.addNote(note(1));
+        await laptop.engine.sync();
+        await phone.engine.sync();
+        assert.deepEqual(await phone.storage.getNotes(5), [note(1)]);
+
+        await phone.storage.saveProgress({ resourceId: 5, page: 8 });
+        await phone.engine.sync();
+        await laptop.engine.sync();
+        assert.equal((await laptop.storage.getProgress(5)).page, 8);
+    });
+
+    it('keeps the queue and cursor when the push fails', async () => {
+        const phone = await device('phone');
+        phone.engine.transport = {
+            pull: async () => ({ changes: [], cursor: 7 }),
+            push: async () => {
+                throw new Error('offline');
+            }
+        };
+
+        await phone.storage.addFavorite(3);
+        await assert.rejects(phone.engine.sync(), /offline/);
+
+        assert.equal(await phone.engine.pendingCount(), 1);
+        assert.equal(phone.engine.state.cursor, 0);
+    });
+});
+
+describe('sync server', () => {
+    let server;
+    let endpoint;
+
+    beforeEach(async () => {
+        server = createSyncServer(new SyncStore());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('stores pushed changes and returns them after a cursor', async () => {
+        const transport = new HttpTransport(endpoint);
+        const first = change('favorites', 1, { id: 1 }, '2024-01-01T00:00:00.000Z', { deviceId: 'phone' });
+        const second = change('favorites', 2, { id: 2 }, '2024-01-02T00:00:00.000Z', { deviceId: 'phone' });
+
+        assert.deepEqual(await transport.push([first]), { accepted: 1, cursor: 1 });
+        assert.deepEqual(await transport.push([first, second]), { accepted: 1, cursor: 2 });
+
+        assert.deepEqual(await transport.pull(0), { changes: [first, second], cursor: 2 });
+        assert.deepEqual(await transport.pull(1), { changes: [second], cursor: 2 });
+    });
+
+    it('rejects invalid changes', async () => {
+        const transport = new HttpTransport(endpoint);
+
+        await assert.rejects(
+            transport.push([{ store: 'settings', id: 'theme' }]),
+            error => error.code === 'sync-server' && error.status === 400
+        );
+    });
+});
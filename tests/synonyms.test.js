@@ -0,0 +1,99 @@
+// tests/synonyms.test.js
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import Fuse from 'fuse.js';
+import { SynonymDictionary, splitWords } from '../js/synonyms.js';
+import { SearchEngine } from '../js/utils.js';
+
+const vocabulary = JSON.parse(await readFile(new URL('../data/synonyms.json', import.meta.url), 'utf8'));
+
+const resources = [
+    { id: 1, title: 'H.C. Verma Concepts of Physics', description: 'Solutions to every chapter', subject: 'Physics', type: 'Guide', tags: ['Books'] },
+    { id: 2, title: 'Simple Harmonic Motion', description: 'Oscillations in depth', subject: 'Physics', type: 'Note', tags: ['Oscillations'] },
+    { id: 3, title: 'NEET 2021 Biology', description: 'Solved paper', subject: 'Biology', type: 'PYQ', tags: ['Previous Year', 'NEET 2021'] },
+    { id: 4, title: 'Biology NCERT Summary', description: 'Line by line notes', subject: 'Biology', type: 'Summary', tags: ['NCERT', 'Class 11'] },
+    { id: 5, title: 'General Organic Chemistry', description: 'Inductive and resonance effects', subject: 'Chemistry', type: 'Note', tags: ['Organic'] },
+    { id: 6, title: 'O.P. Tandon Physical Chemistry', description: 'Numericals', subject: 'Chemistry', type: 'Guide', tags: ['Books'] }
+];
+
+const ids = results => results.map(r => r.id).sort((a, b) => a - b);
+
+describe('splitWords', () => {
+    it('lower-cases and drops punctuation', () => {
+        assert.deepEqual(splitWords('H.C. Verma, p-Block!'), ['h', 'c', 'verma', 'p', 'block']);
+    });
+});
+
+describe('SynonymDictionary', () => {
+    it('expands a word to its whole group', () => {
+        const dictionary = new SynonymDictionary({ groups: [['shm', 'Simple Harmonic Motion']] });
+        assert.deepEqual(dictionary.expandQuery('SHM notes'), [['shm', 'simple harmonic motion'], ['notes']]);
+    });
+
+    it('prefers the longest multi-word term', () => {
+        const dictionary = new SynonymDictionary({ groups: [['hcv', 'h c verma'], ['c', 'carbon']] });
+        assert.deepEqual(dictionary.expandQuery('H.C. Verma'), [['h c verma', 'hcv']]);
+    });
+
+    it('applies patterns to single words', () => {
+        const dictionary = new SynonymDictionary({ patterns: [{ match: '^(2[0-9])$', expand: '20$1' }] });
+        assert.deepEqual(dictionary.expandQuery('pyq 21'), [['pyq'], ['21', '2021']]);
+    });
+
+    it('ignores invalid patterns', t => {
+        t.mock.method(console, 'warn', () => {});
+        const dictionary = new SynonymDictionary({ patterns: [{ match: '(', expand: '' }] });
+        assert.equal(dictionary.patterns.length, 0);
+    });
+
+    it('joins groups that share a term', () => {
+        const dictionary = new SynonymDictionary({ groups: [['bio', 'biology'], ['jeev vigyan', 'biology']] });
+        assert.equal(dictionary.groups.length, 1);
+        assert.deepEqual(dictionary.expandQuery('bio')[0].sort(), ['bio', 'biology', 'jeev vigyan']);
+    });
+
+    it('finds the aliases a text mentions', () => {
+        const dictionary = new SynonymDictionary({ groups: [['goc', 'general organic chemistry']] });
+        assert.deepEqual(dictionary.aliasesFor('General Organic Chemistry'), ['goc', 'general organic chemistry']);
+        assert.deepEqual(dictionary.aliasesFor('Organic Chemistry'), []);
+    });
+});
+
+describe('SearchEngine with the NEET vocabulary', () => {
+    afterEach(() => {
+        delete globalThis.Fuse;
+    });
+
+    [false, true].forEach(withFuse => {
+        describe(withFuse ? 'with Fuse.js' : 'without Fuse.js', () => {
+            const engine = () => {
+                if (withFuse) globalThis.Fuse = Fuse;
+                return new SearchEngine(resources, [], { synonyms: new SynonymDictionary(vocabulary) });
+            };
+
+            it('matches book nicknames', () => {
+                assert.deepEqual(ids(engine().search('HCV')), [1]);
+                assert.deepEqual(ids(engine().search('OPT')), [6]);
+            });
+
+            it('matches topic acronyms', () => {
+                assert.deepEqual(ids(engine().search('SHM')), [2]);
+                assert.deepEqual(ids(engine().search('GOC')), [5]);
+            });
+
+            it('matches shorthand years', () => {
+                assert.deepEqual(ids(engine().search('PYQ 21')), [3]);
+            });
+
+            it('matches abbreviated subjects and classes', () => {
+                assert.deepEqual(ids(engine().search('NCERT bio 11')), [4]);
+            });
+
+            it('matches Hinglish spellings', () => {
+                assert.deepEqual(ids(engine().search('rasayan')), [5, 6]);
+            });
+        });
+    });
+});